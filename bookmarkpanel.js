@@ -0,0 +1,360 @@
+/**
+ * Bookmark panel for Code Mosaic
+ * Names and annotates the selected building, lists the trace's bookmarks
+ * for jumping between them, floats each bookmark's name over its building
+ * and plays them back as a guided tour: the rest of the page is put away,
+ * and a caption with the bookmark's note leads from one stop to the next
+ * (arrow keys, Page Up/Down from a presentation clicker, Esc to stop).
+ * The bookmarks themselves live in a BookmarkStore.
+ */
+class BookmarkPanel {
+    /**
+     * @param {CodeVisualizer} visualizer - an initialized visualizer
+     * @param {BuildingInspector} inspector - supplies the step to bookmark
+     *   and selects the bookmark jumped to
+     */
+    constructor(visualizer, inspector) {
+        this.visualizer = visualizer;
+        this.inspector = inspector;
+        this.store = new BookmarkStore();
+        this.panel = document.getElementById('bookmarks');
+        this.list = document.getElementById('bookmarkList');
+        this.editor = document.getElementById('bookmarkEditor');
+        this.nameInput = document.getElementById('bookmarkName');
+        this.noteInput = document.getElementById('bookmarkNote');
+        this.status = document.getElementById('bookmarkStatus');
+        this.tourBox = document.getElementById('tour');
+        this.renderedTrace = null;
+        this.labels = new Map();  // step -> billboard over the building
+        this.labelLift = 1.2;     // label center above the cap
+        this.tourStops = [];
+        this.tourIndex = -1;      // stop shown by the tour, -1 when not touring
+    }
+
+    /**
+     * Load the bookmarks of each new trace, keep the labels on their
+     * buildings and wire the panel, the file picker and the tour controls
+     */
+    attach() {
+        const visualizer = this.visualizer;
+        visualizer.playback.onChange(() => this._sync());
+        visualizer.onLayout(() => {
+            this._sync();
+            this.renderLabels();
+        });
+        // Collapsing a loop hides steps without a notification, so the
+        // labels check every frame whether their building is shown
+        visualizer.scene.onBeforeRenderObservable.add(() => this._updateLabelVisibility());
+        this.inspector.onSelect(() => this.renderEditor());
+
+        document.getElementById('bookmarkSave').addEventListener('click', () => this.saveSelected());
+        document.getElementById('bookmarkRemove').addEventListener('click', () => {
+            this.remove(this.inspector.selectedStep);
+        });
+        this.noteInput.addEventListener('keydown', (event) => {
+            if (event.key === 'Enter' && (event.ctrlKey || event.metaKey)) {
+                event.preventDefault();
+                this.saveSelected();
+            }
+        });
+        this.nameInput.addEventListener('keydown', (event) => {
+            if (event.key === 'Enter') {
+                event.preventDefault();
+                this.saveSelected();
+            }
+        });
+
+        document.getElementById('bookmarksTour').addEventListener('click', () => this.startTour());
+        document.getElementById('bookmarksExport').addEventListener('click', () => {
+            SceneExporter.download(this.store.toJSON(visualizer.traceName),
+                `${SceneExporter.fileBase(visualizer.traceName)}-bookmarks.json`, 'application/json');
+        });
+        const file = document.getElementById('bookmarksFile');
+        document.getElementById('bookmarksImport').addEventListener('click', () => file.click());
+        file.addEventListener('change', () => {
+            const chosen = file.files[0];
+            file.value = '';
+            if (chosen) {
+                chosen.text().then(text => this.importJSON(text, chosen.name)).catch(error => {
+                    this.status.textContent = `Could not read ${chosen.name}: ${error.message}`;
+                });
+            }
+        });
+
+        document.getElementById('tourPrev').addEventListener('click', () => this.showStop(this.tourIndex - 1));
+        document.getElementById('tourNext').addEventListener('click', () => this.showStop(this.tourIndex + 1));
+        document.getElementById('tourEnd').addEventListener('click', () => this.endTour());
+        document.addEventListener('keydown', (event) => {
+            if (this.tourIndex < 0 || ['INPUT', 'TEXTAREA', 'SELECT'].includes(event.target.tagName)) {
+                return;
+            }
+            if (event.key === 'ArrowRight' || event.key === 'PageDown' || event.key === ' ') {
+                event.preventDefault();
+                this.showStop(this.tourIndex + 1);
+            } else if (event.key === 'ArrowLeft' || event.key === 'PageUp') {
+                event.preventDefault();
+                this.showStop(this.tourIndex - 1);
+            } else if (event.key === 'Escape') {
+                this.endTour();
+            }
+        });
+        return this;
+    }
+
+    /**
+     * Bookmark the selected step with the name and note in the editor
+     */
+    saveSelected() {
+        const step = this.inspector.selectedStep;
+        if (step === null) {
+            return;
+        }
+        const bookmark = this.store.set(step, this.nameInput.value, this.noteInput.value);
+        this.status.textContent = `Bookmarked step ${step} as "${bookmark.name}"`;
+        this.render();
+        this.renderEditor();
+        this.renderLabels();
+    }
+
+    remove(step) {
+        if (step === null || !this.store.get(step)) {
+            return;
+        }
+        this.store.remove(step);
+        this.status.textContent = `Removed the bookmark on step ${step}`;
+        this.render();
+        this.renderEditor();
+        this.renderLabels();
+    }
+
+    /**
+     * Add the bookmarks of a JSON file, e.g. one handed out with a trace
+     * @param {string} text - the file's contents
+     * @param {string} fileName - for the status line
+     */
+    importJSON(text, fileName) {
+        let result;
+        try {
+            result = this.store.importJSON(text, this.visualizer.trace.length);
+        } catch (error) {
+            this.status.textContent = `Could not load ${fileName}: ${error.message}`;
+            return;
+        }
+        const parts = [`Loaded ${result.imported} bookmark(s) from ${fileName}`];
+        if (result.skipped > 0) {
+            parts.push(`${result.skipped} past the end of the trace skipped`);
+        }
+        if (!result.sameTrace) {
+            parts.push('the file was saved for a different trace');
+        }
+        this.status.textContent = parts.join('; ');
+        this.render();
+        this.renderEditor();
+        this.renderLabels();
+    }
+
+    /**
+     * List the bookmarks, each a link to its building
+     */
+    render() {
+        const trace = this.visualizer.trace;
+        const bookmarks = this.store.list();
+        this.panel.style.display = trace.length > 0 ? 'block' : 'none';
+        document.getElementById('bookmarksTour').disabled = bookmarks.length === 0;
+        document.getElementById('bookmarksExport').disabled = bookmarks.length === 0;
+        this.list.innerHTML = '';
+
+        bookmarks.forEach(bookmark => {
+            const item = document.createElement('li');
+            const link = document.createElement('a');
+            link.href = '#';
+            link.textContent = `#${bookmark.step} ${bookmark.name}`;
+            link.title = bookmark.note;
+            link.addEventListener('click', (event) => {
+                event.preventDefault();
+                this.jumpTo(bookmark.step);
+            });
+            item.appendChild(link);
+
+            const remove = document.createElement('button');
+            remove.textContent = '×';
+            remove.title = 'Remove this bookmark';
+            remove.addEventListener('click', () => this.remove(bookmark.step));
+            item.appendChild(remove);
+            this.list.appendChild(item);
+        });
+        if (bookmarks.length === 0) {
+            const empty = document.createElement('li');
+            empty.textContent = 'No bookmarks yet';
+            this.list.appendChild(empty);
+        }
+    }
+
+    /**
+     * Show the editor for the selected step, filled in if it is bookmarked
+     */
+    renderEditor() {
+        const step = this.inspector.selectedStep;
+        const trace = this.visualizer.trace;
+        if (step === null || step >= trace.length) {
+            this.editor.style.display = 'none';
+            return;
+        }
+        const bookmark = this.store.get(step);
+        const record = trace[step];
+        this.editor.style.display = 'block';
+        document.getElementById('bookmarkStep').textContent =
+            `Step ${step} — ${record.type}${record.name ? ` ${record.name}` : ''}`;
+        this.nameInput.value = bookmark ? bookmark.name : '';
+        this.noteInput.value = bookmark ? bookmark.note : '';
+        document.getElementById('bookmarkSave').textContent = bookmark ? 'Update' : 'Bookmark';
+        document.getElementById('bookmarkRemove').disabled = !bookmark;
+    }
+
+    /**
+     * Select a bookmarked step and bring the camera to it
+     */
+    jumpTo(step) {
+        this.inspector.select(step);
+        this.visualizer.focusOnStep(step);
+    }
+
+    /**
+     * Put the page away and show the first bookmark as a tour stop
+     */
+    startTour() {
+        this.tourStops = this.store.list();
+        if (this.tourStops.length === 0) {
+            return;
+        }
+        document.body.classList.add('presenting');
+        this.tourBox.style.display = 'block';
+        this.showStop(0);
+    }
+
+    /**
+     * Go to a tour stop: playback is moved to just after its step, so the
+     * watch table and call stack show the program as it was there
+     * @param {number} index - into the bookmarks in step order
+     */
+    showStop(index) {
+        if (this.tourIndex < 0 && index !== 0) {
+            return;
+        }
+        const stops = this.tourStops;
+        this.tourIndex = Math.max(0, Math.min(index, stops.length - 1));
+        const bookmark = stops[this.tourIndex];
+        const record = this.visualizer.trace[bookmark.step];
+        const playback = this.visualizer.playback;
+        playback.pause();
+        playback.seek(bookmark.step + 1);
+        this.jumpTo(bookmark.step);
+
+        document.getElementById('tourTitle').textContent = bookmark.name;
+        document.getElementById('tourCounter').textContent = `${this.tourIndex + 1} / ${stops.length}`;
+        const details = [`Step ${bookmark.step}`, `${record.type} ${record.name}`.trim()];
+        if (record.line) {
+            details.push(`line ${record.line}`);
+        }
+        document.getElementById('tourDetails').textContent = details.join(' · ');
+        document.getElementById('tourNote').textContent = bookmark.note;
+        document.getElementById('tourPrev').disabled = this.tourIndex === 0;
+        document.getElementById('tourNext').disabled = this.tourIndex === stops.length - 1;
+    }
+
+    endTour() {
+        if (this.tourIndex < 0) {
+            return;
+        }
+        this.tourIndex = -1;
+        this.tourStops = [];
+        this.tourBox.style.display = 'none';
+        document.body.classList.remove('presenting');
+    }
+
+    /**
+     * Float a label with the name and the start of the note over each
+     * bookmarked building
+     */
+    renderLabels() {
+        this.labels.forEach(label => label.dispose());
+        this.labels.clear();
+        this.store.list().forEach(bookmark => {
+            if (this.visualizer.getStepBounds(bookmark.step)) {
+                this.labels.set(bookmark.step, this._createLabel(bookmark));
+            }
+        });
+        this._updateLabelVisibility();
+    }
+
+    /**
+     * Load the bookmarks of a newly opened trace, or carry them over when a
+     * live trace that has ended gets its final hash
+     */
+    _sync() {
+        const visualizer = this.visualizer;
+        if (this.renderedTrace !== visualizer.trace) {
+            this.renderedTrace = visualizer.trace;
+            this.endTour();
+            this.store.load(visualizer.traceHash);
+            this.status.textContent = '';
+            this.render();
+            this.renderEditor();
+            this.renderLabels();
+        } else if (this.store.traceHash !== visualizer.traceHash) {
+            this.store.rekey(visualizer.traceHash);
+        }
+    }
+
+    _updateLabelVisibility() {
+        const visualizer = this.visualizer;
+        this.labels.forEach((label, step) => {
+            const shown = step < visualizer.visibleCount && visualizer.hiddenSteps[step] === 0;
+            if (label.isEnabled() !== shown) {
+                label.setEnabled(shown);
+            }
+        });
+    }
+
+    _createLabel(bookmark) {
+        const scene = this.visualizer.scene;
+        const anchor = this.visualizer.getStepAnchor(bookmark.step);
+        const label = BABYLON.MeshBuilder.CreatePlane(`bookmarkLabel_${bookmark.step}`,
+            { width: 5, height: 1.25 }, scene);
+        label.position = anchor.add(new BABYLON.Vector3(0, this.labelLift, 0));
+        label.billboardMode = BABYLON.Mesh.BILLBOARDMODE_ALL;
+        label.isPickable = false;
+
+        const texture = new BABYLON.DynamicTexture(`bookmarkLabelTex_${bookmark.step}`,
+            { width: 1024, height: 256 }, scene, true);
+        texture.hasAlpha = true;
+        const context = texture.getContext();
+        context.clearRect(0, 0, 1024, 256);
+        context.fillStyle = 'rgba(20, 30, 70, 0.75)';
+        context.fillRect(0, 0, 1024, 256);
+        const note = bookmark.note.split('\n')[0];
+        // Without a note the name sits in the middle of the label
+        texture.drawText(BookmarkPanel.clip(bookmark.name, 28), 30, note ? 100 : 150,
+            'bold 64px Segoe UI, sans-serif', '#ffd700', null, true, false);
+        texture.drawText(BookmarkPanel.clip(note, 36), 30, 200,
+            '52px Segoe UI, sans-serif', '#ffffff', null, true, true);
+        const material = new BABYLON.StandardMaterial(`bookmarkLabelMat_${bookmark.step}`, scene);
+        material.diffuseTexture = texture;
+        material.emissiveColor = new BABYLON.Color3(1, 1, 1);
+        material.disableLighting = true;
+        material.backFaceCulling = false;
+        label.material = material;
+        label.onDisposeObservable.add(() => {
+            material.dispose();
+            texture.dispose();
+        });
+        return label;
+    }
+
+    /**
+     * Shorten text to a number of characters, ending it with an ellipsis
+     */
+    static clip(text, length) {
+        return text.length > length ? `${text.slice(0, length - 1)}…` : text;
+    }
+}
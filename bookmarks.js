@@ -0,0 +1,192 @@
+/**
+ * Bookmarks for Code Mosaic
+ * A named bookmark with a free-text note can be attached to any step. The
+ * bookmarks of a trace are kept in localStorage under the trace's hash, so
+ * they come back whenever the same trace is opened, and travel as JSON
+ * files, e.g. an instructor's walkthrough of a model solution:
+ *
+ *     {
+ *       "format": "code-mosaic-bookmarks",
+ *       "version": 1,
+ *       "trace": "sum.trace",
+ *       "traceHash": 1502394716,
+ *       "bookmarks": [
+ *         { "step": 12, "name": "Loop starts", "note": "sum is still 0 here" }
+ *       ]
+ *     }
+ */
+class BookmarkStore {
+    constructor() {
+        this.storagePrefix = 'codeMosaic.bookmarks.';
+        this.format = 'code-mosaic-bookmarks';
+        this.version = 1;
+        this.traceHash = null;
+        this.bookmarks = new Map(); // step -> { step, name, note }
+        this.maxNameLength = 80;
+        this.maxNoteLength = 2000;
+    }
+
+    /**
+     * Switch to the bookmarks stored for a trace
+     * @param {number} traceHash - see CodeParser.hashTrace()
+     */
+    load(traceHash) {
+        this.traceHash = traceHash;
+        this.bookmarks = this._read(traceHash);
+    }
+
+    /**
+     * Keep the current bookmarks under a new hash. A live trace is known by
+     * its name while it streams and by its text once it has ended; anything
+     * already stored for the new hash is kept unless bookmarked again.
+     */
+    rekey(traceHash) {
+        if (traceHash === this.traceHash) {
+            return;
+        }
+        const merged = this._read(traceHash);
+        this.bookmarks.forEach((bookmark, step) => merged.set(step, bookmark));
+        this._remove(this.traceHash);
+        this.traceHash = traceHash;
+        this.bookmarks = merged;
+        this._store();
+    }
+
+    /**
+     * Bookmarks in step order
+     * @returns {Array<{step, name, note}>}
+     */
+    list() {
+        return [...this.bookmarks.values()].sort((a, b) => a.step - b.step);
+    }
+
+    /**
+     * @returns {{step, name, note}|null}
+     */
+    get(step) {
+        return this.bookmarks.get(step) || null;
+    }
+
+    /**
+     * Bookmark a step, replacing its bookmark if it has one
+     * @param {number} step
+     * @param {string} name - a blank name becomes "Step <n>"
+     * @param {string} note
+     * @returns {{step, name, note}}
+     */
+    set(step, name, note) {
+        const bookmark = BookmarkStore.normalize({ step, name, note }, this.maxNameLength, this.maxNoteLength);
+        this.bookmarks.set(step, bookmark);
+        this._store();
+        return bookmark;
+    }
+
+    remove(step) {
+        if (this.bookmarks.delete(step)) {
+            this._store();
+        }
+    }
+
+    /**
+     * The bookmarks as a JSON file
+     * @param {string} [traceName] - recorded so the file says what it is for
+     */
+    toJSON(traceName) {
+        return JSON.stringify({
+            format: this.format,
+            version: this.version,
+            trace: traceName || null,
+            traceHash: this.traceHash,
+            bookmarks: this.list()
+        }, null, 2);
+    }
+
+    /**
+     * Add the bookmarks of a JSON file to the current ones; a step bookmarked
+     * in both keeps the imported bookmark
+     * @param {string} text - JSON text, as written by toJSON()
+     * @param {number} traceLength - steps past the end are skipped
+     * @returns {{imported: number, skipped: number, sameTrace: boolean}}
+     *   sameTrace is false when the file was saved for a different trace
+     * @throws {Error} if the text is not a bookmark file
+     */
+    importJSON(text, traceLength) {
+        let file;
+        try {
+            file = JSON.parse(text);
+        } catch (error) {
+            throw new Error(`Invalid JSON: ${error.message}`);
+        }
+        if (!file || file.format !== this.format || !Array.isArray(file.bookmarks)) {
+            throw new Error('Not a Code Mosaic bookmark file');
+        }
+        if (file.version > this.version) {
+            throw new Error(`Bookmark file version ${file.version} is newer than this viewer`);
+        }
+
+        let imported = 0;
+        file.bookmarks.forEach(entry => {
+            if (entry && Number.isInteger(entry.step) && entry.step >= 0 && entry.step < traceLength) {
+                this.bookmarks.set(entry.step, BookmarkStore.normalize(entry, this.maxNameLength, this.maxNoteLength));
+                imported++;
+            }
+        });
+        this._store();
+        return {
+            imported: imported,
+            skipped: file.bookmarks.length - imported,
+            sameTrace: file.traceHash === undefined || file.traceHash === this.traceHash
+        };
+    }
+
+    /**
+     * A bookmark with string fields of bounded length
+     */
+    static normalize(entry, maxNameLength, maxNoteLength) {
+        const name = String(entry.name || '').trim().slice(0, maxNameLength);
+        return {
+            step: entry.step,
+            name: name || `Step ${entry.step}`,
+            note: String(entry.note || '').trim().slice(0, maxNoteLength)
+        };
+    }
+
+    _read(traceHash) {
+        const bookmarks = new Map();
+        try {
+            const stored = JSON.parse(localStorage.getItem(this.storagePrefix + traceHash));
+            if (Array.isArray(stored)) {
+                stored.filter(entry => entry && Number.isInteger(entry.step) && entry.step >= 0)
+                    .forEach(entry => bookmarks.set(entry.step,
+                        BookmarkStore.normalize(entry, this.maxNameLength, this.maxNoteLength)));
+            }
+        } catch (error) {
+            // Nothing stored, or storage unavailable
+        }
+        return bookmarks;
+    }
+
+    _store() {
+        if (this.traceHash === null) {
+            return;
+        }
+        if (this.bookmarks.size === 0) {
+            this._remove(this.traceHash);
+            return;
+        }
+        try {
+            localStorage.setItem(this.storagePrefix + this.traceHash, JSON.stringify(this.list()));
+        } catch (error) {
+            // Storage full or unavailable; the bookmarks last this session
+            // and can still be exported
+        }
+    }
+
+    _remove(traceHash) {
+        try {
+            localStorage.removeItem(this.storagePrefix + traceHash);
+        } catch (error) {
+            // Storage unavailable
+        }
+    }
+}
@@ -0,0 +1,165 @@
+/**
+ * Call-stack reconstruction for Code Mosaic
+ * Pairs CALL and RETURN records into a tree of invocations. Every step is
+ * assigned to the invocation (frame) it executed in; the `depth` field is
+ * used to recover when a CALL or RETURN is missing, and every mismatch is
+ * reported as a trace error.
+ */
+class CallTree {
+    /**
+     * @param {Array} trace - parsed execution steps from CodeParser
+     */
+    constructor(trace) {
+        this.trace = trace;
+        this.errors = [];
+        this.warnings = [];
+        // Pseudo-frame for steps that run outside any CALL
+        this.root = this._createFrame(null, null);
+        this.root.depth = 0;
+        this.frames = [this.root];
+        this.frameOf = [];
+        this.stack = [this.root];
+        trace.forEach(step => this.record(step));
+    }
+
+    /**
+     * Add one step to the tree. Steps must be recorded in trace order.
+     */
+    record(step) {
+        if (step.type === 'CALL') {
+            // A CALL at or above the current depth means the frames in
+            // between never returned
+            this._unwindTo(step.depth - 1, step);
+            const top = this.current();
+            if (step.depth > top.depth + 1) {
+                this._report('warning', step,
+                    `CALL ${step.name} jumps from depth ${top.depth} to ${step.depth}`);
+            }
+            const frame = this._createFrame(step, top);
+            top.children.push(frame);
+            this.frames.push(frame);
+            this.stack.push(frame);
+            this.frameOf[step.step] = frame;
+            return;
+        }
+
+        if (step.type === 'RETURN') {
+            this._unwindTo(step.depth, step);
+            const top = this.current();
+            if (top === this.root) {
+                this._report('error', step, 'RETURN without a matching CALL');
+                this.frameOf[step.step] = top;
+                top.steps.push(step.step);
+                return;
+            }
+            top.steps.push(step.step);
+            top.returnStep = step.step;
+            this.frameOf[step.step] = top;
+            this.stack.pop();
+            return;
+        }
+
+        this._unwindTo(step.depth, step);
+        const top = this.current();
+        if (step.depth > top.depth && top !== this.root) {
+            this._report('warning', step,
+                `${step.type} at depth ${step.depth} inside ${top.name} (depth ${top.depth}) without a CALL`);
+        }
+        top.steps.push(step.step);
+        this.frameOf[step.step] = top;
+    }
+
+    /**
+     * Report every invocation still open at the end of the trace.
+     * Call once after the last step has been recorded.
+     */
+    finish() {
+        for (let i = this.stack.length - 1; i > 0; i--) {
+            const frame = this.stack[i];
+            this._report('error', this.trace[frame.callStep],
+                `CALL ${frame.name} (step ${frame.callStep}) has no matching RETURN`);
+        }
+        return this;
+    }
+
+    /**
+     * The innermost invocation currently open
+     */
+    current() {
+        return this.stack[this.stack.length - 1];
+    }
+
+    /**
+     * Invocations active at a step, outermost first (excluding the root)
+     * @returns {Array} frames
+     */
+    stackAt(step) {
+        const frames = [];
+        let frame = this.frameOf[step];
+        while (frame && frame !== this.root) {
+            frames.unshift(frame);
+            frame = frame.parent;
+        }
+        return frames;
+    }
+
+    /**
+     * Step index of the CALL whose frame contains a step. For a CALL this
+     * is the caller's CALL.
+     * @returns {number|null}
+     */
+    parentCallOf(step) {
+        let frame = this.frameOf[step];
+        if (frame && frame.callStep === step) {
+            frame = frame.parent;
+        }
+        return frame && frame !== this.root ? frame.callStep : null;
+    }
+
+    /**
+     * Deepest invocation depth reached
+     */
+    maxDepth() {
+        return this.frames.reduce((max, frame) => Math.max(max, frame.depth), 0);
+    }
+
+    _createFrame(callStep, parent) {
+        return {
+            id: this.frames ? this.frames.length : 0,
+            name: callStep ? callStep.name : '(top level)',
+            callStep: callStep ? callStep.step : null,
+            returnStep: null,
+            depth: callStep ? callStep.depth : 0,
+            parent: parent,
+            children: [],
+            steps: [] // steps executed in this frame, excluding its own CALL
+        };
+    }
+
+    /**
+     * Pop frames deeper than `depth`, reporting each as missing its RETURN
+     */
+    _unwindTo(depth, atStep) {
+        while (this.stack.length > 1 && this.current().depth > depth) {
+            const frame = this.stack.pop();
+            this._report('error', atStep,
+                `CALL ${frame.name} (step ${frame.callStep}) has no matching RETURN before depth drops to ${depth}`);
+        }
+    }
+
+    /**
+     * Record a diagnostic in the same shape CodeParser uses
+     */
+    _report(severity, step, message) {
+        const diagnostic = { severity, line: step.traceLine, column: 1, message, text: step.raw };
+        if (severity === 'error') {
+            this.errors.push(diagnostic);
+        } else {
+            this.warnings.push(diagnostic);
+        }
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = CallTree;
+}
@@ -0,0 +1,156 @@
+/**
+ * Camera modes for Code Mosaic
+ *   orbit   the free ArcRotateCamera: rotate, pan and zoom anywhere
+ *   follow  the orbit camera keeps the newest building in the middle,
+ *           easing after it as playback adds steps; rotating and zooming
+ *           still work
+ *   ride    a first-person fly-through just above the path, gliding from
+ *           step to step with playback and looking a few steps ahead
+ *
+ * Both moving modes ease towards where they should be on every frame
+ * instead of jumping, so scrubbing or a fast playback speed gives a smooth
+ * glide. With effects paused (see CodeVisualizer.toggleAnimation) they snap.
+ */
+class CameraController {
+    /**
+     * @param {CodeVisualizer} visualizer - an initialized visualizer
+     */
+    constructor(visualizer) {
+        this.visualizer = visualizer;
+        this.scene = visualizer.scene;
+        this.modes = ['orbit', 'follow', 'ride'];
+        this.mode = 'orbit';
+        this.followRate = 4;     // how fast the target catches up, per second
+        this.followRadius = 30;  // distance follow mode zooms to when it starts
+        this.rideRate = 3;
+        this.rideHeight = 4;     // above the path
+        this.rideLookAhead = 4;  // steps ahead the ride camera looks at
+        this.rideSnapDistance = 200; // jumps longer than this many steps are not glided
+        this.rideCamera = null;  // created the first time ride mode is used
+        this.rideProgress = 0;   // fractional step index the ride camera is at
+        this.rideLook = null;
+        this.trace = null;       // trace the ride progress belongs to
+        this.listeners = [];
+        this.observer = this.scene.onBeforeRenderObservable.add(() => this._update());
+    }
+
+    /**
+     * Switch camera mode. Leaving ride mode hands the view back to the
+     * orbit camera, looking at where the ride was looking.
+     * @param {string} mode - 'orbit', 'follow' or 'ride'
+     */
+    setMode(mode) {
+        if (!this.modes.includes(mode) || mode === this.mode) {
+            return;
+        }
+        const visualizer = this.visualizer;
+        const orbit = visualizer.camera;
+        const previous = this.mode;
+        this.mode = mode;
+        this.scene.stopAnimation(orbit);
+
+        if (mode === 'ride') {
+            if (!this.rideCamera) {
+                this.rideCamera = new BABYLON.UniversalCamera('rideCamera', orbit.position.clone(), this.scene);
+                this.rideCamera.minZ = 0.1;
+                this.rideCamera.fov = orbit.fov;
+            }
+            this.trace = null; // start riding from the current step
+            orbit.detachControl();
+            this.scene.activeCamera = this.rideCamera;
+        } else if (previous === 'ride') {
+            this.scene.activeCamera = orbit;
+            orbit.attachControl(visualizer.canvas, true);
+            if (this.rideLook) {
+                orbit.setTarget(this.rideLook.clone());
+            }
+        }
+        if (mode === 'follow') {
+            this._easeRadius(Math.max(orbit.lowerRadiusLimit, Math.min(this.followRadius, orbit.upperRadiusLimit)));
+        }
+        this.listeners.forEach(listener => listener(mode));
+    }
+
+    /**
+     * Register a listener called with the new mode whenever it changes
+     */
+    onChange(listener) {
+        this.listeners.push(listener);
+    }
+
+    /**
+     * Move the camera of the current mode one frame closer to where it
+     * should be
+     */
+    _update() {
+        const visualizer = this.visualizer;
+        if (this.mode === 'orbit' || !visualizer.pathPoints || visualizer.trace.length === 0) {
+            return;
+        }
+        const newest = Math.max(0, Math.min(visualizer.visibleCount, visualizer.pathPoints.length) - 1);
+        const seconds = Math.min(this.scene.getEngine().getDeltaTime() / 1000, 0.1);
+        const snap = !this.scene.animationsEnabled;
+        const ease = rate => (snap ? 1 : 1 - Math.exp(-seconds * rate));
+
+        if (this.mode === 'follow') {
+            const bounds = visualizer.getStepBounds(newest);
+            if (bounds) {
+                const goal = BABYLON.Vector3.Center(bounds.min, bounds.max);
+                // Keep alpha, beta and radius so the camera travels with
+                // its target instead of turning to face it from afar
+                const target = BABYLON.Vector3.Lerp(visualizer.camera.target, goal, ease(this.followRate));
+                visualizer.camera.setTarget(target, false, false, true);
+            }
+            return;
+        }
+
+        if (this.trace !== visualizer.trace || Math.abs(newest - this.rideProgress) > this.rideSnapDistance) {
+            this.trace = visualizer.trace;
+            this.rideProgress = newest;
+            this.rideLook = null;
+        }
+        this.rideProgress += (newest - this.rideProgress) * ease(this.rideRate);
+        const up = new BABYLON.Vector3(0, this.rideHeight, 0);
+        const position = this._pointAt(this.rideProgress).add(up);
+        const last = visualizer.pathPoints.length - 1;
+        let look;
+        if (this.rideProgress + this.rideLookAhead <= last) {
+            look = this._pointAt(this.rideProgress + this.rideLookAhead).add(up.scale(0.5));
+        } else {
+            // Near the end: keep looking the way the path was going
+            const heading = this._pointAt(this.rideProgress).subtract(this._pointAt(this.rideProgress - this.rideLookAhead));
+            look = position.add(heading).subtract(up.scale(0.5));
+        }
+        this.rideLook = this.rideLook ? BABYLON.Vector3.Lerp(this.rideLook, look, ease(this.rideRate)) : look;
+        this.rideCamera.position.copyFrom(position);
+        if (!this.rideLook.equalsWithEpsilon(position, 1e-3)) {
+            this.rideCamera.setTarget(this.rideLook);
+        }
+    }
+
+    /**
+     * Point on the path at a fractional step index, between the points of
+     * the steps either side
+     */
+    _pointAt(progress) {
+        const points = this.visualizer.pathPoints;
+        const clamped = Math.max(0, Math.min(progress, points.length - 1));
+        const index = Math.floor(clamped);
+        const next = Math.min(index + 1, points.length - 1);
+        return BABYLON.Vector3.Lerp(points[index], points[next], clamped - index);
+    }
+
+    _easeRadius(radius) {
+        const camera = this.visualizer.camera;
+        if (!this.scene.animationsEnabled) {
+            camera.radius = radius;
+            return;
+        }
+        const ease = new BABYLON.CubicEase();
+        ease.setEasingMode(BABYLON.EasingFunction.EASINGMODE_EASEINOUT);
+        BABYLON.Animation.CreateAndStartAnimation(
+            "followRadius", camera, "radius", 60, 30, camera.radius, radius,
+            BABYLON.Animation.ANIMATIONLOOPMODE_CONSTANT, ease
+        );
+    }
+}
@@ -0,0 +1,262 @@
+/**
+ * Trace diff for Code Mosaic
+ * Aligns two traces of the same program, typically a reference solution and
+ * a student's attempt, step by step. Steps are matched on record type, name
+ * and source line with a Myers (shortest edit script) alignment, so a few
+ * extra or missing steps do not throw the rest of the comparison off.
+ *
+ * Each aligned row is one of
+ * - 'same':    both traces have the step with the same value
+ * - 'changed': both traces have the step but with different values
+ * - 'missing': only the reference has the step
+ * - 'extra':   only the candidate has the step
+ */
+class TraceDiff {
+    /**
+     * @param {Array} reference - parsed steps of the reference trace
+     * @param {Array} candidate - parsed steps of the trace compared with it
+     * @param {object} [options]
+     * @param {number} [options.maxEdits=2000] - give up aligning the
+     *   differing middle of the traces beyond this many inserted/removed steps
+     */
+    constructor(reference, candidate, options = {}) {
+        this.reference = reference;
+        this.candidate = candidate;
+        this.maxEdits = options.maxEdits || 2000;
+        this.truncated = false; // true if the traces were too different to align fully
+        this.rows = this._align();
+        this.counts = { same: 0, changed: 0, missing: 0, extra: 0 };
+        this.rows.forEach(row => {
+            this.counts[row.kind]++;
+        });
+    }
+
+    /**
+     * What a step is matched on
+     */
+    static keyOf(step) {
+        return `${step.type}|${step.name}|${step.line}`;
+    }
+
+    /**
+     * One-line description of a row, e.g. for tooltips
+     */
+    static describe(row) {
+        switch (row.kind) {
+            case 'changed':
+                return `value ${TraceDiff.formatValue(row.a.value)} → ${TraceDiff.formatValue(row.b.value)}`;
+            case 'missing':
+                return 'only in the reference';
+            case 'extra':
+                return 'only in the compared trace';
+            default:
+                return 'same in both traces';
+        }
+    }
+
+    static formatValue(value) {
+        return value === null || value === undefined ? '—' : String(value);
+    }
+
+    /**
+     * Index of the first row where the traces differ, or null if they match
+     */
+    firstDivergence() {
+        const index = this.rows.findIndex(row => row.kind !== 'same');
+        return index === -1 ? null : index;
+    }
+
+    /**
+     * Variables whose last assigned value differs between the traces, or
+     * that only one trace assigned. Variables are told apart by name and
+     * the function they belong to.
+     * @returns {Array<{variable: string, func: string, reference: *, candidate: *}>}
+     */
+    changedVariables() {
+        const reference = TraceDiff.finalValues(this.reference);
+        const candidate = TraceDiff.finalValues(this.candidate);
+        const changed = [];
+        new Set([...reference.keys(), ...candidate.keys()]).forEach(key => {
+            const a = reference.get(key);
+            const b = candidate.get(key);
+            if (!a || !b || String(a.value) !== String(b.value)) {
+                const any = a || b;
+                changed.push({
+                    variable: any.variable,
+                    func: any.func,
+                    reference: a ? a.value : undefined,
+                    candidate: b ? b.value : undefined
+                });
+            }
+        });
+        return changed;
+    }
+
+    /**
+     * Last value of every variable a trace declared or assigned (array
+     * elements and pointers included)
+     * @returns {Map<string, {variable, func, value}>} keyed by "func.variable"
+     */
+    static finalValues(trace) {
+        const tree = new CallTree(trace).finish();
+        const values = new Map();
+        trace.forEach((step, i) => {
+            if (!['DECL', 'ASSIGN', 'ARRAY_WRITE', 'PTR_ASSIGN'].includes(step.type)) {
+                return;
+            }
+            const frame = tree.frameOf[i];
+            const func = frame === tree.root ? '' : frame.name;
+            values.set(`${func}.${step.name}`, { variable: step.name, func: func, value: step.value });
+        });
+        return values;
+    }
+
+    /**
+     * One record per row, so the aligned traces can be shown as a single
+     * trace. Rows present in the reference use its record and the rest the
+     * candidate's; every record carries its row in `diff`.
+     */
+    mergedTrace() {
+        return this.rows.map((row, index) => ({ ...(row.a || row.b), step: index, diff: row }));
+    }
+
+    /**
+     * Align the traces: common prefix and suffix first, then Myers on the
+     * differing middle
+     */
+    _align() {
+        const a = this.reference;
+        const b = this.candidate;
+        const ids = new Map();
+        const intern = step => {
+            const key = TraceDiff.keyOf(step);
+            if (!ids.has(key)) {
+                ids.set(key, ids.size);
+            }
+            return ids.get(key);
+        };
+        const keysA = Int32Array.from(a, intern);
+        const keysB = Int32Array.from(b, intern);
+
+        let start = 0;
+        while (start < a.length && start < b.length && keysA[start] === keysB[start]) {
+            start++;
+        }
+        let endA = a.length;
+        let endB = b.length;
+        while (endA > start && endB > start && keysA[endA - 1] === keysB[endB - 1]) {
+            endA--;
+            endB--;
+        }
+
+        const rows = [];
+        const match = (i, j) => {
+            rows.push({
+                a: a[i],
+                b: b[j],
+                kind: String(a[i].value) === String(b[j].value) ? 'same' : 'changed'
+            });
+        };
+        for (let i = 0; i < start; i++) {
+            match(i, i);
+        }
+
+        const script = this._shortestEdit(keysA.subarray(start, endA), keysB.subarray(start, endB));
+        if (script === null) {
+            this.truncated = true;
+            for (let i = start; i < endA; i++) {
+                rows.push({ a: a[i], b: null, kind: 'missing' });
+            }
+            for (let j = start; j < endB; j++) {
+                rows.push({ a: null, b: b[j], kind: 'extra' });
+            }
+        } else {
+            script.forEach(([op, i, j]) => {
+                if (op === '=') {
+                    match(start + i, start + j);
+                } else if (op === '-') {
+                    rows.push({ a: a[start + i], b: null, kind: 'missing' });
+                } else {
+                    rows.push({ a: null, b: b[start + j], kind: 'extra' });
+                }
+            });
+        }
+
+        for (let i = endA, j = endB; i < a.length; i++, j++) {
+            match(i, j);
+        }
+        return rows;
+    }
+
+    /**
+     * Myers' O((N + M) D) shortest edit script between two key sequences
+     * @returns {Array<[string, number, number]>|null} ['=', i, j] for a
+     *   match, ['-', i] for a removal and ['+', -1, j] for an insertion, in
+     *   order; null if more than maxEdits edits are needed
+     */
+    _shortestEdit(a, b) {
+        const n = a.length;
+        const m = b.length;
+        const max = Math.min(n + m, this.maxEdits);
+        const offset = max + 1;
+        const v = new Int32Array(2 * max + 3);
+        const history = []; // v[-d..d] after each round d
+
+        for (let d = 0; d <= max; d++) {
+            for (let k = -d; k <= d; k += 2) {
+                let x = (k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1]))
+                    ? v[offset + k + 1]
+                    : v[offset + k - 1] + 1;
+                let y = x - k;
+                while (x < n && y < m && a[x] === b[y]) {
+                    x++;
+                    y++;
+                }
+                v[offset + k] = x;
+                if (x >= n && y >= m) {
+                    return this._backtrack(history, d, n, m);
+                }
+            }
+            history.push(v.slice(offset - d, offset + d + 1));
+        }
+        return null;
+    }
+
+    _backtrack(history, edits, n, m) {
+        const script = [];
+        let x = n;
+        let y = m;
+        for (let d = edits; d > 0; d--) {
+            const previous = history[d - 1]; // index k + d - 1
+            const at = k => previous[k + d - 1];
+            const k = x - y;
+            const previousK = (k === -d || (k !== d && at(k - 1) < at(k + 1))) ? k + 1 : k - 1;
+            const previousX = at(previousK);
+            const previousY = previousX - previousK;
+            while (x > previousX && y > previousY) {
+                x--;
+                y--;
+                script.push(['=', x, y]);
+            }
+            if (x === previousX) {
+                y--;
+                script.push(['+', -1, y]);
+            } else {
+                x--;
+                script.push(['-', x, -1]);
+            }
+            x = previousX;
+            y = previousY;
+        }
+        while (x > 0 && y > 0) {
+            x--;
+            y--;
+            script.push(['=', x, y]);
+        }
+        return script.reverse();
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TraceDiff;
+}
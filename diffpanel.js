@@ -0,0 +1,145 @@
+/**
+ * Diff panel for Code Mosaic
+ * Summarises a comparison of two traces (see TraceDiff): how many steps
+ * match, changed, went missing or were added, where the traces first part
+ * ways, and which variables ended with different values. Also holds the
+ * "Compare With…" picker and the overlay / side-by-side switch.
+ */
+class DiffPanel {
+    /**
+     * @param {CodeVisualizer} visualizer - an initialized visualizer
+     */
+    constructor(visualizer) {
+        this.visualizer = visualizer;
+        this.panel = document.getElementById('diff');
+        this.names = document.getElementById('diffNames');
+        this.counts = document.getElementById('diffCounts');
+        this.first = document.getElementById('diffFirst');
+        this.variables = document.getElementById('diffVariables');
+        this.modeSelect = document.getElementById('diffMode');
+        this.renderedTrace = null;
+        this.maxRows = 100;
+    }
+
+    /**
+     * Wire the picker and panel controls, and re-render when a comparison
+     * is loaded
+     */
+    attach() {
+        this.visualizer.playback.onChange(() => {
+            if (this.renderedTrace !== this.visualizer.trace) {
+                this.render();
+            }
+        });
+
+        const input = document.getElementById('compareFile');
+        document.getElementById('compareTrace').addEventListener('click', () => input.click());
+        input.addEventListener('change', () => {
+            const files = [...input.files];
+            input.value = ''; // allow re-selecting the same file
+            this.compareFiles(files);
+        });
+
+        this.modeSelect.value = this.visualizer.diffMode;
+        this.modeSelect.addEventListener('change', () => {
+            this.visualizer.setDiffMode(this.modeSelect.value);
+        });
+        document.getElementById('diffClose').addEventListener('click', () => {
+            // Back to the reference trace on its own
+            const source = this.visualizer.traceSource;
+            this.visualizer.visualize(source.text, source.name);
+        });
+        return this;
+    }
+
+    /**
+     * Compare picked files: one file is compared with the loaded trace (the
+     * reference), two files with each other, the first being the reference
+     * @param {Array<File>} files
+     */
+    async compareFiles(files) {
+        if (files.length === 0) {
+            return;
+        }
+        const texts = await Promise.all(files.slice(0, 2).map(file => file.text()));
+        const picked = texts.map((text, index) => ({ text, name: files[index].name }));
+        if (picked.length === 2) {
+            this.visualizer.compare(picked[0], picked[1]);
+        } else if (this.visualizer.traceSource) {
+            this.visualizer.compare(this.visualizer.traceSource, picked[0]);
+        } else {
+            this.showMessage('Load a reference trace first, or pick two traces to compare.');
+        }
+    }
+
+    showMessage(message) {
+        this.names.textContent = message;
+        this.counts.innerHTML = '';
+        this.first.innerHTML = '';
+        this.variables.innerHTML = '';
+        this.panel.style.display = 'block';
+    }
+
+    render() {
+        this.renderedTrace = this.visualizer.trace;
+        const diff = this.visualizer.diff;
+        this.panel.style.display = diff ? 'block' : 'none';
+        if (!diff) {
+            return;
+        }
+        this.modeSelect.value = this.visualizer.diffMode; // a restored session may have changed it
+        this.names.textContent = this.visualizer.traceName;
+
+        this.counts.innerHTML = '';
+        ['same', 'changed', 'missing', 'extra'].forEach(kind => {
+            const chip = document.createElement('span');
+            chip.className = `diff-chip diff-${kind}`;
+            chip.textContent = `${diff.counts[kind]} ${kind}`;
+            this.counts.appendChild(chip);
+        });
+
+        this.first.innerHTML = '';
+        const row = diff.firstDivergence();
+        if (row === null) {
+            this.first.textContent = 'The traces match step for step.';
+        } else {
+            const record = this.visualizer.trace[row];
+            const link = document.createElement('a');
+            link.href = '#';
+            link.textContent = `step ${row}: ${record.type} ${record.name || ''}` +
+                `${record.line !== null ? ` (line ${record.line})` : ''} — ${TraceDiff.describe(diff.rows[row])}`;
+            link.addEventListener('click', (event) => {
+                event.preventDefault();
+                this.visualizer.playback.pause();
+                this.visualizer.playback.seek(row + 1);
+                this.visualizer.focusOnStep(row);
+            });
+            this.first.append('First divergence at ', link);
+        }
+        if (diff.truncated) {
+            const note = document.createElement('div');
+            note.textContent = 'The traces differ too much to align fully; the differing middle is shown as ' +
+                'removed and added steps.';
+            this.first.appendChild(note);
+        }
+
+        this.variables.innerHTML = '';
+        const changed = diff.changedVariables();
+        const header = this.variables.insertRow();
+        ['Final value', 'Reference', 'Compared'].forEach(text => {
+            header.insertCell().textContent = text;
+        });
+        if (changed.length === 0) {
+            this.variables.insertRow().insertCell().textContent = 'Every variable ends with the same value';
+        }
+        changed.slice(0, this.maxRows).forEach(variable => {
+            const tableRow = this.variables.insertRow();
+            tableRow.insertCell().textContent = variable.func ? `${variable.func}: ${variable.variable}` : variable.variable;
+            tableRow.insertCell().textContent = TraceDiff.formatValue(variable.reference);
+            tableRow.insertCell().textContent = TraceDiff.formatValue(variable.candidate);
+        });
+        if (changed.length > this.maxRows) {
+            this.variables.insertRow().insertCell().textContent = `…and ${changed.length - this.maxRows} more`;
+        }
+    }
+}
@@ -0,0 +1,225 @@
+/**
+ * Scene export for Code Mosaic
+ * Saves the current view as a PNG, records playback as a WebM video,
+ * exports the path and buildings as a glTF/GLB model for slides or 3D
+ * printing, and writes the loaded trace back out in the pipe format,
+ * whatever format it was read from. Images and videos are rendered at the resolution chosen in the
+ * export box rather than the window size.
+ */
+class SceneExporter {
+    /**
+     * @param {CodeVisualizer} visualizer - an initialized visualizer
+     */
+    constructor(visualizer) {
+        this.visualizer = visualizer;
+        this.recorder = null;
+        this.status = document.getElementById('exportStatus');
+        this.sizeSelect = document.getElementById('exportSize');
+        this.fpsSelect = document.getElementById('exportFps');
+        this.recordButton = document.getElementById('recordVideo');
+    }
+
+    /**
+     * Wire up the export box buttons
+     */
+    attach() {
+        document.getElementById('exportPng').addEventListener('click', () => {
+            const { width, height } = this.getResolution();
+            this._run(this.exportPng(width, height));
+        });
+        this.recordButton.addEventListener('click', () => {
+            if (this.isRecording()) {
+                this.stopRecording();
+                return;
+            }
+            const { width, height } = this.getResolution();
+            this._run(this.recordPlayback(width, height, parseInt(this.fpsSelect.value, 10)));
+        });
+        document.getElementById('exportGlb').addEventListener('click', () => this._run(this.exportModel('glb')));
+        document.getElementById('exportGltf').addEventListener('click', () => this._run(this.exportModel('gltf')));
+        document.getElementById('exportTrace').addEventListener('click', () => this.exportTrace());
+        return this;
+    }
+
+    /**
+     * Output size selected in the export box, e.g. "1920x1080"
+     * @returns {{width: number, height: number}}
+     */
+    getResolution() {
+        const [width, height] = this.sizeSelect.value.split('x').map(n => parseInt(n, 10));
+        return { width, height };
+    }
+
+    /**
+     * Render the current view off screen at the given size and download it
+     */
+    async exportPng(width, height) {
+        const { engine, scene } = this.visualizer;
+        this.setStatus('Rendering image…');
+        // From whichever camera is showing the scene, e.g. the ride camera
+        const data = await BABYLON.Tools.CreateScreenshotUsingRenderTargetAsync(
+            engine, scene.activeCamera, { width, height }, 'image/png', 4, true);
+        SceneExporter.download(data, `${this._fileBase()}.png`);
+        this.setStatus(`Saved ${width} × ${height} PNG`);
+    }
+
+    /**
+     * Replay the trace from the first step and record it as WebM. Recording
+     * stops when playback reaches the end or stopRecording() is called.
+     */
+    async recordPlayback(width, height, fps) {
+        const { engine, playback } = this.visualizer;
+        if (!BABYLON.VideoRecorder.IsSupported(engine)) {
+            throw new Error('Video recording is not supported in this browser');
+        }
+        if (playback.length === 0) {
+            throw new Error('Load a trace before recording');
+        }
+
+        const mimeType = window.MediaRecorder && MediaRecorder.isTypeSupported('video/webm;codecs=vp9')
+            ? 'video/webm;codecs=vp9'
+            : 'video/webm';
+        this.recorder = new BABYLON.VideoRecorder(engine, { fps, mimeType });
+        engine.setSize(width, height);
+
+        playback.pause();
+        playback.seek(0);
+        const finished = () => {
+            if (!playback.isPlaying && playback.cursor === playback.length) {
+                this.stopRecording();
+            }
+        };
+        playback.onChange(finished);
+
+        this.recordButton.textContent = 'Stop Recording';
+        this.setStatus(`Recording ${width} × ${height} at ${fps} fps…`);
+        const recording = this.recorder.startRecording(null, 0);
+        playback.play();
+        try {
+            const blob = await recording;
+            SceneExporter.download(blob, `${this._fileBase()}.webm`);
+            this.setStatus('Saved WebM video');
+        } finally {
+            playback.offChange(finished);
+            this.recorder = null;
+            this.recordButton.textContent = 'Record Playback (WebM)';
+            engine.resize();
+        }
+    }
+
+    isRecording() {
+        return this.recorder !== null && this.recorder.isRecording;
+    }
+
+    stopRecording() {
+        if (this.isRecording()) {
+            this.recorder.stopRecording();
+        }
+    }
+
+    /**
+     * Export the path, the buildings shown at the current step and any loop
+     * summaries and ribbons as a single GLB file or a glTF file set
+     * @param {string} format - 'glb' or 'gltf'
+     */
+    async exportModel(format) {
+        if (!BABYLON.GLTF2Export) {
+            throw new Error('The Babylon.js serializers library is not loaded');
+        }
+        const visualizer = this.visualizer;
+        this.setStatus('Exporting model…');
+
+        // Thin instances are baked into plain meshes so every viewer sees
+        // the buildings; the instanced chunk meshes themselves are skipped
+        const baked = visualizer.renderer.bake();
+        if (visualizer.twinOffset) {
+            baked.push(...visualizer.twinRenderer.bake());
+        }
+        const nodes = new Set([...baked, ...visualizer.pathMeshes]);
+        visualizer.connectors.forEach(connector => connector.mesh && nodes.add(connector.mesh));
+        visualizer.loopSummaries.forEach(summary => {
+            nodes.add(summary.mesh);
+            nodes.add(summary.label);
+        });
+
+        try {
+            const options = { shouldExportNode: node => nodes.has(node) };
+            const name = this._fileBase();
+            const data = format === 'glb'
+                ? await BABYLON.GLTF2Export.GLBAsync(visualizer.scene, name, options)
+                : await BABYLON.GLTF2Export.GLTFAsync(visualizer.scene, name, options);
+            data.downloadFiles();
+            this.setStatus(`Saved ${format.toUpperCase()} model`);
+        } finally {
+            baked.forEach(mesh => mesh.dispose());
+        }
+    }
+
+    /**
+     * Save the loaded trace in the pipe-delimited format, e.g. to convert a
+     * JSON or gdb log trace. When comparing, that is the aligned trace.
+     */
+    exportTrace() {
+        const trace = this.visualizer.trace;
+        if (trace.length === 0) {
+            this.setStatus('Load a trace before exporting it');
+            return;
+        }
+        SceneExporter.download(CodeParser.stringify(trace), `${this._fileBase()}.trace`);
+        this.setStatus(`Saved ${trace.length} steps as a pipe-delimited trace`);
+    }
+
+    setStatus(message) {
+        this.status.textContent = message;
+    }
+
+    /**
+     * Run an export, reporting failures in the export box
+     */
+    _run(promise) {
+        promise.catch(error => {
+            console.error(error);
+            this.setStatus(`Export failed: ${error.message}`);
+        });
+    }
+
+    /**
+     * File name for exports: the trace name without its extension
+     */
+    _fileBase() {
+        return SceneExporter.fileBase(this.visualizer.traceName);
+    }
+
+    /**
+     * A trace name made safe for a file name, without its extension.
+     * Panels that save files name them after the trace with this too.
+     * @param {string|null} traceName
+     */
+    static fileBase(traceName) {
+        const name = (traceName || 'mosaic').replace(/\.[^.]*$/, '');
+        return name.replace(/[^\w.-]+/g, '_') || 'mosaic';
+    }
+
+    /**
+     * Save a data URL, Blob or text as a file
+     * @param {string|Blob} data - a string that is not a data URL is saved
+     *     as text of the given type
+     * @param {string} fileName
+     * @param {string} [type] - MIME type of text, plain text by default
+     */
+    static download(data, fileName, type) {
+        if (typeof data === 'string' && !/^data:[\w.+-]+\/[\w.+-]+[;,]/.test(data)) {
+            data = new Blob([data], { type: type || 'text/plain' });
+        }
+        const url = typeof data === 'string' ? data : URL.createObjectURL(data);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = fileName;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        if (typeof data !== 'string') {
+            setTimeout(() => URL.revokeObjectURL(url), 1000);
+        }
+    }
+}
@@ -0,0 +1,201 @@
+/**
+ * Filter bar for Code Mosaic
+ * A query box (see TraceQuery) and one toggle chip per record type. Steps
+ * matching the query and an enabled type stay lit while the rest of the
+ * mosaic fades; the arrows jump from match to match, and every match is
+ * marked on the playback scrubber.
+ */
+class FilterBar {
+    /**
+     * @param {CodeVisualizer} visualizer - an initialized visualizer
+     * @param {BuildingInspector} inspector - selects the match jumped to
+     */
+    constructor(visualizer, inspector) {
+        this.visualizer = visualizer;
+        this.inspector = inspector;
+        this.input = document.getElementById('filterQuery');
+        this.chips = document.getElementById('filterChips');
+        this.status = document.getElementById('filterStatus');
+        this.marks = document.getElementById('scrubberMarks');
+        this.query = new TraceQuery('');
+        this.disabledTypes = new Set(); // record types switched off by their chip
+        this.matches = null;            // Uint8Array per step, or null when nothing is filtered
+        this.matchCount = 0;
+        this.filteredTrace = null;
+        this.inputDelay = 200;          // ms to wait after typing before filtering
+        this.timer = null;
+    }
+
+    /**
+     * Filter as the query is typed and re-apply the filter to new traces
+     */
+    attach() {
+        this.input.addEventListener('input', () => {
+            clearTimeout(this.timer);
+            this.timer = setTimeout(() => this.setQuery(this.input.value), this.inputDelay);
+        });
+        this.input.addEventListener('keydown', (event) => {
+            if (event.key === 'Enter') {
+                clearTimeout(this.timer);
+                if (this.query.text !== this.input.value.trim()) {
+                    this.setQuery(this.input.value);
+                }
+                this.jump(event.shiftKey ? -1 : 1);
+            }
+        });
+        document.getElementById('filterPrev').addEventListener('click', () => this.jump(-1));
+        document.getElementById('filterNext').addEventListener('click', () => this.jump(1));
+        this.visualizer.playback.onChange(() => {
+            if (this.filteredTrace !== this.visualizer.trace) {
+                this.renderChips();
+                this.apply();
+            }
+        });
+        // Live traces grow in place: match the new steps too
+        this.visualizer.onAppend(() => {
+            this.renderChips();
+            this.apply();
+        });
+        return this;
+    }
+
+    /**
+     * Filter by a query; malformed queries are reported and leave the
+     * current filter in place
+     * @param {string} text
+     * @returns {boolean} whether the query was valid
+     */
+    setQuery(text) {
+        try {
+            this.query = new TraceQuery(text);
+        } catch (error) {
+            this.input.classList.add('invalid');
+            this.status.textContent = error.message;
+            return false;
+        }
+        this.input.classList.remove('invalid');
+        this.apply();
+        return true;
+    }
+
+    /**
+     * Replace the query and the switched-off types at once, e.g. when a
+     * shared view is opened
+     * @param {string} text
+     * @param {Iterable<string>} disabledTypes
+     * @returns {boolean} whether the query was valid
+     */
+    restore(text, disabledTypes) {
+        clearTimeout(this.timer);
+        this.input.value = text;
+        this.disabledTypes = new Set(disabledTypes);
+        this.renderChips();
+        return this.setQuery(text);
+    }
+
+    /**
+     * Switch a record type's chip on or off
+     */
+    toggleType(type) {
+        if (this.disabledTypes.has(type)) {
+            this.disabledTypes.delete(type);
+        } else {
+            this.disabledTypes.add(type);
+        }
+        this.renderChips();
+        this.apply();
+    }
+
+    /**
+     * Work out which steps match and fade the rest
+     */
+    apply() {
+        const trace = this.visualizer.trace;
+        this.filteredTrace = trace;
+        if (this.query.isEmpty() && this.disabledTypes.size === 0) {
+            this.matches = null;
+            this.matchCount = trace.length;
+            this.status.textContent = '';
+        } else {
+            this.matches = new Uint8Array(trace.length);
+            this.matchCount = 0;
+            trace.forEach((step, i) => {
+                if (!this.disabledTypes.has(step.type) && this.query.test(step)) {
+                    this.matches[i] = 1;
+                    this.matchCount++;
+                }
+            });
+            this.status.textContent = `${this.matchCount} of ${trace.length} steps match`;
+        }
+        this.visualizer.setFilter(this.matches);
+        this.drawMarks();
+    }
+
+    /**
+     * Select the next (+1) or previous (-1) matching step after the selected
+     * one (or the playback position), wrapping around, and fly to it
+     */
+    jump(direction) {
+        const trace = this.visualizer.trace;
+        if (trace.length === 0 || this.matchCount === 0) {
+            return;
+        }
+        const selected = this.inspector.selectedStep;
+        const from = selected !== null ? selected : this.visualizer.playback.cursor - 1;
+        for (let offset = 1; offset <= trace.length; offset++) {
+            const step = ((from + direction * offset) % trace.length + trace.length) % trace.length;
+            if (!this.matches || this.matches[step] === 1) {
+                this.inspector.select(step);
+                this.visualizer.focusOnStep(step);
+                return;
+            }
+        }
+    }
+
+    /**
+     * One chip per record type in the trace, in the palette's color
+     */
+    renderChips() {
+        this.chips.innerHTML = '';
+        const types = [...new Set(this.visualizer.trace.map(step => step.type))];
+        types.forEach(type => {
+            const color = this.visualizer.parser.getColorForType(type);
+            const chip = document.createElement('button');
+            chip.className = 'filter-chip';
+            chip.classList.toggle('off', this.disabledTypes.has(type));
+            chip.textContent = type;
+            chip.title = this.disabledTypes.has(type) ? `Show ${type} steps` : `Hide ${type} steps`;
+            chip.style.borderColor = `rgb(${[color.r, color.g, color.b].map(c => Math.round(c * 255)).join(', ')})`;
+            chip.addEventListener('click', () => this.toggleType(type));
+            this.chips.appendChild(chip);
+        });
+    }
+
+    /**
+     * Tick every match on the canvas under the playback scrubber. Matches
+     * that share a pixel column share a tick.
+     */
+    drawMarks() {
+        const context = this.marks.getContext ? this.marks.getContext('2d') : null;
+        if (!context) {
+            return;
+        }
+        const { width, height } = this.marks;
+        context.clearRect(0, 0, width, height);
+        if (!this.matches) {
+            return;
+        }
+        const length = this.matches.length;
+        context.fillStyle = '#ffd700';
+        let lastColumn = -1;
+        for (let i = 0; i < length; i++) {
+            if (this.matches[i] === 1) {
+                const column = Math.floor((i + 0.5) / length * width);
+                if (column !== lastColumn) {
+                    context.fillRect(column, 0, 1, height);
+                    lastColumn = column;
+                }
+            }
+        }
+    }
+}
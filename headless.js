@@ -0,0 +1,86 @@
+/**
+ * Code Mosaic without a browser
+ * Loads the parts of Code Mosaic that need neither a page nor Babylon.js as
+ * Node modules: the parser and importers, the analyses, statistics,
+ * layouts, themes and the C interpreter.
+ *
+ *     const { analyzeTrace, layoutTrace } = require('./headless.js');
+ *     const analysis = analyzeTrace(fs.readFileSync('run.trace', 'utf8'), 'run.trace');
+ *     console.log(analysis.errors, analysis.statistics.toJSON());
+ *
+ * The files are also <script>s for the page, where they find each other as
+ * globals, so loading them here makes them globals too. CodeVisualizer is
+ * among them for its static helpers (e.g. the default shape profiles);
+ * creating one still needs a canvas.
+ */
+
+const classes = {
+    CodeParser: require('./parser.js'),
+    TraceImporter: require('./importers.js'),
+    CallTree: require('./callstack.js'),
+    LoopAnalyzer: require('./loops.js'),
+    MemoryModel: require('./memory.js'),
+    HeapAnalyzer: require('./heap.js'),
+    TraceStatistics: require('./stats.js'),
+    TraceDiff: require('./diff.js'),
+    TraceQuery: require('./query.js'),
+    SeededRandom: require('./random.js'),
+    LayoutEngine: require('./layouts.js'),
+    CInterpreter: require('./interpreter.js'),
+    ThemeManager: require('./themes.js'),
+    CodeVisualizer: require('./visualizer.js')
+};
+Object.assign(globalThis, classes);
+
+/**
+ * Parse a trace in any format TraceImporter reads and analyse it the way
+ * the visualizer does when the trace is loaded
+ * @param {string} text - raw trace text
+ * @param {string} [name] - file name, used to detect the format
+ * @returns {{steps, format, errors, warnings, malformedLines, unbalancedCalls, callTree, loops, memory, heap, statistics}}
+ *   errors and warnings include unbalanced CALL/RETURN pairs, ordered by
+ *   trace line; malformedLines counts the lines that were left out of steps
+ *   (a line can have several errors) and unbalancedCalls the CALL/RETURN
+ *   errors
+ */
+function analyzeTrace(text, name) {
+    const parser = new classes.CodeParser();
+    const { steps, format } = new classes.TraceImporter().parse(parser, text, name);
+    const callTree = new classes.CallTree(steps).finish();
+    const loops = new classes.LoopAnalyzer(steps, callTree);
+    const memory = new classes.MemoryModel(steps);
+    const byLine = (a, b) => a.line - b.line || a.column - b.column;
+    return {
+        steps: steps,
+        format: format,
+        errors: [...parser.errors, ...callTree.errors].sort(byLine),
+        warnings: [...parser.warnings, ...callTree.warnings].sort(byLine),
+        malformedLines: new Set(parser.errors.map(error => error.line)).size,
+        unbalancedCalls: callTree.errors.length,
+        callTree: callTree,
+        loops: loops,
+        memory: memory,
+        heap: new classes.HeapAnalyzer(steps),
+        statistics: new classes.TraceStatistics(steps, callTree, loops, memory)
+    };
+}
+
+/**
+ * Where a layout puts each step of an analysed trace
+ * @param {object} analysis - from analyzeTrace()
+ * @param {string} [id] - layout id (see LayoutEngine); the spiral by default
+ * @param {object} [options] - layout settings; missing ones use the defaults
+ * @param {boolean} [coilLoops] - coil loop iterations, as the Loops panel's option
+ * @returns {{points, segments, center, extent}} see LayoutEngine.compute()
+ */
+function layoutTrace(analysis, id, options, coilLoops) {
+    return new classes.LayoutEngine().compute(id || 'spiral', {
+        trace: analysis.steps,
+        callTree: analysis.callTree,
+        loops: analysis.loops,
+        coilLoops: Boolean(coilLoops),
+        growing: false
+    }, options || {});
+}
+
+module.exports = { ...classes, analyzeTrace, layoutTrace };
@@ -0,0 +1,248 @@
+/**
+ * Heap and pointer analysis for Code Mosaic
+ * Follows MALLOC and FREE records to know which blocks are allocated at
+ * each step, resolves every pointer value (PTR_ASSIGN) and dereferenced
+ * address (DEREF) to the step that declared or allocated what it points to,
+ * and reports accesses to freed blocks, blocks freed twice and blocks that
+ * are never freed.
+ *
+ * Addresses are compared as numbers, so "0x602010" and "0000000000602010"
+ * are the same place, and an address anywhere inside a block belongs to it.
+ */
+class HeapAnalyzer {
+    /**
+     * @param {Array} trace - parsed execution steps from CodeParser
+     */
+    constructor(trace) {
+        this.trace = trace;
+        this.blocks = [];         // { id, address, size, name, mallocStep, freeStep }
+        this.pointers = [];       // { step, target, block } in trace order
+        this.problems = [];       // use-after-free and double-free, in trace order
+        this.declared = new Map(); // address (BigInt) -> step of its latest DECL
+        this.starts = [];         // block start addresses (BigInt), ascending, no repeats
+        this.byStart = new Map(); // start address -> blocks starting there, oldest first
+        this.largestBlock = 1n;
+        trace.forEach(step => this.record(step));
+    }
+
+    /**
+     * Add one step to the analysis. Steps must be recorded in trace order.
+     */
+    record(step) {
+        const address = HeapAnalyzer.toNumber(step.address);
+        switch (step.type) {
+            case 'MALLOC':
+                if (address !== null) {
+                    this._allocate(step, address);
+                }
+                return;
+            case 'FREE':
+                if (address !== null) {
+                    this._free(step, address);
+                }
+                return;
+            case 'DECL':
+                if (address !== null) {
+                    this.declared.set(address, step.step);
+                }
+                return;
+            case 'PTR_ASSIGN':
+                this._checkAccess(step, address);
+                this._point(step, HeapAnalyzer.toNumber(step.value));
+                return;
+            case 'DEREF':
+                this._checkAccess(step, address);
+                this._point(step, address);
+                return;
+            case 'ASSIGN':
+            case 'ARRAY_WRITE':
+                this._checkAccess(step, address);
+                return;
+            default:
+                return;
+        }
+    }
+
+    /**
+     * Blocks still allocated at the end of the trace, as problems
+     * @returns {Array<{step, kind, block, message}>}
+     */
+    leaks() {
+        return this.blocks
+            .filter(block => block.freeStep === null)
+            .map(block => ({
+                step: block.mallocStep,
+                kind: 'leak',
+                block: block,
+                message: `${this._describe(block)} is never freed`
+            }));
+    }
+
+    /**
+     * Every problem found, leaks included, ordered by step
+     */
+    allProblems() {
+        return [...this.problems, ...this.leaks()].sort((a, b) => a.step - b.step);
+    }
+
+    /**
+     * Problems reported at a step
+     */
+    problemsAt(step) {
+        return this.allProblems().filter(problem => problem.step === step);
+    }
+
+    /**
+     * The pointer arc starting at a step, if it points somewhere known
+     * @returns {{step, target, block}|null}
+     */
+    pointerAt(step) {
+        let lo = 0;
+        let hi = this.pointers.length - 1;
+        while (lo <= hi) {
+            const mid = (lo + hi) >> 1;
+            const pointer = this.pointers[mid];
+            if (pointer.step === step) {
+                return pointer;
+            }
+            if (pointer.step < step) {
+                lo = mid + 1;
+            } else {
+                hi = mid - 1;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * The block an address falls in: the most recently allocated one that
+     * contains it, freed or not
+     * @param {bigint} address
+     * @returns {object|null}
+     */
+    blockAt(address) {
+        // Last start at or below the address
+        let lo = 0;
+        let hi = this.starts.length - 1;
+        let index = -1;
+        while (lo <= hi) {
+            const mid = (lo + hi) >> 1;
+            if (this.starts[mid] <= address) {
+                index = mid;
+                lo = mid + 1;
+            } else {
+                hi = mid - 1;
+            }
+        }
+        // Walk down while a block starting there could still reach it
+        let found = null;
+        for (let i = index; i >= 0 && address - this.starts[i] < this.largestBlock; i--) {
+            this.byStart.get(this.starts[i]).forEach(block => {
+                if (address < block.address + block.size && (!found || block.mallocStep > found.mallocStep)) {
+                    found = block;
+                }
+            });
+        }
+        return found;
+    }
+
+    _allocate(step, address) {
+        const size = Number.isInteger(step.value) && step.value > 0 ? BigInt(step.value) : 1n;
+        const block = {
+            id: this.blocks.length,
+            address: address,
+            size: size,
+            name: step.name,
+            mallocStep: step.step,
+            freeStep: null
+        };
+        this.blocks.push(block);
+        if (size > this.largestBlock) {
+            this.largestBlock = size;
+        }
+        let list = this.byStart.get(address);
+        if (!list) {
+            list = [];
+            this.byStart.set(address, list);
+            this._insertStart(address);
+        }
+        list.push(block);
+    }
+
+    _free(step, address) {
+        const list = this.byStart.get(address);
+        const block = list ? list[list.length - 1] : null;
+        if (!block) {
+            return; // allocated before the trace began, or not on the heap
+        }
+        if (block.freeStep !== null) {
+            this._report(step, 'double-free', block,
+                `${this._describe(block)} was already freed at step ${block.freeStep}`);
+            return;
+        }
+        block.freeStep = step.step;
+    }
+
+    /**
+     * Report a read or write landing in a freed block
+     */
+    _checkAccess(step, address) {
+        if (address === null) {
+            return;
+        }
+        const block = this.blockAt(address);
+        if (block && block.freeStep !== null) {
+            const verb = step.type === 'DEREF' ? 'reads' : 'writes';
+            this._report(step, 'use-after-free', block,
+                `${step.name} ${verb} ${this._describe(block)}, freed at step ${block.freeStep}`);
+        }
+    }
+
+    /**
+     * Remember where a pointer value points: into a heap block, or at a
+     * declared variable. NULL and unknown addresses point nowhere.
+     */
+    _point(step, address) {
+        if (address === null || address === 0n) {
+            return;
+        }
+        const block = this.blockAt(address);
+        const target = block ? block.mallocStep : this.declared.get(address);
+        if (target !== undefined) {
+            this.pointers.push({ step: step.step, target: target, block: block });
+        }
+    }
+
+    _insertStart(address) {
+        let index = this.starts.length;
+        while (index > 0 && this.starts[index - 1] > address) {
+            index--;
+        }
+        this.starts.splice(index, 0, address);
+    }
+
+    _report(step, kind, block, message) {
+        this.problems.push({ step: step.step, kind, block, message });
+    }
+
+    _describe(block) {
+        const line = this.trace[block.mallocStep].line;
+        return `the ${block.size}-byte block allocated for ${block.name}` +
+            (line !== null ? ` on line ${line}` : '');
+    }
+
+    /**
+     * A hexadecimal address from a trace record as a number
+     * @returns {bigint|null} null for anything that is not an address
+     */
+    static toNumber(address) {
+        if (typeof address !== 'string' || !/^[0-9A-F]+$/i.test(address)) {
+            return null;
+        }
+        return BigInt(`0x${address}`);
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = HeapAnalyzer;
+}
@@ -0,0 +1,339 @@
+/**
+ * Trace importers for Code Mosaic
+ * CodeParser reads the pipe-delimited format; the importers here read the
+ * other formats traces come in and hand CodeParser the same records, so a
+ * trace looks and is checked the same whichever format it was saved in.
+ *
+ * Built in:
+ *   pipe     TYPE|name|value|address|line|depth, one record per line
+ *   json     an array of step objects, or an object whose "steps" (or
+ *            "trace") is one
+ *   ndjson   one step object per line (.ndjson, .jsonl)
+ *   gdb-log  a gdb or lldb session log in which each record is a line
+ *            starting "mosaic:" followed by the type and key=value fields,
+ *            e.g. printed by gdb's dprintf; everything else is ignored
+ *
+ * Step objects use the trace field names: { "type": "DECL", "name": "sum",
+ * "value": 0, "address": "0x7ffc8a4c", "line": 2, "depth": 1 }, with "event"
+ * accepted for "type" and "addr" for "address". Numeric addresses are
+ * converted to hexadecimal.
+ *
+ * A format is { id, name, extensions, detect(text), read(text), write(trace) },
+ * where read() returns { records, problems } for CodeParser.parseRecords()
+ * and write() turns a parsed trace back into text (null if the format is
+ * read-only); register() adds more.
+ */
+class TraceImporter {
+    constructor() {
+        this.formats = new Map(); // id -> format, in detection order
+        this.detectLength = 64 * 1024; // characters of a trace looked at to detect its format
+        TraceImporter.builtIns().forEach(format => this.register(format));
+    }
+
+    /**
+     * Add or replace a format. Formats registered later are tried after
+     * the built-in ones, except that pipe is always the fallback.
+     */
+    register(format) {
+        this.formats.set(format.id, format);
+    }
+
+    /**
+     * Format by id
+     * @returns {object|undefined}
+     */
+    get(id) {
+        return this.formats.get(id);
+    }
+
+    /**
+     * Work out a trace's format. A format claimed by the file's extension
+     * wins if the content agrees; otherwise the first format that
+     * recognises the content, then the extension's, then pipe.
+     * @param {string} text - raw trace text
+     * @param {string} [name] - file name, whose extension is a hint
+     * @returns {object} format
+     */
+    detect(text, name) {
+        const head = text.slice(0, this.detectLength);
+        const extension = /(\.[^./\\]+)$/.exec(name || '');
+        const byExtension = extension
+            ? [...this.formats.values()].find(format => format.extensions.includes(extension[1].toLowerCase()))
+            : undefined;
+        if (byExtension && byExtension.detect(head)) {
+            return byExtension;
+        }
+        const byContent = [...this.formats.values()].find(format => format.id !== 'pipe' && format.detect(head));
+        return byContent || byExtension || this.formats.get('pipe');
+    }
+
+    /**
+     * Parse a trace in any registered format. The parser's errors and
+     * warnings describe the trace afterwards, as after CodeParser.parse().
+     * @param {CodeParser} parser
+     * @param {string} text - raw trace text
+     * @param {string} [name] - file name, used to detect the format
+     * @returns {{steps: Array, format: object}}
+     */
+    parse(parser, text, name) {
+        const format = this.detect(text, name);
+        if (format.id === 'pipe') {
+            return { steps: parser.parse(text), format };
+        }
+        const { records, problems } = format.read(text);
+        return { steps: parser.parseRecords(records, problems), format };
+    }
+
+    /**
+     * Write a parsed trace in a registered format
+     * @param {Array} trace - parsed execution steps
+     * @param {string} id - format id
+     * @returns {string}
+     * @throws {Error} if there is no such format or it cannot be written
+     */
+    write(trace, id) {
+        const format = this.get(id);
+        if (!format) {
+            throw new Error(`Unknown trace format "${id}"; known: ${[...this.formats.keys()].join(', ')}`);
+        }
+        if (!format.write) {
+            throw new Error(`Traces cannot be written as ${format.name}`);
+        }
+        return format.write(trace);
+    }
+
+    /**
+     * The formats that ship with Code Mosaic
+     */
+    static builtIns() {
+        return [
+            {
+                id: 'json',
+                name: 'JSON',
+                extensions: ['.json'],
+                detect: text => /^\s*(\[|\{\s*(\n|"(steps|trace)"\s*:))/.test(text),
+                read: text => TraceImporter.readJSON(text),
+                write: trace => '{"steps": [\n' +
+                    trace.map(step => `  ${JSON.stringify(TraceImporter.toObject(step))}`).join(',\n') + '\n]}\n'
+            },
+            {
+                id: 'ndjson',
+                name: 'NDJSON',
+                extensions: ['.ndjson', '.jsonl'],
+                detect: text => {
+                    const first = text.split('\n', 20).find(line => line.trim() !== '') || '';
+                    return /^\s*\{.*"(type|event)"\s*:.*\}\s*$/.test(first);
+                },
+                read: text => TraceImporter.readNDJSON(text),
+                write: trace => trace.map(step => JSON.stringify(TraceImporter.toObject(step)) + '\n').join('')
+            },
+            {
+                id: 'gdb-log',
+                name: 'gdb log',
+                extensions: ['.gdb', '.gdblog'],
+                detect: text => /^mosaic:\s/m.test(text),
+                read: text => TraceImporter.readGdbLog(text),
+                write: trace => TraceImporter.writeGdbLog(trace)
+            },
+            {
+                id: 'pipe',
+                name: 'Pipe-delimited',
+                extensions: ['.trace', '.txt', '.log'],
+                detect: text => /^\s*[A-Za-z_]+\s*\|/.test(text),
+                read: null, // CodeParser.parse() reads it directly
+                write: trace => CodeParser.stringify(trace)
+            }
+        ];
+    }
+
+    /**
+     * Read a JSON array of step objects. Records are numbered by their
+     * position in the array.
+     * @returns {{records: Array, problems: Array}}
+     */
+    static readJSON(text) {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (error) {
+            return { records: [], problems: [{ line: 1, message: `Not valid JSON: ${error.message}` }] };
+        }
+        const steps = Array.isArray(data) ? data : data && (data.steps || data.trace);
+        if (!Array.isArray(steps)) {
+            return { records: [], problems: [{ line: 1, message: 'Expected an array of steps, or an object with a "steps" array' }] };
+        }
+        const records = [];
+        const problems = [];
+        steps.forEach((step, index) => {
+            const record = TraceImporter.fromObject(step, index + 1);
+            if (record) {
+                records.push(record);
+            } else {
+                problems.push({ line: index + 1, message: `Step ${index + 1} is not an object with a "type"` });
+            }
+        });
+        return { records, problems };
+    }
+
+    /**
+     * Read one JSON step object per line; blank lines are skipped
+     * @returns {{records: Array, problems: Array}}
+     */
+    static readNDJSON(text) {
+        const records = [];
+        const problems = [];
+        text.split('\n').forEach((line, index) => {
+            if (line.trim() === '') {
+                return;
+            }
+            let step;
+            try {
+                step = JSON.parse(line);
+            } catch (error) {
+                problems.push({ line: index + 1, message: `Not valid JSON: ${error.message}` });
+                return;
+            }
+            const record = TraceImporter.fromObject(step, index + 1);
+            if (record) {
+                records.push(record);
+            } else {
+                problems.push({ line: index + 1, message: 'Expected an object with a "type"' });
+            }
+        });
+        return { records, problems };
+    }
+
+    /**
+     * Read the "mosaic:" lines of a gdb or lldb session log:
+     *
+     *     mosaic: ASSIGN name=sum value=3 addr=0x7ffc8a4c line=4 depth=1
+     *
+     * Fields are name, value, addr (or address), line and depth, any of
+     * them optional; `at=prog.c:4` gives the line as gdb prints locations.
+     * Lines with fields that cannot be read are reported and left out.
+     * A value with spaces is written in double quotes. gdb's decorations are
+     * dropped: "(int *) 0x602010" is 0x602010 and "65 'A'" is 65.
+     * @returns {{records: Array, problems: Array}}
+     */
+    static readGdbLog(text) {
+        const records = [];
+        const problems = [];
+        const keys = { name: 'name', value: 'value', addr: 'address', address: 'address', line: 'line', depth: 'depth' };
+        text.split('\n').forEach((rawLine, index) => {
+            const match = /^mosaic:\s+(\S+)(.*)$/.exec(rawLine.replace(/\r$/, ''));
+            if (!match) {
+                return;
+            }
+            const record = { type: match[1], traceLine: index + 1 };
+            const field = /\s*([A-Za-z]+)=("(?:[^"\\]|\\.)*"|\S*)/y;
+            const rest = match[2].trimEnd();
+            let position = 0;
+            let valid = true;
+            let found;
+            while (position < rest.length && (found = field.exec(rest))) {
+                position = field.lastIndex;
+                const key = found[1].toLowerCase();
+                const value = TraceImporter.gdbValue(found[2]);
+                if (key === 'at') {
+                    const location = /:(\d+)$/.exec(value);
+                    record.line = location ? location[1] : value;
+                } else if (keys[key]) {
+                    record[keys[key]] = value;
+                } else {
+                    problems.push({ line: index + 1, message: `Unknown gdb log field "${found[1]}"` });
+                    valid = false;
+                }
+            }
+            if (position < rest.length) {
+                problems.push({ line: index + 1,
+                    message: `Cannot read "${rest.slice(position).trim()}"; write fields as key=value` });
+                valid = false;
+            }
+            if (valid) {
+                records.push(record);
+            }
+        });
+        return { records, problems };
+    }
+
+    /**
+     * The "mosaic:" lines readGdbLog() reads. Values with spaces or quotes
+     * are quoted.
+     */
+    static writeGdbLog(trace) {
+        const quote = text => /^[^\s"]+$/.test(text) ? text : `"${text.replace(/["\\]/g, '\\$&')}"`;
+        return trace.map(step => {
+            const fields = [['name', step.name], ['value', step.value], ['addr', step.address],
+                ['line', step.line], ['depth', step.depth]]
+                .filter(([, value]) => value !== null && value !== undefined)
+                .map(([key, value]) => `${key}=${quote(String(value))}`);
+            return `mosaic: ${[step.type, ...fields].join(' ')}\n`;
+        }).join('');
+    }
+
+    /**
+     * A value as gdb prints it, reduced to what the trace format holds
+     */
+    static gdbValue(text) {
+        if (/^".*"$/.test(text)) {
+            text = text.slice(1, -1).replace(/\\(.)/g, '$1');
+        }
+        const pointer = /^\([^)]*\*\)\s*(0x[0-9A-Fa-f]+)/.exec(text);
+        if (pointer) {
+            return pointer[1];
+        }
+        const character = /^(-?\d+) '.*'$/.exec(text);
+        if (character) {
+            return character[1];
+        }
+        const symbol = /^(0x[0-9A-Fa-f]+) <.*>$/.exec(text);
+        return symbol ? symbol[1] : text;
+    }
+
+    /**
+     * A parsed step as a JSON step object, leaving out empty fields
+     */
+    static toObject(step) {
+        const object = { type: step.type };
+        ['name', 'value', 'address', 'line', 'depth'].forEach(field => {
+            if (step[field] !== null && step[field] !== undefined) {
+                object[field] = step[field];
+            }
+        });
+        return object;
+    }
+
+    /**
+     * A record from a JSON step object
+     * @returns {object|null} null if it is not a step
+     */
+    static fromObject(step, traceLine) {
+        if (!step || typeof step !== 'object' || Array.isArray(step)) {
+            return null;
+        }
+        const type = step.type !== undefined ? step.type : step.event;
+        if (typeof type !== 'string') {
+            return null;
+        }
+        const address = step.address !== undefined ? step.address : step.addr;
+        let value = step.value;
+        if (value !== null && typeof value === 'object') {
+            value = JSON.stringify(value);
+        } else if (typeof value === 'number' && type.toUpperCase() === 'PTR_ASSIGN') {
+            value = value.toString(16); // a pointer is an address
+        }
+        return {
+            type: type,
+            name: step.name,
+            value: value,
+            address: typeof address === 'number' ? address.toString(16) : address,
+            line: step.line,
+            depth: step.depth,
+            traceLine: traceLine
+        };
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TraceImporter;
+}
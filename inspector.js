@@ -0,0 +1,249 @@
+/**
+ * Building inspector for Code Mosaic
+ * Hovering a building shows a tooltip with its record; clicking selects it,
+ * highlights it with a glowing halo and opens the inspector panel with the
+ * full record, what a pointer points to, any heap warning, its parent CALL
+ * and links to the neighbouring steps.
+ */
+class BuildingInspector {
+    /**
+     * @param {CodeVisualizer} visualizer - an initialized visualizer
+     */
+    constructor(visualizer) {
+        this.visualizer = visualizer;
+        this.selectedStep = null;
+        this.halo = null;
+        this.listeners = [];
+
+        this.tooltip = document.getElementById('tooltip');
+        this.panel = document.getElementById('inspector');
+    }
+
+    /**
+     * Start listening to pointer events and playback changes
+     */
+    attach() {
+        const scene = this.visualizer.scene;
+        scene.onPointerObservable.add((pointerInfo) => {
+            if (pointerInfo.type === BABYLON.PointerEventTypes.POINTERMOVE) {
+                this.updateTooltip(scene.pointerX, scene.pointerY);
+            } else if (pointerInfo.type === BABYLON.PointerEventTypes.POINTERTAP) {
+                const step = this.visualizer.pickStep(scene.pointerX, scene.pointerY);
+                if (step !== null) {
+                    this.select(step);
+                }
+            }
+        });
+        this.visualizer.canvas.addEventListener('pointerleave', () => this.hideTooltip());
+
+        // Drop the selection once its building is scrubbed away or a new
+        // trace is loaded
+        this.visualizer.playback.onChange((playback) => {
+            if (this.selectedStep !== null && this.selectedStep >= playback.cursor) {
+                this.clearSelection();
+            }
+        });
+
+        // Layout changes rebuild the buildings; follow the selected one
+        this.visualizer.onLayout(() => {
+            if (this.selectedStep !== null) {
+                this.updateHalo();
+            }
+        });
+
+        document.getElementById('inspectorClose').addEventListener('click', () => this.clearSelection());
+        document.getElementById('inspectorPrev').addEventListener('click', () => this.selectRelative(-1));
+        document.getElementById('inspectorNext').addEventListener('click', () => this.selectRelative(1));
+        document.getElementById('inspectorFocus').addEventListener('click', () => {
+            if (this.selectedStep !== null) {
+                this.visualizer.focusOnStep(this.selectedStep);
+            }
+        });
+        return this;
+    }
+
+    /**
+     * Register a listener called with the selected step index (or null)
+     */
+    onSelect(listener) {
+        this.listeners.push(listener);
+    }
+
+    /**
+     * Show the tooltip for the building under the pointer, if any
+     */
+    updateTooltip(x, y) {
+        const step = this.visualizer.pickStep(x, y);
+        if (step === null) {
+            this.hideTooltip();
+            return;
+        }
+        const record = this.visualizer.trace[step];
+        this.tooltip.innerHTML = '';
+        const title = document.createElement('strong');
+        title.textContent = `#${step} ${record.type}`;
+        this.tooltip.appendChild(title);
+        [
+            ['Name', record.name],
+            ['Value', record.value],
+            ['Line', record.line],
+            ['Diff', record.diff ? TraceDiff.describe(record.diff) : null]
+        ].forEach(([label, value]) => {
+            if (value === null || value === '') {
+                return;
+            }
+            const row = document.createElement('div');
+            row.textContent = `${label}: ${value}`;
+            this.tooltip.appendChild(row);
+        });
+
+        const rect = this.visualizer.canvas.getBoundingClientRect();
+        this.tooltip.style.left = `${rect.left + x + 14}px`;
+        this.tooltip.style.top = `${rect.top + y + 14}px`;
+        this.tooltip.style.display = 'block';
+    }
+
+    hideTooltip() {
+        this.tooltip.style.display = 'none';
+    }
+
+    /**
+     * Select a step: highlight it and show it in the inspector panel.
+     * Selecting a step that playback has not reached yet moves the cursor
+     * forward so its building exists.
+     */
+    select(step) {
+        const trace = this.visualizer.trace;
+        if (step < 0 || step >= trace.length) {
+            return;
+        }
+        const playback = this.visualizer.playback;
+        if (step >= playback.cursor) {
+            playback.pause();
+            playback.seek(step + 1);
+        }
+
+        this.selectedStep = step;
+        this.updateHalo();
+        this.renderPanel();
+        this.listeners.forEach(listener => listener(step));
+    }
+
+    /**
+     * Move the selection to the previous (-1) or next (+1) step
+     */
+    selectRelative(offset) {
+        if (this.selectedStep !== null) {
+            this.select(this.selectedStep + offset);
+        }
+    }
+
+    clearSelection() {
+        if (this.selectedStep === null) {
+            return;
+        }
+        this.selectedStep = null;
+        if (this.halo) {
+            this.halo.dispose();
+            this.halo = null;
+        }
+        this.panel.style.display = 'none';
+        this.listeners.forEach(listener => listener(null));
+    }
+
+    /**
+     * Surround the selected building with a wireframe box whose emissive
+     * color is picked up by the scene's GlowLayer
+     */
+    updateHalo() {
+        if (this.halo) {
+            this.halo.dispose();
+            this.halo = null;
+        }
+        const bounds = this.visualizer.getStepBounds(this.selectedStep);
+        if (!bounds) {
+            return;
+        }
+        const size = bounds.max.subtract(bounds.min);
+        const padding = 0.3;
+        this.halo = BABYLON.MeshBuilder.CreateBox("selectionHalo", {
+            width: size.x + padding,
+            height: size.y + padding,
+            depth: size.z + padding
+        }, this.visualizer.scene);
+        this.halo.position = BABYLON.Vector3.Center(bounds.min, bounds.max);
+        this.halo.isPickable = false;
+
+        const material = new BABYLON.StandardMaterial("selectionHaloMat", this.visualizer.scene);
+        material.wireframe = true;
+        material.disableLighting = true;
+        material.emissiveColor = new BABYLON.Color3(1, 0.85, 0.3);
+        this.halo.material = material;
+        this.halo.onDisposeObservable.add(() => material.dispose());
+    }
+
+    /**
+     * Fill the inspector panel with the selected record
+     */
+    renderPanel() {
+        const trace = this.visualizer.trace;
+        const step = this.selectedStep;
+        const record = trace[step];
+
+        document.getElementById('inspectorTitle').textContent = `Step ${step} — ${record.type}`;
+
+        const table = document.getElementById('inspectorFields');
+        table.innerHTML = '';
+        const fields = [
+            ['Type', record.type],
+            ['Name', record.name],
+            ['Value', record.value],
+            ['Address', record.address],
+            ['Source line', record.line],
+            ['Depth', record.depth],
+            ['Trace line', record.traceLine],
+            ['Raw', record.raw]
+        ];
+        const pointer = this.visualizer.heap.pointerAt(step);
+        if (pointer) {
+            const target = trace[pointer.target];
+            fields.push(['Points to', `#${pointer.target} ${target.type} ${target.name}` +
+                (target.line !== null ? ` (line ${target.line})` : '')]);
+        }
+        this.visualizer.heapProblems
+            .filter(problem => problem.step === step)
+            .forEach(problem => fields.push(['⚠ Warning', problem.message]));
+        if (record.diff) {
+            // Rows of a trace comparison (see TraceDiff)
+            fields.push(['Diff', TraceDiff.describe(record.diff)]);
+            if (record.diff.kind === 'changed') {
+                fields.push(['Compared value', record.diff.b.value]);
+            }
+        }
+        fields.forEach(([label, value]) => {
+            const row = table.insertRow();
+            row.insertCell().textContent = label;
+            row.insertCell().textContent = value === null ? '—' : String(value);
+        });
+
+        const parentElement = document.getElementById('inspectorParent');
+        parentElement.innerHTML = '';
+        const parent = this.visualizer.callTree.parentCallOf(step);
+        if (parent === null) {
+            parentElement.textContent = '—';
+        } else {
+            const link = document.createElement('a');
+            link.href = '#';
+            link.textContent = `#${parent} ${trace[parent].name}`;
+            link.addEventListener('click', (event) => {
+                event.preventDefault();
+                this.select(parent);
+            });
+            parentElement.appendChild(link);
+        }
+
+        document.getElementById('inspectorPrev').disabled = step === 0;
+        document.getElementById('inspectorNext').disabled = step === trace.length - 1;
+        this.panel.style.display = 'block';
+    }
+}
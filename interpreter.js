@@ -0,0 +1,1147 @@
+/**
+ * C interpreter for Code Mosaic
+ * Runs programs written in a small teaching subset of C and records their
+ * execution in the trace format CodeParser reads, so code typed into the
+ * page can be visualized without an instrumented compiler.
+ *
+ * The subset: int variables and one-dimensional int arrays (array
+ * parameters, written `int a[]`, refer to the caller's array), global
+ * variables, functions with recursion, if/else, for, while and do-while
+ * loops, break, continue and return, the arithmetic, comparison and logical
+ * operators, ?:, compound assignment, ++/-- and printf. #include lines and
+ * comments are skipped. Ints wrap at 32 bits like they do in C.
+ *
+ * Records written, one per event:
+ *   CALL         entering a function, at the line of the call (main: its
+ *                definition)
+ *   DECL         every variable, int parameter and array element declared
+ *   PTR_ASSIGN   every array parameter, pointing at the caller's array
+ *   ASSIGN       every store to an int variable
+ *   ARRAY_WRITE  every store to an array element, named like "a[2]"
+ *   LOOP         the start of every iteration, named "for", "while" or "do",
+ *                with the last line of the loop's body as its value (see
+ *                LoopAnalyzer)
+ *   IF           every if, named after its condition, valued 1 or 0
+ *   ELSE         every else branch taken
+ *   RETURN       leaving a function
+ * Depth is 1 in main and one more for each nested call. Addresses are
+ * synthetic: globals from 0x404000 up, locals on a stack growing down with
+ * 4 bytes per int, so a program always gets the same addresses.
+ */
+class CInterpreter {
+    /**
+     * @param {object} [options]
+     * @param {number} [options.maxSteps] - stop after this many records
+     * @param {number} [options.maxCallDepth] - stop recursing past this depth
+     */
+    constructor(options = {}) {
+        this.maxSteps = options.maxSteps || 200000;
+        this.maxCallDepth = options.maxCallDepth || 200;
+        this.maxOutput = 100000; // characters of printf output kept
+        this.globalBase = 0x404000;
+        this.stackTop = 0x4992400000;
+    }
+
+    /**
+     * Run a program from its main function
+     * @param {string} source - C source text
+     * @returns {{trace: string, output: string, steps: number, exitCode: number|null,
+     *     error: {line: number, column: number, message: string}|null}} the trace
+     *     so far is returned even when the program fails
+     */
+    run(source) {
+        this.source = source;
+        this.records = [];
+        this.output = '';
+        this.memory = new Map();   // address -> value; undefined until written
+        this.globals = new Map();  // name -> variable
+        this.globalSlots = new Map();
+        this.globalNext = this.globalBase;
+        this.stackPointer = this.stackTop;
+        this.frames = [];
+        let exitCode = null;
+        let error = null;
+        try {
+            const program = this.parse(source);
+            exitCode = this._execute(program);
+        } catch (caught) {
+            if (caught.line === undefined) {
+                if (!(caught instanceof RangeError)) {
+                    throw caught;
+                }
+                // The JavaScript stack ran out before maxCallDepth
+                const frame = this.frames[this.frames.length - 1];
+                caught = this._error('Too many nested calls: is a base case missing?', frame && frame.func);
+            }
+            error = { line: caught.line, column: caught.column, message: caught.message };
+        }
+        return {
+            trace: this.records.join('\n'),
+            output: this.output,
+            steps: this.records.length,
+            exitCode,
+            error
+        };
+    }
+
+    /**
+     * Parse a program into its functions and global declarations
+     * @param {string} source - C source text
+     * @returns {{functions: Map, globals: Array}}
+     * @throws {Error} with `line` and `column` on a syntax error
+     */
+    parse(source) {
+        this.source = source;
+        this.tokens = this._tokenize(source);
+        this.position = 0;
+        const program = { functions: new Map(), globals: [] };
+        while (!this._peekType('eof')) {
+            const type = this._expectType();
+            const name = this._expectIdent();
+            if (this._accept('(')) {
+                const func = this._parseFunction(type, name);
+                if (!func) {
+                    continue; // a prototype
+                }
+                if (program.functions.has(func.name)) {
+                    throw this._error(`Function "${func.name}" is defined twice`, name);
+                }
+                program.functions.set(func.name, func);
+            } else if (type.value === 'void') {
+                throw this._error(`Variable "${name.value}" cannot be void`, name);
+            } else {
+                program.globals.push(this._parseDeclaration(type, name));
+            }
+        }
+        return program;
+    }
+
+    /**
+     * C source of the example program shown in the code box
+     */
+    static getExampleProgram() {
+        return `#include <stdio.h>
+
+int factorial(int n) {
+    if (n <= 1) {
+        return 1;
+    }
+    return n * factorial(n - 1);
+}
+
+int main(void) {
+    int values[4] = {3, 1, 4, 1};
+    int total = 0;
+    for (int i = 0; i < 4; i++) {
+        if (values[i] > 2) {
+            total += factorial(values[i]);
+        } else {
+            total += values[i];
+        }
+    }
+    printf("total = %d\\n", total);
+    return 0;
+}
+`;
+    }
+
+    // ---- Tokens ----
+
+    _tokenize(source) {
+        const keywords = new Set(['int', 'void', 'if', 'else', 'for', 'while', 'do', 'return', 'break', 'continue']);
+        const unsupported = new Set(['char', 'float', 'double', 'long', 'short', 'unsigned', 'signed', 'struct',
+            'union', 'enum', 'switch', 'case', 'default', 'goto', 'typedef', 'sizeof', 'static', 'const']);
+        const operators = ['++', '--', '+=', '-=', '*=', '/=', '%=', '==', '!=', '<=', '>=', '&&', '||',
+            '+', '-', '*', '/', '%', '<', '>', '=', '!', '?', ':', ';', ',', '(', ')', '{', '}', '[', ']'];
+        const tokens = [];
+        let line = 1;
+        let lineStart = 0;
+        let i = 0;
+        const fail = (message, at) => {
+            const error = new Error(message);
+            error.line = line;
+            error.column = at - lineStart + 1;
+            throw error;
+        };
+        while (i < source.length) {
+            const c = source[i];
+            if (c === '\n') {
+                line++;
+                lineStart = ++i;
+                continue;
+            }
+            if (/\s/.test(c)) {
+                i++;
+                continue;
+            }
+            if (source.startsWith('//', i) || (c === '#' && source.slice(lineStart, i).trim() === '')) {
+                // Comments and preprocessor lines run to the end of the line
+                while (i < source.length && source[i] !== '\n') {
+                    i++;
+                }
+                continue;
+            }
+            if (source.startsWith('/*', i)) {
+                const end = source.indexOf('*/', i + 2);
+                if (end < 0) {
+                    fail('Comment is never closed', i);
+                }
+                for (; i < end + 2; i++) {
+                    if (source[i] === '\n') {
+                        line++;
+                        lineStart = i + 1;
+                    }
+                }
+                continue;
+            }
+
+            const token = { type: null, value: null, line, column: i - lineStart + 1, start: i, end: i };
+            const rest = source.slice(i);
+            let match;
+            if ((match = rest.match(/^\d+[A-Za-z_0-9]*/))) {
+                if (!/^\d+$/.test(match[0])) {
+                    fail(`"${match[0]}" is not a whole number`, i);
+                }
+                token.type = 'number';
+                token.value = Number(match[0]) | 0;
+                i += match[0].length;
+            } else if ((match = rest.match(/^[A-Za-z_]\w*/))) {
+                if (unsupported.has(match[0])) {
+                    fail(`"${match[0]}" is not supported in this subset of C (ints and int arrays only)`, i);
+                }
+                token.type = keywords.has(match[0]) ? 'keyword' : 'ident';
+                token.value = match[0];
+                i += match[0].length;
+            } else if (c === '"' || c === '\'') {
+                let text = '';
+                let j = i + 1;
+                while (j < source.length && source[j] !== c && source[j] !== '\n') {
+                    if (source[j] === '\\') {
+                        const escapes = { n: '\n', t: '\t', 0: '\0', '\\': '\\', '\'': '\'', '"': '"' };
+                        if (!(source[j + 1] in escapes)) {
+                            fail(`Unknown escape "\\${source[j + 1]}"`, j);
+                        }
+                        text += escapes[source[j + 1]];
+                        j += 2;
+                    } else {
+                        text += source[j++];
+                    }
+                }
+                if (source[j] !== c) {
+                    fail(c === '"' ? 'String is never closed' : 'Character is never closed', i);
+                }
+                if (c === '\'' && text.length !== 1) {
+                    fail('A character literal holds exactly one character', i);
+                }
+                token.type = c === '"' ? 'string' : 'number';
+                token.value = c === '"' ? text : text.charCodeAt(0);
+                i = j + 1;
+            } else {
+                const op = operators.find(candidate => source.startsWith(candidate, i));
+                if (!op) {
+                    fail(`"${c}" is not supported in this subset of C`, i);
+                }
+                token.type = 'op';
+                token.value = op;
+                i += op.length;
+            }
+            token.end = i;
+            tokens.push(token);
+        }
+        tokens.push({ type: 'eof', value: null, line, column: i - lineStart + 1, start: i, end: i });
+        return tokens;
+    }
+
+    _peek(value) {
+        const token = this.tokens[this.position];
+        return (token.type === 'op' || token.type === 'keyword') && token.value === value;
+    }
+
+    _peekType(type) {
+        return this.tokens[this.position].type === type;
+    }
+
+    _next() {
+        return this.tokens[this.position++];
+    }
+
+    _accept(value) {
+        if (this._peek(value)) {
+            return this._next();
+        }
+        return null;
+    }
+
+    _expect(value) {
+        if (!this._peek(value)) {
+            const token = this.tokens[this.position];
+            const found = token.type === 'eof' ? 'the end of the program' : `"${this.source.slice(token.start, token.end)}"`;
+            throw this._error(`Expected "${value}" but found ${found}`, token);
+        }
+        return this._next();
+    }
+
+    _expectIdent() {
+        if (!this._peekType('ident')) {
+            throw this._error('Expected a name', this.tokens[this.position]);
+        }
+        return this._next();
+    }
+
+    _expectType() {
+        if (this._peek('int') || this._peek('void')) {
+            return this._next();
+        }
+        throw this._error('Expected "int" or "void"', this.tokens[this.position]);
+    }
+
+    /**
+     * End offset of the last token consumed, for node source ranges
+     */
+    _lastEnd() {
+        return this.tokens[this.position - 1].end;
+    }
+
+    _lastLine() {
+        return this.tokens[this.position - 1].line;
+    }
+
+    // ---- Declarations and statements ----
+
+    /**
+     * The rest of a function after its opening parenthesis
+     * @returns {object|null} the function, or null for a prototype
+     */
+    _parseFunction(type, name) {
+        const params = [];
+        if (this._peek('void') && this.tokens[this.position + 1].value === ')') {
+            this._next();
+        }
+        while (!this._peek(')')) {
+            if (params.length > 0) {
+                this._expect(',');
+            }
+            if (!this._accept('int')) {
+                throw this._error('Parameters must be int or int arrays', this.tokens[this.position]);
+            }
+            const param = this._expectIdent();
+            const array = this._accept('[') !== null;
+            if (array) {
+                this._expect(']');
+            }
+            if (params.some(other => other.name === param.value)) {
+                throw this._error(`Parameter "${param.value}" is declared twice`, param);
+            }
+            params.push({ name: param.value, array, line: param.line, column: param.column });
+        }
+        this._expect(')');
+        if (this._accept(';')) {
+            return null;
+        }
+        const body = this._parseBlock();
+        return {
+            kind: 'function',
+            name: name.value,
+            returnsValue: type.value === 'int',
+            params,
+            body,
+            line: name.line,
+            column: name.column,
+            endLine: this._lastLine()
+        };
+    }
+
+    /**
+     * Declarators after `int name`, up to and including the semicolon
+     */
+    _parseDeclaration(type, name) {
+        const declarators = [];
+        let token = name;
+        for (;;) {
+            const declarator = { name: token.value, size: null, array: false, init: null, line: token.line, column: token.column };
+            if (this._accept('[')) {
+                declarator.array = true;
+                if (!this._peek(']')) {
+                    declarator.size = this._parseExpression();
+                }
+                this._expect(']');
+            }
+            if (this._accept('=')) {
+                if (this._accept('{')) {
+                    declarator.init = { list: [] };
+                    while (!this._peek('}')) {
+                        if (declarator.init.list.length > 0) {
+                            this._expect(',');
+                            if (this._peek('}')) {
+                                break; // trailing comma
+                            }
+                        }
+                        declarator.init.list.push(this._parseAssignment());
+                    }
+                    this._expect('}');
+                } else {
+                    declarator.init = this._parseAssignment();
+                }
+            }
+            if (declarator.array && !declarator.size && !(declarator.init && declarator.init.list)) {
+                throw this._error(`Array "${declarator.name}" needs a size or an initializer list`, token);
+            }
+            declarators.push(declarator);
+            if (!this._accept(',')) {
+                break;
+            }
+            token = this._expectIdent();
+        }
+        this._expect(';');
+        return { kind: 'declaration', declarators, line: type.line, column: type.column };
+    }
+
+    _parseBlock() {
+        const open = this._expect('{');
+        const body = [];
+        while (!this._peek('}')) {
+            if (this._peekType('eof')) {
+                throw this._error('This "{" is never closed', open);
+            }
+            body.push(this._parseStatement());
+        }
+        this._expect('}');
+        return { kind: 'block', body, line: open.line, column: open.column };
+    }
+
+    _parseStatement() {
+        const token = this.tokens[this.position];
+        if (this._peek('{')) {
+            return this._parseBlock();
+        }
+        if (this._accept('int')) {
+            return this._parseDeclaration(token, this._expectIdent());
+        }
+        if (this._accept('if')) {
+            const test = this._parseCondition();
+            const consequent = this._parseStatement();
+            const elseToken = this._accept('else');
+            const alternate = elseToken ? this._parseStatement() : null;
+            return {
+                kind: 'if', test, consequent, alternate, line: token.line, column: token.column,
+                elseLine: elseToken ? elseToken.line : null
+            };
+        }
+        if (this._accept('while')) {
+            const test = this._parseCondition();
+            const body = this._parseStatement();
+            return { kind: 'while', test, body, line: token.line, column: token.column, endLine: this._lastLine() };
+        }
+        if (this._accept('do')) {
+            const body = this._parseStatement();
+            this._expect('while');
+            const test = this._parseCondition();
+            this._expect(';');
+            return { kind: 'do', test, body, line: token.line, column: token.column, endLine: this._lastLine() };
+        }
+        if (this._accept('for')) {
+            this._expect('(');
+            let init = null;
+            if (this._peek('int')) {
+                const type = this._next();
+                init = this._parseDeclaration(type, this._expectIdent());
+            } else if (!this._accept(';')) {
+                init = { kind: 'expression', expressions: this._parseExpressionList(), line: token.line };
+                this._expect(';');
+            }
+            const test = this._peek(';') ? null : this._parseExpression();
+            this._expect(';');
+            const update = this._peek(')') ? [] : this._parseExpressionList();
+            this._expect(')');
+            const body = this._parseStatement();
+            return { kind: 'for', init, test, update, body, line: token.line, column: token.column, endLine: this._lastLine() };
+        }
+        if (this._accept('return')) {
+            const argument = this._peek(';') ? null : this._parseExpression();
+            this._expect(';');
+            return { kind: 'return', argument, line: token.line, column: token.column };
+        }
+        if (this._accept('break') || this._accept('continue')) {
+            this._expect(';');
+            return { kind: token.value, line: token.line, column: token.column };
+        }
+        if (this._accept(';')) {
+            return { kind: 'empty', line: token.line, column: token.column };
+        }
+        const expressions = this._parseExpressionList();
+        this._expect(';');
+        return { kind: 'expression', expressions, line: token.line, column: token.column };
+    }
+
+    _parseCondition() {
+        this._expect('(');
+        const test = this._parseExpression();
+        this._expect(')');
+        return test;
+    }
+
+    /**
+     * Expressions separated by commas, as in `i++, j--`
+     */
+    _parseExpressionList() {
+        const expressions = [this._parseExpression()];
+        while (this._accept(',')) {
+            expressions.push(this._parseExpression());
+        }
+        return expressions;
+    }
+
+    // ---- Expressions ----
+
+    _parseExpression() {
+        return this._parseAssignment();
+    }
+
+    _parseAssignment() {
+        const target = this._parseConditional();
+        const token = this.tokens[this.position];
+        if (token.type === 'op' && ['=', '+=', '-=', '*=', '/=', '%='].includes(token.value)) {
+            if (target.kind !== 'name' && target.kind !== 'index') {
+                throw this._error(`The left side of "${token.value}" must be a variable or array element`, token);
+            }
+            this._next();
+            const value = this._parseAssignment();
+            return this._node('assign', target, { op: token.value, target, value });
+        }
+        return target;
+    }
+
+    _parseConditional() {
+        const test = this._parseBinary(1);
+        if (!this._accept('?')) {
+            return test;
+        }
+        const consequent = this._parseExpression();
+        this._expect(':');
+        const alternate = this._parseConditional();
+        return this._node('conditional', test, { test, consequent, alternate });
+    }
+
+    /**
+     * Binary operators by precedence climbing
+     */
+    _parseBinary(minPrecedence) {
+        const precedence = {
+            '||': 1, '&&': 2, '==': 3, '!=': 3, '<': 4, '>': 4, '<=': 4, '>=': 4,
+            '+': 5, '-': 5, '*': 6, '/': 6, '%': 6
+        };
+        let left = this._parseUnary();
+        for (;;) {
+            const token = this.tokens[this.position];
+            const level = token.type === 'op' ? precedence[token.value] : undefined;
+            if (level === undefined || level < minPrecedence) {
+                return left;
+            }
+            this._next();
+            const right = this._parseBinary(level + 1);
+            const kind = token.value === '&&' || token.value === '||' ? 'logical' : 'binary';
+            left = this._node(kind, left, { op: token.value, left, right });
+        }
+    }
+
+    _parseUnary() {
+        const token = this.tokens[this.position];
+        if (this._accept('-') || this._accept('+') || this._accept('!')) {
+            return this._node('unary', token, { op: token.value, argument: this._parseUnary() });
+        }
+        if (this._accept('++') || this._accept('--')) {
+            const target = this._parseUnary();
+            this._checkUpdatable(target, token);
+            return this._node('update', token, { op: token.value, prefix: true, target });
+        }
+        return this._parsePostfix();
+    }
+
+    _parsePostfix() {
+        let node = this._parsePrimary();
+        for (;;) {
+            const token = this.tokens[this.position];
+            if (this._accept('[')) {
+                if (node.kind !== 'name') {
+                    throw this._error('Only named arrays can be indexed', token);
+                }
+                const index = this._parseExpression();
+                this._expect(']');
+                node = this._node('index', node, { name: node.name, index });
+            } else if (this._accept('(')) {
+                if (node.kind !== 'name') {
+                    throw this._error('Only functions can be called', token);
+                }
+                const args = [];
+                while (!this._peek(')')) {
+                    if (args.length > 0) {
+                        this._expect(',');
+                    }
+                    args.push(this._parseAssignment());
+                }
+                this._expect(')');
+                node = this._node('call', node, { name: node.name, args });
+            } else if (this._accept('++') || this._accept('--')) {
+                this._checkUpdatable(node, token);
+                node = this._node('update', node, { op: token.value, prefix: false, target: node });
+            } else {
+                return node;
+            }
+        }
+    }
+
+    _parsePrimary() {
+        const token = this._next();
+        switch (token.type) {
+            case 'number':
+                return this._node('number', token, { value: token.value });
+            case 'string':
+                return this._node('string', token, { value: token.value });
+            case 'ident':
+                return this._node('name', token, { name: token.value });
+            default:
+                if (token.value === '(') {
+                    const inner = this._parseExpression();
+                    this._expect(')');
+                    return { ...inner, start: token.start, end: this._lastEnd() };
+                }
+                this.position--;
+                throw this._error(token.type === 'eof' ? 'The program ends in the middle of an expression'
+                    : `Expected a value but found "${this.source.slice(token.start, token.end)}"`, token);
+        }
+    }
+
+    _checkUpdatable(target, token) {
+        if (target.kind !== 'name' && target.kind !== 'index') {
+            throw this._error(`"${token.value}" needs a variable or array element`, token);
+        }
+    }
+
+    /**
+     * An expression node spanning from `first` (a token or node) to the
+     * last token consumed
+     */
+    _node(kind, first, fields) {
+        return { kind, line: first.line, column: first.column, start: first.start, end: this._lastEnd(), ...fields };
+    }
+
+    /**
+     * An Error carrying the line and column of a token or node
+     */
+    _error(message, at) {
+        const error = new Error(message);
+        error.line = at ? at.line : 1;
+        error.column = at ? at.column : 1;
+        return error;
+    }
+
+    // ---- Running ----
+
+    /**
+     * Declare the globals, then call main
+     * @returns {number} main's return value
+     */
+    _execute(program) {
+        this.functions = program.functions;
+        const main = program.functions.get('main');
+        if (!main) {
+            throw this._error('The program needs a main function', null);
+        }
+        if (main.params.length > 0) {
+            throw this._error('main takes no parameters here: write int main(void)', main);
+        }
+        program.globals.forEach(declaration => this._declare(declaration, null));
+        const result = this._invoke(main, [], main);
+        return result === undefined ? 0 : result;
+    }
+
+    /**
+     * Call a function with evaluated arguments (ints, or array variables
+     * for array parameters), recording CALL, the parameters and RETURN
+     * @param {object} site - call expression, for error positions
+     */
+    _invoke(func, args, site) {
+        const caller = this.frames[this.frames.length - 1];
+        const depth = caller ? caller.depth + 1 : 1;
+        if (depth > this.maxCallDepth) {
+            throw this._error(`Too many nested calls (over ${this.maxCallDepth}): is a base case missing?`, site);
+        }
+        const frame = { func, depth, scopes: [new Map()], slots: new Map(), base: this.stackPointer };
+        this.frames.push(frame);
+        const shown = args.map(arg => (typeof arg === 'number' ? arg : arg.name)).join(', ');
+        this._record('CALL', func.name, shown, '', site === func ? func.line : site.line, depth);
+
+        func.params.forEach((param, i) => {
+            const arg = args[i];
+            if (param.array) {
+                // The parameter holds the address of the caller's array
+                const pointer = this._slot(param, 1);
+                frame.scopes[0].set(param.name, { name: param.name, address: arg.address, length: arg.length });
+                this.memory.set(pointer, arg.address);
+                this._record('PTR_ASSIGN', param.name, this._hex(arg.address), this._hex(pointer), func.line, depth);
+            } else {
+                const address = this._slot(param, 1);
+                frame.scopes[0].set(param.name, { name: param.name, address, length: null });
+                this.memory.set(address, arg);
+                this._record('DECL', param.name, arg, this._hex(address), func.line, depth);
+            }
+        });
+
+        const signal = this._executeBlock(func.body, frame.scopes[0]);
+        if (signal && signal.type !== 'return') {
+            throw this._error(`"${signal.type}" outside a loop`, signal.node);
+        }
+        let value;
+        if (signal && signal.type === 'return') {
+            value = signal.value;
+            const argument = signal.node.argument;
+            if (!argument) {
+                this._record('RETURN', 'void', '', '', signal.node.line, depth);
+            } else if (argument.kind === 'number') {
+                this._record('RETURN', 'literal', value, '0', signal.node.line, depth);
+            } else if (argument.kind === 'name') {
+                this._record('RETURN', argument.name, value, this._hex(this._variable(argument).address),
+                    signal.node.line, depth);
+            } else {
+                this._record('RETURN', this._text(argument), value, '', signal.node.line, depth);
+            }
+        } else if (func.name === 'main') {
+            value = 0; // main returns 0 when it runs off its end
+            this._record('RETURN', 'literal', 0, '0', func.endLine, depth);
+        } else {
+            this._record('RETURN', 'void', '', '', func.endLine, depth);
+        }
+        this.frames.pop();
+        this.stackPointer = frame.base;
+        return value;
+    }
+
+    /**
+     * Run a block's statements in a scope (a new one unless given)
+     * @returns {object|null} a break, continue or return signal
+     */
+    _executeBlock(block, scope) {
+        const frame = this._frame();
+        frame.scopes.push(scope || new Map());
+        try {
+            for (const statement of block.body) {
+                const signal = this._executeStatement(statement);
+                if (signal) {
+                    return signal;
+                }
+            }
+            return null;
+        } finally {
+            frame.scopes.pop();
+        }
+    }
+
+    _executeStatement(statement) {
+        switch (statement.kind) {
+            case 'block':
+                return this._executeBlock(statement);
+            case 'declaration':
+                this._declare(statement, this._frame());
+                return null;
+            case 'expression':
+                statement.expressions.forEach(expression => this._evaluate(expression));
+                return null;
+            case 'if': {
+                const taken = this._truth(statement.test);
+                this._record('IF', this._text(statement.test), taken ? 1 : 0, null, statement.line, this._depth());
+                if (taken) {
+                    return this._executeStatement(statement.consequent);
+                }
+                if (statement.alternate) {
+                    this._record('ELSE', this._text(statement.test), null, null, statement.elseLine, this._depth());
+                    return this._executeStatement(statement.alternate);
+                }
+                return null;
+            }
+            case 'while':
+            case 'do':
+                return this._loop(statement, statement.kind, statement.kind === 'do');
+            case 'for': {
+                // Variables declared in the header belong to the loop
+                const frame = this._frame();
+                frame.scopes.push(new Map());
+                try {
+                    if (statement.init) {
+                        this._executeStatement(statement.init);
+                    }
+                    return this._loop(statement, 'for', false);
+                } finally {
+                    frame.scopes.pop();
+                }
+            }
+            case 'return': {
+                const func = this._frame().func;
+                if (statement.argument && !func.returnsValue) {
+                    throw this._error(`${func.name} is void and cannot return a value`, statement);
+                }
+                if (!statement.argument && func.returnsValue) {
+                    throw this._error(`${func.name} must return an int`, statement);
+                }
+                const value = statement.argument ? this._evaluate(statement.argument) : undefined;
+                return { type: 'return', value, node: statement };
+            }
+            case 'break':
+            case 'continue':
+                return { type: statement.kind, node: statement };
+            default:
+                return null;
+        }
+    }
+
+    /**
+     * Run a loop, recording LOOP at the start of every iteration
+     * @param {boolean} testAfter - test after the body (do-while)
+     */
+    _loop(statement, name, testAfter) {
+        for (;;) {
+            if (!testAfter && statement.test && !this._truth(statement.test)) {
+                return null;
+            }
+            this._record('LOOP', name, statement.endLine, '', statement.line, this._depth());
+            const signal = this._executeStatement(statement.body);
+            if (signal) {
+                if (signal.type === 'break') {
+                    return null;
+                }
+                if (signal.type === 'return') {
+                    return signal;
+                }
+            }
+            if (statement.update) {
+                statement.update.forEach(expression => this._evaluate(expression));
+            }
+            if (testAfter && !this._truth(statement.test)) {
+                return null;
+            }
+        }
+    }
+
+    /**
+     * Declare variables in the innermost scope of a frame (or as globals
+     * when `frame` is null), recording a DECL for each int and element
+     */
+    _declare(declaration, frame) {
+        const scope = frame ? frame.scopes[frame.scopes.length - 1] : this.globals;
+        const depth = frame ? frame.depth : 0;
+        declaration.declarators.forEach(declarator => {
+            if (scope.has(declarator.name)) {
+                throw this._error(`"${declarator.name}" is already declared here`, declarator);
+            }
+            const list = declarator.init && declarator.init.list;
+            if (!declarator.array) {
+                if (list) {
+                    throw this._error(`"${declarator.name}" is not an array; drop the braces`, declarator);
+                }
+                // Globals start at 0; locals have no value until assigned
+                const value = declarator.init ? this._evaluate(declarator.init) : (frame ? undefined : 0);
+                const address = this._slot(declarator, 1, frame);
+                scope.set(declarator.name, { name: declarator.name, address, length: null });
+                this.memory.set(address, value);
+                this._record('DECL', declarator.name, value, this._hex(address), declarator.line, depth);
+                return;
+            }
+
+            if (declarator.init && !list) {
+                throw this._error(`Initialize array "${declarator.name}" with a list like {1, 2, 3}`, declarator);
+            }
+            const length = declarator.size ? this._evaluate(declarator.size) : list.length;
+            if (length <= 0) {
+                throw this._error(`Array "${declarator.name}" needs a positive size, not ${length}`, declarator);
+            }
+            if (list && list.length > length) {
+                throw this._error(`Too many values for "${declarator.name}[${length}]"`, declarator);
+            }
+            const values = list ? list.map(item => this._evaluate(item)) : [];
+            const address = this._slot(declarator, length, frame);
+            scope.set(declarator.name, { name: declarator.name, address, length });
+            for (let i = 0; i < length; i++) {
+                // Listed arrays are zero-filled past the list, like globals
+                const value = i < values.length ? values[i] : (list || !frame ? 0 : undefined);
+                this.memory.set(address + 4 * i, value);
+                this._record('DECL', `${declarator.name}[${i}]`, value, this._hex(address + 4 * i),
+                    declarator.line, depth);
+            }
+        });
+    }
+
+    /**
+     * Address of a declaration's storage. A declaration run again (in a
+     * loop body) gets the same storage, as it would from a compiler.
+     */
+    _slot(declarator, length, frame = this._frame()) {
+        const slots = frame ? frame.slots : this.globalSlots;
+        const slot = slots.get(declarator);
+        if (slot && slot.length === length) {
+            return slot.address;
+        }
+        let address;
+        if (frame) {
+            this.stackPointer -= 4 * length;
+            address = this.stackPointer;
+        } else {
+            address = this.globalNext;
+            this.globalNext += 4 * length;
+        }
+        slots.set(declarator, { address, length });
+        return address;
+    }
+
+    _evaluate(node) {
+        switch (node.kind) {
+            case 'number':
+                return node.value;
+            case 'name': {
+                const variable = this._variable(node);
+                if (variable.length !== null) {
+                    throw this._error(`"${node.name}" is an array: use ${node.name}[index]`, node);
+                }
+                return this._load(variable.address, node.name, node);
+            }
+            case 'index': {
+                const element = this._element(node);
+                return this._load(element.address, element.name, node);
+            }
+            case 'call':
+                return this._call(node);
+            case 'unary': {
+                const value = this._evaluate(node.argument);
+                return node.op === '-' ? -value | 0 : node.op === '!' ? (value ? 0 : 1) : value;
+            }
+            case 'update': {
+                const target = this._target(node.target);
+                const before = this._load(target.address, target.name, node.target);
+                const after = node.op === '++' ? (before + 1) | 0 : (before - 1) | 0;
+                this._store(target, after, node);
+                return node.prefix ? after : before;
+            }
+            case 'binary':
+                return this._arithmetic(node.op, this._evaluate(node.left), this._evaluate(node.right), node);
+            case 'logical': {
+                const left = this._truth(node.left);
+                if (node.op === '&&' ? !left : left) {
+                    return left ? 1 : 0;
+                }
+                return this._truth(node.right) ? 1 : 0;
+            }
+            case 'conditional':
+                return this._truth(node.test) ? this._evaluate(node.consequent) : this._evaluate(node.alternate);
+            case 'assign': {
+                const target = this._target(node.target);
+                let value = this._evaluate(node.value);
+                if (node.op !== '=') {
+                    const before = this._load(target.address, target.name, node.target);
+                    value = this._arithmetic(node.op.slice(0, -1), before, value, node);
+                }
+                this._store(target, value, node);
+                return value;
+            }
+            case 'string':
+                throw this._error('Strings can only be used as printf formats', node);
+            default:
+                throw this._error(`Cannot evaluate ${node.kind}`, node);
+        }
+    }
+
+    _truth(node) {
+        return this._evaluate(node) !== 0;
+    }
+
+    _arithmetic(op, left, right, node) {
+        switch (op) {
+            case '+': return (left + right) | 0;
+            case '-': return (left - right) | 0;
+            case '*': return Math.imul(left, right);
+            case '/':
+            case '%':
+                if (right === 0) {
+                    throw this._error('Division by zero', node);
+                }
+                return op === '/' ? (left / right) | 0 : (left % right) | 0;
+            case '==': return left === right ? 1 : 0;
+            case '!=': return left !== right ? 1 : 0;
+            case '<': return left < right ? 1 : 0;
+            case '>': return left > right ? 1 : 0;
+            case '<=': return left <= right ? 1 : 0;
+            case '>=': return left >= right ? 1 : 0;
+            default:
+                throw this._error(`Unknown operator "${op}"`, node);
+        }
+    }
+
+    /**
+     * Call a user function or printf
+     */
+    _call(node) {
+        if (node.name === 'printf') {
+            return this._printf(node);
+        }
+        const func = this.functions.get(node.name);
+        if (!func) {
+            throw this._error(`Unknown function "${node.name}" (only your own functions and printf are available)`, node);
+        }
+        if (node.args.length !== func.params.length) {
+            throw this._error(`${func.name} takes ${func.params.length} argument(s), not ${node.args.length}`, node);
+        }
+        const args = node.args.map((arg, i) => {
+            const isArray = arg.kind === 'name' && this._variable(arg).length !== null;
+            if (func.params[i].array !== isArray) {
+                throw this._error(func.params[i].array
+                    ? `${func.name} expects an array for "${func.params[i].name}"`
+                    : `${func.name} expects an int for "${func.params[i].name}", not an array`, arg);
+            }
+            return isArray ? this._variable(arg) : this._evaluate(arg);
+        });
+        const value = this._invoke(func, args, node);
+        if (value === undefined && func.returnsValue) {
+            throw this._error(`${func.name} ended without returning a value`, node);
+        }
+        return value === undefined ? 0 : value;
+    }
+
+    /**
+     * printf with %d, %i, %u, %x, %c, %s and %%, and optional widths
+     */
+    _printf(node) {
+        const [format, ...args] = node.args;
+        if (!format || format.kind !== 'string') {
+            throw this._error('printf needs a format string in double quotes', node);
+        }
+        let next = 0;
+        const text = format.value.replace(/%(-?)(0?)(\d*)([diuxcs%])/g, (match, left, zero, width, conversion) => {
+            if (conversion === '%') {
+                return '%';
+            }
+            const arg = args[next++];
+            if (!arg) {
+                throw this._error(`printf has no value for "${match}"`, format);
+            }
+            let value;
+            if (conversion === 's') {
+                if (arg.kind !== 'string') {
+                    throw this._error('%s needs a string in double quotes', arg);
+                }
+                value = arg.value;
+            } else {
+                const number = this._evaluate(arg);
+                value = conversion === 'c' ? String.fromCharCode(number & 0xFF)
+                    : conversion === 'x' ? (number >>> 0).toString(16)
+                    : conversion === 'u' ? String(number >>> 0)
+                    : String(number);
+            }
+            const size = parseInt(width || '0', 10);
+            return left ? value.padEnd(size) : value.padStart(size, zero && conversion !== 's' ? '0' : ' ');
+        });
+        if (this.output.length < this.maxOutput) {
+            this.output += text.slice(0, this.maxOutput - this.output.length);
+        }
+        return text.length;
+    }
+
+    /**
+     * The variable a name refers to: innermost scope first, then globals
+     */
+    _variable(node) {
+        const frame = this._frame();
+        if (frame) {
+            for (let i = frame.scopes.length - 1; i >= 0; i--) {
+                const variable = frame.scopes[i].get(node.name);
+                if (variable) {
+                    return variable;
+                }
+            }
+        }
+        const variable = this.globals.get(node.name);
+        if (!variable) {
+            throw this._error(`"${node.name}" is not declared`, node);
+        }
+        return variable;
+    }
+
+    /**
+     * Address and display name of an array element, checking the index
+     */
+    _element(node) {
+        const variable = this._variable(node);
+        if (variable.length === null) {
+            throw this._error(`"${node.name}" is not an array`, node);
+        }
+        const index = this._evaluate(node.index);
+        if (index < 0 || index >= variable.length) {
+            throw this._error(`Index ${index} is outside ${node.name}, which has ${variable.length} element(s)`, node);
+        }
+        return { address: variable.address + 4 * index, name: `${node.name}[${index}]`, element: true };
+    }
+
+    /**
+     * What an assignment or ++/-- writes to
+     */
+    _target(node) {
+        if (node.kind === 'index') {
+            return this._element(node);
+        }
+        const variable = this._variable(node);
+        if (variable.length !== null) {
+            throw this._error(`Cannot assign to array "${node.name}" as a whole`, node);
+        }
+        return { address: variable.address, name: node.name };
+    }
+
+    _load(address, name, node) {
+        const value = this.memory.get(address);
+        if (value === undefined) {
+            throw this._error(`"${name}" is used before it is given a value`, node);
+        }
+        return value;
+    }
+
+    _store(target, value, node) {
+        this.memory.set(target.address, value);
+        this._record(target.element ? 'ARRAY_WRITE' : 'ASSIGN', target.name, value, this._hex(target.address),
+            node.line, this._depth());
+    }
+
+    /**
+     * Append a trace record. null fields are left out, so LOOP, IF and
+     * ELSE use their short layouts.
+     */
+    _record(type, name, value, address, line, depth) {
+        if (this.records.length >= this.maxSteps) {
+            throw this._error(`Stopped after ${this.maxSteps} steps: is there an infinite loop?`, { line, column: 1 });
+        }
+        const fields = [type, name, value, address, line, depth]
+            .filter(field => field !== null)
+            .map(field => (field === undefined ? '' : String(field)));
+        this.records.push(fields.join('|'));
+    }
+
+    /**
+     * Source text of an expression on one line, usable as a record name
+     * ("|" would split the record, so "||" reads "or")
+     */
+    _text(node) {
+        return this.source.slice(node.start, node.end).replace(/\s+/g, ' ')
+            .replace(/\|\|/g, 'or').replace(/\|/g, '/').trim();
+    }
+
+    _hex(address) {
+        return address.toString(16).toUpperCase().padStart(16, '0');
+    }
+
+    _frame() {
+        return this.frames[this.frames.length - 1] || null;
+    }
+
+    _depth() {
+        const frame = this._frame();
+        return frame ? frame.depth : 0;
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = CInterpreter;
+}
@@ -0,0 +1,91 @@
+/**
+ * Layout picker for Code Mosaic
+ * A select listing the layout strategies and a settings box with one number
+ * field per setting of the current layout (spiral radius growth, lane
+ * spacing, ...). Settings apply as they are edited.
+ */
+class LayoutPanel {
+    /**
+     * @param {CodeVisualizer} visualizer - an initialized visualizer
+     */
+    constructor(visualizer) {
+        this.visualizer = visualizer;
+        this.select = document.getElementById('layoutSelect');
+        this.settings = document.getElementById('layoutSettings');
+    }
+
+    /**
+     * Fill the picker and wire the settings toggle
+     */
+    attach() {
+        this.visualizer.layouts.layouts.forEach(layout => {
+            const option = document.createElement('option');
+            option.value = layout.id;
+            option.textContent = layout.name;
+            this.select.appendChild(option);
+        });
+        this.select.value = this.visualizer.layoutName;
+        this.select.addEventListener('change', () => {
+            this.visualizer.setLayout(this.select.value);
+            this.renderSettings();
+        });
+        document.getElementById('toggleLayoutSettings').addEventListener('click', () => {
+            this.settings.style.display = this.settings.style.display === 'block' ? 'none' : 'block';
+        });
+        this.renderSettings();
+        return this;
+    }
+
+    /**
+     * Pick a layout without animating, e.g. from a URL parameter before any
+     * trace is loaded. Unknown ids are ignored.
+     */
+    choose(id) {
+        if (!this.visualizer.layouts.layouts.has(id)) {
+            return;
+        }
+        this.select.value = id;
+        this.visualizer.layoutName = id;
+        this.visualizer.relayout();
+        this.renderSettings();
+    }
+
+    /**
+     * One number field per setting of the current layout, plus a button
+     * restoring the defaults
+     */
+    renderSettings() {
+        const visualizer = this.visualizer;
+        const layout = visualizer.layouts.get(visualizer.layoutName);
+        const values = visualizer.getLayoutOptions();
+        this.settings.innerHTML = '';
+        layout.settings.forEach(setting => {
+            const label = document.createElement('label');
+            label.textContent = setting.label;
+            const input = document.createElement('input');
+            input.type = 'number';
+            input.min = String(setting.min);
+            input.max = String(setting.max);
+            input.step = String(setting.step);
+            input.value = String(values[setting.key]);
+            input.addEventListener('change', () => {
+                const value = parseFloat(input.value);
+                if (!isFinite(value) || value < setting.min || value > setting.max) {
+                    input.value = String(visualizer.getLayoutOptions()[setting.key]);
+                    return;
+                }
+                visualizer.setLayoutOption(setting.key, value);
+            });
+            label.appendChild(input);
+            this.settings.appendChild(label);
+        });
+
+        const reset = document.createElement('button');
+        reset.textContent = 'Restore Defaults';
+        reset.addEventListener('click', () => {
+            visualizer.resetLayoutOptions();
+            this.renderSettings();
+        });
+        this.settings.appendChild(reset);
+    }
+}
@@ -0,0 +1,488 @@
+/**
+ * Layout strategies for Code Mosaic
+ * A layout decides where each step's building stands and which paths are
+ * drawn between them. Layouts work on plain {x, y, z} objects and know
+ * nothing about Babylon.js, so they can also run outside the browser.
+ *
+ * Every layout is an object
+ *
+ *     { id, name, settings: [{ key, label, value, min, max, step }], incremental, compute(context, options) }
+ *
+ * where `context` is { trace, callTree, loops, coilLoops, growing } and
+ * `options` holds a value for every setting. compute() returns
+ *
+ *     { points: [{x, y, z}] (one per step), segments: [[{x, y, z}, ...], ...] }
+ *
+ * and the first segment is drawn as the main (thickest) path.
+ *
+ * `growing` is set while a live trace is still streaming in. An
+ * `incremental` layout promises that, when it is set, appending steps never
+ * moves the points of earlier steps and only adds points to the end of
+ * segments (new segments go after the existing ones), so the visualizer can
+ * extend the scene instead of rebuilding it.
+ */
+class LayoutEngine {
+    constructor() {
+        this.layouts = new Map(); // id -> layout
+        LayoutEngine.builtIns().forEach(layout => this.register(layout));
+    }
+
+    /**
+     * Add or replace a layout
+     */
+    register(layout) {
+        this.layouts.set(layout.id, layout);
+    }
+
+    /**
+     * Layout by id, falling back to the spiral
+     */
+    get(id) {
+        return this.layouts.get(id) || this.layouts.get('spiral');
+    }
+
+    /**
+     * Default value of every setting of a layout
+     * @returns {object} key -> value
+     */
+    defaults(id) {
+        const options = {};
+        this.get(id).settings.forEach(setting => {
+            options[setting.key] = setting.value;
+        });
+        return options;
+    }
+
+    /**
+     * Settings from an untrusted source (e.g. a session file) that a layout
+     * can use: unknown keys and values that are not finite numbers are
+     * dropped, the rest are clamped to each setting's range
+     * @returns {object} key -> value
+     */
+    clampOptions(id, options) {
+        const clamped = {};
+        if (!options || typeof options !== 'object') {
+            return clamped;
+        }
+        this.get(id).settings.forEach(setting => {
+            const value = options[setting.key];
+            if (typeof value === 'number' && isFinite(value)) {
+                clamped[setting.key] = Math.min(setting.max, Math.max(setting.min, value));
+            }
+        });
+        return clamped;
+    }
+
+    /**
+     * Lay out a trace
+     * @param {string} id - layout id
+     * @param {object} context - { trace, callTree, loops, coilLoops, growing }
+     * @param {object} [options] - settings; missing ones use the defaults
+     * @returns {{points: Array, segments: Array, center: object, extent: number}}
+     *   `center` is the middle of the points' bounding box and `extent` half
+     *   its diagonal, for framing the camera
+     */
+    compute(id, context, options) {
+        const layout = this.get(id);
+        const result = layout.compute(context, { ...this.defaults(layout.id), ...options });
+
+        const min = { x: Infinity, y: Infinity, z: Infinity };
+        const max = { x: -Infinity, y: -Infinity, z: -Infinity };
+        result.points.forEach(point => {
+            ['x', 'y', 'z'].forEach(axis => {
+                min[axis] = Math.min(min[axis], point[axis]);
+                max[axis] = Math.max(max[axis], point[axis]);
+            });
+        });
+        if (result.points.length === 0) {
+            result.center = { x: 0, y: 0, z: 0 };
+            result.extent = 0;
+        } else {
+            result.center = { x: (min.x + max.x) / 2, y: (min.y + max.y) / 2, z: (min.z + max.z) / 2 };
+            result.extent = Math.hypot(max.x - min.x, max.y - min.y, max.z - min.z) / 2;
+        }
+        return result;
+    }
+
+    /**
+     * The layouts that ship with Code Mosaic
+     */
+    static builtIns() {
+        const heightSetting = { key: 'heightPerStep', label: 'Drop per step', value: 0.5, min: 0, max: 2, step: 0.05 };
+        const branchSettings = [
+            { key: 'subRadius', label: 'Call coil radius', value: 2, min: 0.5, max: 10, step: 0.1 },
+            { key: 'subTurnsPerStep', label: 'Call coil turn per step', value: 0.6, min: 0.05, max: 2, step: 0.05 },
+            { key: 'loopCoilRadius', label: 'Loop coil radius', value: 1.2, min: 0.5, max: 10, step: 0.1 }
+        ];
+        return [
+            {
+                id: 'spiral',
+                name: 'Spiral',
+                settings: [
+                    { key: 'radius', label: 'Start radius', value: 2, min: 0, max: 50, step: 0.5 },
+                    { key: 'radiusGrowth', label: 'Radius growth per step', value: 0.3, min: 0, max: 2, step: 0.01 },
+                    { key: 'maxRadius', label: 'Max radius (0 = none)', value: 0, min: 0, max: 500, step: 1 },
+                    { key: 'turnsPerStep', label: 'Turn per step (rad)', value: 0.3, min: 0.01, max: 2, step: 0.01 },
+                    heightSetting,
+                    ...branchSettings
+                ],
+                incremental: true,
+                compute: (context, options) => LayoutEngine.coiledLayout(context, options, index => {
+                    let radius = options.radius + index * options.radiusGrowth;
+                    if (options.maxRadius > 0) {
+                        radius = Math.min(radius, options.maxRadius);
+                    }
+                    const angle = index * options.turnsPerStep;
+                    return { x: Math.cos(angle) * radius, z: Math.sin(angle) * radius };
+                })
+            },
+            {
+                id: 'helix',
+                name: 'Helix',
+                settings: [
+                    { key: 'radius', label: 'Radius', value: 10, min: 1, max: 100, step: 0.5 },
+                    { key: 'turnsPerStep', label: 'Turn per step (rad)', value: 0.12, min: 0.01, max: 2, step: 0.01 },
+                    heightSetting,
+                    ...branchSettings
+                ],
+                incremental: true,
+                compute: (context, options) => LayoutEngine.coiledLayout(context, options, index => {
+                    const angle = index * options.turnsPerStep;
+                    return { x: Math.cos(angle) * options.radius, z: Math.sin(angle) * options.radius };
+                })
+            },
+            {
+                id: 'street',
+                name: 'Street (timeline)',
+                settings: [
+                    { key: 'stepSpacing', label: 'Step spacing', value: 1.5, min: 0.5, max: 10, step: 0.1 },
+                    { key: 'laneSpacing', label: 'Lane spacing per call depth', value: 4, min: 1, max: 20, step: 0.5 }
+                ],
+                incremental: true,
+                compute: (context, options) => LayoutEngine.streetLayout(context, options)
+            },
+            {
+                id: 'city',
+                name: 'City blocks (by function)',
+                settings: [
+                    { key: 'lotSpacing', label: 'Lot spacing', value: 2.5, min: 1, max: 10, step: 0.1 },
+                    { key: 'blockGap', label: 'Gap between blocks', value: 6, min: 1, max: 40, step: 0.5 }
+                ],
+                compute: (context, options) => LayoutEngine.cityLayout(context, options)
+            },
+            {
+                id: 'radial',
+                name: 'Radial tree (by call depth)',
+                settings: [
+                    { key: 'ringSpacing', label: 'Ring spacing', value: 6, min: 1, max: 40, step: 0.5 },
+                    { key: 'stepSpacing', label: 'Step spacing', value: 1.8, min: 0.5, max: 10, step: 0.1 }
+                ],
+                compute: (context, options) => LayoutEngine.radialLayout(context, options)
+            }
+        ];
+    }
+
+    /**
+     * Descending coils: every step is `heightPerStep` below the previous
+     * one, so height is time.
+     *
+     * Steps of the top-level invocations (normally just `main`) follow the
+     * main coil given by `mainPoint`. Each nested invocation gets its own
+     * small sub-coil that starts at its caller's CALL building, coils
+     * outward from the caller's axis while the callee runs, and rejoins the
+     * caller's path after its RETURN. Recursion therefore shows up as a
+     * chain of coils.
+     *
+     * With `coilLoops` enabled, each outermost loop takes a single slot on
+     * its path and its iterations wind around a tight coil there, one turn
+     * per iteration.
+     *
+     * @param {function(number): {x, z}} mainPoint - position of the n-th
+     *   slot of the main coil, which winds around the y axis
+     */
+    static coiledLayout(context, options, mainPoint) {
+        const { trace, callTree: tree, loops, coilLoops } = context;
+        const points = new Array(trace.length);
+        const origin = { x: 0, y: 0, z: 0 };
+
+        // Calculate the total height so we can start at the top. A trace
+        // that is still growing hangs down from step 0 instead, so earlier
+        // steps stay put as steps are added.
+        const totalHeight = context.growing ? 0 : (trace.length - 1) * options.heightPerStep;
+
+        const mainCoil = { index: 0 };
+        const coils = new Map(); // frame -> { center, startAngle, index }
+        const coilFor = (frame) => {
+            if (frame === tree.root || frame.parent === tree.root) {
+                return mainCoil;
+            }
+            return coils.get(frame);
+        };
+
+        // Steps that wind around a loop coil instead of advancing the path
+        const loopOf = new Array(trace.length).fill(null);
+        if (coilLoops) {
+            loops.loops.forEach(loop => {
+                if (loop.parent !== null) {
+                    return;
+                }
+                for (let i = loop.startStep; i <= loop.endStep; i++) {
+                    if (LayoutEngine.ownerOf(context, i) === loop.frame) {
+                        loopOf[i] = loop;
+                    }
+                }
+            });
+        }
+        const loopCoils = new Map(); // loop -> { center, startAngle, iteration }
+
+        trace.forEach((step, i) => {
+            const frame = tree.frameOf[i];
+            const coil = coilFor(LayoutEngine.ownerOf(context, i));
+            // DESCENDING: start at totalHeight and go DOWN
+            const y = totalHeight - (i * options.heightPerStep);
+            const loop = loopOf[i];
+            const inLoopCoil = loop !== null && i !== loop.startStep;
+
+            let point;
+            if (inLoopCoil) {
+                // One turn of the loop coil per iteration
+                const loopCoil = loopCoils.get(loop);
+                while (loop.iterations[loopCoil.iteration].endStep < i) {
+                    loopCoil.iteration++;
+                }
+                const iteration = loop.iterations[loopCoil.iteration];
+                const t = (i - iteration.startStep) / (iteration.endStep - iteration.startStep + 1);
+                point = LayoutEngine.onCircle(loopCoil.center, options.loopCoilRadius,
+                    loopCoil.startAngle + t * Math.PI * 2, y);
+            } else if (coil === mainCoil) {
+                const xz = mainPoint(coil.index);
+                point = { x: xz.x, y: y, z: xz.z };
+            } else {
+                point = LayoutEngine.onCircle(coil.center, options.subRadius,
+                    coil.startAngle + coil.index * options.subTurnsPerStep, y);
+            }
+            if (!inLoopCoil) {
+                coil.index++;
+            }
+            points[i] = point;
+
+            // The loop's first record is the anchor its coil winds around
+            if (loop !== null && !inLoopCoil) {
+                const axis = coil === mainCoil ? origin : coil.center;
+                const center = LayoutEngine.outwardCenter(point, axis, options.loopCoilRadius);
+                loopCoils.set(loop, {
+                    center: center,
+                    startAngle: Math.atan2(point.z - center.z, point.x - center.x),
+                    iteration: 0
+                });
+            }
+
+            // Start the callee's coil next to the CALL building, pushed
+            // outward from the caller's axis
+            if (step.type === 'CALL' && coilFor(frame) !== mainCoil) {
+                let axis = coil === mainCoil ? origin : coil.center;
+                if (inLoopCoil) {
+                    axis = loopCoils.get(loop).center;
+                }
+                const center = LayoutEngine.outwardCenter(point, axis, options.subRadius);
+                coils.set(frame, {
+                    center: center,
+                    startAngle: Math.atan2(point.z - center.z, point.x - center.x),
+                    index: 1
+                });
+            }
+        });
+
+        return { points, segments: LayoutEngine.frameSegments(context, points, true) };
+    }
+
+    /**
+     * A straight street: time runs along x, and each call depth gets its
+     * own lane further along z. Calls branch off into the next lane and
+     * come back after their RETURN.
+     */
+    static streetLayout(context, options) {
+        const points = context.trace.map((step, i) => {
+            const owner = LayoutEngine.ownerOf(context, i);
+            return {
+                x: i * options.stepSpacing,
+                y: 0,
+                z: -Math.max(0, owner.depth - 1) * options.laneSpacing
+            };
+        });
+        return { points, segments: LayoutEngine.frameSegments(context, points, true) };
+    }
+
+    /**
+     * One rectangular block per function, in order of first appearance.
+     * A block's lots are filled row by row in time order, snaking back and
+     * forth, and a path runs through them like a street.
+     */
+    static cityLayout(context, options) {
+        const { trace, callTree } = context;
+        // A CALL opens its function's block, like the function's entrance
+        const blocks = new Map(); // function name -> steps
+        trace.forEach((step, i) => {
+            const frame = callTree.frameOf[i];
+            const name = frame === callTree.root ? '' : frame.name;
+            if (!blocks.has(name)) {
+                blocks.set(name, []);
+            }
+            blocks.get(name).push(i);
+        });
+
+        const points = new Array(trace.length);
+        const segments = [];
+        const blocksPerRow = Math.ceil(Math.sqrt(blocks.size));
+        let blockX = 0;
+        let blockZ = 0;
+        let rowDepth = 0;
+        let column = 0;
+        blocks.forEach(steps => {
+            const lots = Math.ceil(Math.sqrt(steps.length));
+            const segment = [];
+            steps.forEach((i, k) => {
+                const row = Math.floor(k / lots);
+                const lot = row % 2 === 0 ? k % lots : lots - 1 - k % lots;
+                points[i] = { x: blockX + lot * options.lotSpacing, y: 0, z: blockZ - row * options.lotSpacing };
+                segment.push(points[i]);
+            });
+            segments.push(segment);
+
+            const size = lots * options.lotSpacing;
+            rowDepth = Math.max(rowDepth, Math.ceil(steps.length / lots) * options.lotSpacing);
+            blockX += size + options.blockGap;
+            column++;
+            if (column === blocksPerRow) {
+                column = 0;
+                blockX = 0;
+                blockZ -= rowDepth + options.blockGap;
+                rowDepth = 0;
+            }
+        });
+        return { points, segments };
+    }
+
+    /**
+     * A radial tree: the top level in the middle and each call depth on a
+     * ring further out. Every invocation gets a slice of its caller's slice,
+     * sized by how many steps it and its callees ran, and its steps fill the
+     * slice along the ring (in several rows if they do not fit in one).
+     */
+    static radialLayout(context, options) {
+        const { trace, callTree } = context;
+        const owned = new Map(); // frame -> steps it owns
+        callTree.frames.forEach(frame => owned.set(frame, []));
+        trace.forEach((step, i) => owned.get(LayoutEngine.ownerOf(context, i)).push(i));
+
+        const weight = new Map();
+        const weigh = (frame) => {
+            let total = Math.max(1, owned.get(frame).length);
+            frame.children.forEach(child => {
+                total += weigh(child);
+            });
+            weight.set(frame, total);
+            return total;
+        };
+
+        // Slices, breadth first so each ring's radius is known before the
+        // next one is placed
+        const sectors = new Map([[callTree.root, { start: 0, span: Math.PI * 2 }]]);
+        const points = new Array(trace.length);
+        let level = [callTree.root];
+        let radius = options.ringSpacing / 2;
+        weigh(callTree.root);
+        while (level.length > 0) {
+            let rows = 1;
+            level.forEach(frame => {
+                const { start, span } = sectors.get(frame);
+                const steps = owned.get(frame);
+                const perRow = Math.max(1, Math.floor(radius * span / options.stepSpacing));
+                rows = Math.max(rows, Math.ceil(steps.length / perRow));
+                steps.forEach((i, k) => {
+                    const row = Math.floor(k / perRow);
+                    const inRow = Math.min(perRow, steps.length - row * perRow);
+                    const angle = start + span * ((k % perRow) + 0.5) / inRow;
+                    points[i] = LayoutEngine.onCircle({ x: 0, z: 0 }, radius + row * options.stepSpacing, angle, 0);
+                });
+
+                let childStart = start;
+                frame.children.forEach(child => {
+                    const childSpan = span * weight.get(child) / weight.get(frame);
+                    sectors.set(child, { start: childStart, span: childSpan });
+                    childStart += childSpan;
+                });
+            });
+            radius += rows * options.stepSpacing + options.ringSpacing;
+            level = level.flatMap(frame => frame.children);
+        }
+        return { points, segments: LayoutEngine.frameSegments(context, points, false) };
+    }
+
+    /**
+     * The frame whose path a step's building sits on. A CALL sits on its
+     * caller's path; it is the branch point.
+     */
+    static ownerOf(context, i) {
+        const frame = context.callTree.frameOf[i];
+        return context.trace[i].type === 'CALL' ? frame.parent : frame;
+    }
+
+    /**
+     * One path per invocation: the first runs through every step of the
+     * top-level invocations, and each nested one starts at its CALL and
+     * runs through the steps it owns.
+     * @param {boolean} rejoin - also lead each nested path back to the step
+     *   after its RETURN
+     */
+    static frameSegments(context, points, rejoin) {
+        const { trace, callTree: tree } = context;
+        const main = [];
+        const branches = new Map(); // frame -> points
+        trace.forEach((step, i) => {
+            const owner = LayoutEngine.ownerOf(context, i);
+            if (owner === tree.root || owner.parent === tree.root) {
+                main.push(points[i]);
+            } else {
+                if (!branches.has(owner)) {
+                    branches.set(owner, [points[owner.callStep]]);
+                }
+                branches.get(owner).push(points[i]);
+            }
+        });
+        const segments = [main];
+        branches.forEach((segment, frame) => {
+            if (rejoin && frame.returnStep !== null && frame.returnStep + 1 < trace.length) {
+                segment.push(points[frame.returnStep + 1]);
+            }
+            segments.push(segment);
+        });
+        return segments;
+    }
+
+    static onCircle(center, radius, angle, y) {
+        return { x: center.x + Math.cos(angle) * radius, y: y, z: center.z + Math.sin(angle) * radius };
+    }
+
+    /**
+     * Center (at y = 0) of a coil that passes through `point` and sits
+     * `radius` further out from `axis`, the center of the path it leaves
+     */
+    static outwardCenter(point, axis, radius) {
+        let dx = point.x - axis.x;
+        let dz = point.z - axis.z;
+        const length = Math.hypot(dx, dz);
+        if (length < 1e-3) {
+            dx = 1;
+            dz = 0;
+        } else {
+            dx /= length;
+            dz /= length;
+        }
+        return { x: point.x + dx * radius, y: 0, z: point.z + dz * radius };
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = LayoutEngine;
+}
@@ -0,0 +1,191 @@
+/**
+ * Trace loading for Code Mosaic
+ * Reads traces from local files, drag-and-drop and pasted text, and keeps a
+ * short list of recently opened traces in localStorage so they can be
+ * reopened without selecting the file again.
+ */
+class TraceLoader {
+    /**
+     * @param {function(string, string)} onLoad - called with (name, traceText)
+     */
+    constructor(onLoad) {
+        this.onLoad = onLoad;
+        this.storageKey = 'codeMosaic.recentTraces';
+        this.maxRecent = 8;
+        this.maxStoredLength = 1024 * 1024; // characters; larger traces are not remembered
+        this.status = null;                  // element for files that could not be opened
+    }
+
+    /**
+     * Read a File object and hand its contents to onLoad. A file that cannot
+     * be read or shown is reported in the status element.
+     * @param {File} file
+     * @returns {Promise<void>} resolves either way
+     */
+    loadFile(file) {
+        return file.text()
+            .then(text => this.load(file.name, text))
+            .catch(error => {
+                console.error(error);
+                this.setStatus(`Could not open ${file.name}: ${error.message}`);
+            });
+    }
+
+    /**
+     * Load a trace from text, remembering it in the recent list
+     * @param {string} name - display name (file name or "Pasted trace")
+     * @param {string} text - raw trace text
+     */
+    load(name, text) {
+        this.setStatus('');
+        this.remember(name, text);
+        this.onLoad(name, text);
+    }
+
+    /**
+     * Report files that could not be opened in an element
+     */
+    attachStatus(element) {
+        this.status = element;
+    }
+
+    setStatus(message) {
+        if (this.status) {
+            this.status.textContent = message;
+        }
+    }
+
+    /**
+     * Wire a hidden <input type="file"> to a button that opens it
+     */
+    attachFilePicker(button, input) {
+        button.addEventListener('click', () => input.click());
+        input.addEventListener('change', () => {
+            if (input.files.length > 0) {
+                this.loadFile(input.files[0]);
+            }
+            input.value = ''; // allow re-selecting the same file
+        });
+    }
+
+    /**
+     * Accept trace files dropped onto an element (the render canvas)
+     */
+    attachDropTarget(element) {
+        element.addEventListener('dragover', (event) => {
+            event.preventDefault();
+            event.dataTransfer.dropEffect = 'copy';
+            element.classList.add('drop-active');
+        });
+        element.addEventListener('dragleave', () => {
+            element.classList.remove('drop-active');
+        });
+        element.addEventListener('drop', (event) => {
+            event.preventDefault();
+            element.classList.remove('drop-active');
+            const file = event.dataTransfer.files[0];
+            if (file) {
+                this.loadFile(file);
+            } else {
+                const text = event.dataTransfer.getData('text/plain');
+                if (text) {
+                    this.load('Dropped text', text);
+                }
+            }
+        });
+    }
+
+    /**
+     * Visualize the contents of a textarea when the button is clicked
+     */
+    attachPasteBox(textarea, button) {
+        button.addEventListener('click', () => {
+            const text = textarea.value;
+            if (text.trim() !== '') {
+                this.load('Pasted trace', text);
+            }
+        });
+    }
+
+    /**
+     * Get the recently opened traces, newest first
+     * @returns {Array<{name: string, text: string, openedAt: number}>}
+     */
+    getRecent() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(this.storageKey));
+            return Array.isArray(stored) ? stored : [];
+        } catch (e) {
+            return [];
+        }
+    }
+
+    /**
+     * Add a trace to the recent list, replacing an older entry with the
+     * same name and contents
+     */
+    remember(name, text) {
+        if (text.length > this.maxStoredLength) {
+            console.warn(`Trace "${name}" is too large to remember (${text.length} characters)`);
+            return;
+        }
+        const recent = this.getRecent().filter(entry => entry.name !== name || entry.text !== text);
+        recent.unshift({ name, text, openedAt: Date.now() });
+        this._store(recent.slice(0, this.maxRecent));
+    }
+
+    /**
+     * Forget every remembered trace
+     */
+    clearRecent() {
+        localStorage.removeItem(this.storageKey);
+    }
+
+    /**
+     * Write the recent list, dropping the oldest entries if storage is full
+     */
+    _store(recent) {
+        while (recent.length > 0) {
+            try {
+                localStorage.setItem(this.storageKey, JSON.stringify(recent));
+                return;
+            } catch (e) {
+                recent.pop();
+            }
+        }
+        localStorage.removeItem(this.storageKey);
+    }
+
+    /**
+     * Fill a <select> with the recent traces. Option values are list indices.
+     */
+    populateRecentSelect(select) {
+        const recent = this.getRecent();
+        select.innerHTML = '';
+
+        const placeholder = document.createElement('option');
+        placeholder.value = '';
+        placeholder.textContent = recent.length > 0 ? 'Recent traces…' : 'No recent traces';
+        select.appendChild(placeholder);
+
+        recent.forEach((entry, index) => {
+            const option = document.createElement('option');
+            option.value = String(index);
+            const when = new Date(entry.openedAt).toLocaleString();
+            option.textContent = `${entry.name} (${when})`;
+            select.appendChild(option);
+        });
+        select.disabled = recent.length === 0;
+    }
+
+    /**
+     * Reopen a trace from the recent list
+     * @param {number} index - position in getRecent()
+     */
+    openRecent(index) {
+        const entry = this.getRecent()[index];
+        if (entry) {
+            this.load(entry.name, entry.text);
+        }
+    }
+}
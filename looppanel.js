@@ -0,0 +1,77 @@
+/**
+ * Loop panel for Code Mosaic
+ * Lists the loops found in the trace with their iteration counts, and lets
+ * the user collapse each one into a summary structure or expand it again.
+ */
+class LoopPanel {
+    /**
+     * @param {CodeVisualizer} visualizer - an initialized visualizer
+     */
+    constructor(visualizer) {
+        this.visualizer = visualizer;
+        this.panel = document.getElementById('loops');
+        this.list = document.getElementById('loopList');
+        this.renderedTrace = null;
+        this.maxRows = 200;
+    }
+
+    /**
+     * Re-render when a new trace is loaded and wire the panel buttons
+     */
+    attach() {
+        this.visualizer.playback.onChange(() => {
+            if (this.renderedTrace !== this.visualizer.trace) {
+                this.render();
+            }
+        });
+        this.visualizer.onAppend(() => this.render());
+        document.getElementById('collapseAllLoops').addEventListener('click', () => {
+            this.visualizer.setAllLoopsCollapsed(true);
+            this.render();
+        });
+        document.getElementById('expandAllLoops').addEventListener('click', () => {
+            this.visualizer.setAllLoopsCollapsed(false);
+            this.render();
+        });
+        document.getElementById('coilLoops').addEventListener('change', (event) => {
+            this.visualizer.setCoilLoops(event.target.checked);
+        });
+        return this;
+    }
+
+    render() {
+        this.renderedTrace = this.visualizer.trace;
+        const loops = this.visualizer.loops.loops;
+        this.panel.style.display = loops.length > 0 ? 'block' : 'none';
+        this.list.innerHTML = '';
+
+        loops.slice(0, this.maxRows).forEach(loop => {
+            const item = document.createElement('li');
+            item.style.paddingLeft = `${loop.nesting * 12}px`;
+
+            const label = document.createElement('a');
+            label.href = '#';
+            label.textContent = `${loop.name} @ line ${loop.line} — ${loop.iterations.length} iteration(s), ` +
+                `steps ${loop.startStep}–${loop.endStep}`;
+            label.addEventListener('click', (event) => {
+                event.preventDefault();
+                this.visualizer.focusOnStep(loop.startStep);
+            });
+            item.appendChild(label);
+
+            const toggle = document.createElement('button');
+            toggle.textContent = this.visualizer.collapsedLoops.has(loop.id) ? 'Expand' : 'Collapse';
+            toggle.addEventListener('click', () => {
+                const collapsed = this.visualizer.toggleLoop(loop.id);
+                toggle.textContent = collapsed ? 'Expand' : 'Collapse';
+            });
+            item.appendChild(toggle);
+            this.list.appendChild(item);
+        });
+        if (loops.length > this.maxRows) {
+            const more = document.createElement('li');
+            more.textContent = `…and ${loops.length - this.maxRows} more loops`;
+            this.list.appendChild(more);
+        }
+    }
+}
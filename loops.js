@@ -0,0 +1,208 @@
+/**
+ * Loop iteration grouping for Code Mosaic
+ * Traces only mark the start of each iteration with a LOOP record, so loops
+ * are recovered from the records around them: consecutive LOOP records with
+ * the same source line in the same frame are iterations of one loop, and the
+ * last iteration ends at the first step of that frame whose source line falls
+ * outside the lines the earlier iterations covered (or at the frame's RETURN).
+ * A LOOP record may give the last source line of the loop's body as its
+ * value (the built-in C interpreter does); the body is then known to span
+ * the lines from the loop header to that one.
+ *
+ * Each loop covers a contiguous range of steps, including any calls made from
+ * its body, so loops nest like brackets.
+ */
+class LoopAnalyzer {
+    /**
+     * @param {Array} trace - parsed execution steps from CodeParser
+     * @param {CallTree} callTree - call tree for the same trace
+     */
+    constructor(trace, callTree) {
+        this.trace = trace;
+        this.callTree = callTree;
+        this.loops = [];
+        this.openLoops = new Map(); // frame -> stack of open loops
+        trace.forEach(step => this.record(step));
+        this.finish();
+    }
+
+    /**
+     * Add one step. Steps must be recorded in trace order.
+     */
+    record(step) {
+        const frame = this.callTree.frameOf[step.step];
+        // A CALL belongs to the caller's loops, like its building does
+        const owner = step.type === 'CALL' ? frame.parent : frame;
+        const open = this.openLoops.get(owner) || [];
+        this.openLoops.set(owner, open);
+
+        if (step.type === 'LOOP') {
+            const index = open.findIndex(loop => loop.line === step.line && loop.name === step.name);
+            if (index >= 0) {
+                // Next iteration: loops nested inside the previous one are done
+                while (open.length > index + 1) {
+                    this._close(open.pop(), step.step - 1);
+                }
+                this._startIteration(open[index], step.step);
+                return;
+            }
+            this._closeOutside(open, step);
+            const loop = {
+                id: this.loops.length,
+                name: step.name,
+                line: step.line,
+                frame: owner,
+                parent: open.length > 0 ? open[open.length - 1] : null,
+                nesting: open.length,
+                startStep: step.step,
+                endStep: step.step,
+                iterations: [],
+                minLine: step.line,
+                maxLine: null,
+                bodyEnd: Number.isInteger(step.value) && step.value >= step.line ? step.value : null
+            };
+            this.loops.push(loop);
+            open.push(loop);
+            this._startIteration(loop, step.step);
+            return;
+        }
+
+        if (step.type === 'RETURN') {
+            while (open.length > 0) {
+                this._close(open.pop(), step.step - 1);
+            }
+            return;
+        }
+        this._closeOutside(open, step);
+    }
+
+    /**
+     * Close every loop still open at the end of the trace
+     */
+    finish() {
+        const last = this.trace.length - 1;
+        this.openLoops.forEach(open => {
+            while (open.length > 0) {
+                this._close(open.pop(), last);
+            }
+        });
+    }
+
+    /**
+     * The innermost loop containing a step, or null
+     */
+    loopAt(step) {
+        let found = null;
+        this.loops.forEach(loop => {
+            if (loop.startStep <= step && step <= loop.endStep &&
+                (found === null || loop.startStep >= found.startStep)) {
+                found = loop;
+            }
+        });
+        return found;
+    }
+
+    /**
+     * The outermost loop of a frame containing a step, or null
+     */
+    outermostLoopAt(step, frame) {
+        let found = null;
+        this.loops.forEach(loop => {
+            if (loop.frame === frame && loop.startStep <= step && step <= loop.endStep &&
+                (found === null || loop.nesting < found.nesting)) {
+                found = loop;
+            }
+        });
+        return found;
+    }
+
+    /**
+     * Which iteration of a loop a step belongs to
+     * @returns {object|null} iteration { index, startStep, endStep }
+     */
+    iterationAt(loop, step) {
+        return loop.iterations.find(iteration =>
+            iteration.startStep <= step && step <= iteration.endStep) || null;
+    }
+
+    /**
+     * How each variable written inside a loop changed across it
+     * @param {object} loop
+     * @param {MemoryModel} memory
+     * @returns {Array<{name, address, before, after}>}
+     */
+    summarize(loop, memory) {
+        const addresses = new Set();
+        for (let i = loop.startStep; i <= loop.endStep; i++) {
+            if (memory.isWrite(this.trace[i])) {
+                addresses.add(this.trace[i].address);
+            }
+        }
+        return [...addresses].map(address => ({
+            name: memory.writeAt(address, loop.endStep).name,
+            address: address,
+            before: memory.valueAt(address, loop.startStep - 1),
+            after: memory.valueAt(address, loop.endStep)
+        }));
+    }
+
+    _startIteration(loop, step) {
+        const previous = loop.iterations[loop.iterations.length - 1];
+        if (previous) {
+            previous.endStep = step - 1;
+        }
+        loop.iterations.push({ index: loop.iterations.length, startStep: step, endStep: step });
+    }
+
+    /**
+     * Close the open loops (innermost first) whose body a step lies outside
+     */
+    _closeOutside(open, step) {
+        while (open.length > 0 && this._outsideBody(open[open.length - 1], step)) {
+            this._close(open.pop(), step.step - 1);
+        }
+        open.forEach(loop => this._trackLine(loop, step));
+    }
+
+    /**
+     * A step is outside a loop if its source line is outside the lines the
+     * completed iterations covered. Before any iteration has completed,
+     * only lines above the loop header end it.
+     */
+    _outsideBody(loop, step) {
+        if (step.line === null) {
+            return false;
+        }
+        if (loop.bodyEnd !== null) {
+            return step.line < loop.line || step.line > loop.bodyEnd;
+        }
+        if (loop.iterations.length < 2) {
+            return step.line < loop.line;
+        }
+        const maxLine = loop.maxLine === null ? loop.line : loop.maxLine;
+        return step.line < loop.minLine || step.line > maxLine;
+    }
+
+    /**
+     * Widen the known body lines while the first iteration runs
+     */
+    _trackLine(loop, step) {
+        if (step.line === null || loop.iterations.length > 1) {
+            return;
+        }
+        loop.minLine = Math.min(loop.minLine, step.line);
+        loop.maxLine = loop.maxLine === null ? step.line : Math.max(loop.maxLine, step.line);
+    }
+
+    _close(loop, endStep) {
+        loop.endStep = Math.max(endStep, loop.startStep);
+        loop.iterations[loop.iterations.length - 1].endStep = loop.endStep;
+        if (loop.maxLine === null) {
+            loop.maxLine = loop.line;
+        }
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = LoopAnalyzer;
+}
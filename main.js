@@ -10,25 +10,267 @@ document.addEventListener('DOMContentLoaded', () => {
     // Initialize the visualizer
     visualizer.init();
 
+    // Theme picker; themes loaded from JSON are kept for next time
+    const themes = new ThemeManager();
+    const themeSelect = document.getElementById('themeSelect');
+    const themeStatus = document.getElementById('themeStatus');
+    themes.populateSelect(themeSelect, themes.getSelected());
+    visualizer.setTheme(themes.get(themeSelect.value));
+    themeSelect.addEventListener('change', () => {
+        visualizer.setTheme(themes.get(themeSelect.value));
+        themes.rememberSelected(themeSelect.value);
+        themeStatus.textContent = '';
+    });
+    const themeFile = document.getElementById('themeFile');
+    document.getElementById('loadTheme').addEventListener('click', () => themeFile.click());
+    themeFile.addEventListener('change', () => {
+        const file = themeFile.files[0];
+        themeFile.value = '';
+        if (!file) {
+            return;
+        }
+        file.text().then(text => {
+            try {
+                const theme = themes.loadJSON(text);
+                themes.populateSelect(themeSelect, theme.id);
+                themes.rememberSelected(theme.id);
+                visualizer.setTheme(theme);
+                themeStatus.textContent = `Loaded theme "${theme.name}"`;
+            } catch (error) {
+                themeStatus.textContent = `Could not load ${file.name}: ${error.message}`;
+            }
+        }).catch(error => {
+            themeStatus.textContent = `Could not read ${file.name}: ${error.message}`;
+        });
+    });
+
+    // Hover tooltips and click-to-inspect panel
+    const inspector = new BuildingInspector(visualizer).attach();
+
+    // Clicking a call in the call-stack breadcrumb selects its CALL building
+    document.getElementById('callStack').addEventListener('click', (event) => {
+        const crumb = event.target.closest('a[data-step]');
+        if (crumb) {
+            event.preventDefault();
+            inspector.select(parseInt(crumb.dataset.step, 10));
+        }
+    });
+
+    // Query bar and type chips: fade what does not match, jump between matches
+    const filterBar = new FilterBar(visualizer, inspector).attach();
+
+    // Live variable watch table for the current playback step
+    const watch = new WatchPanel(visualizer).attach();
+
+    // Bookmarks: notes on steps, their labels, the list and guided tours
+    new BookmarkPanel(visualizer, inspector).attach();
+
+    // Loop list with collapse/expand and the loop coil option
+    const loopPanel = new LoopPanel(visualizer).attach();
+
+    // Layout strategy and its settings
+    const layoutPanel = new LayoutPanel(visualizer).attach();
+
+    // Layout, seed and size mode, also settable as ?layout=…&seed=…&size=…
+    // so a view can be shared
+    const params = new URLSearchParams(window.location.search);
+    layoutPanel.choose(params.get('layout'));
+    const seedInput = document.getElementById('layoutSeed');
+    const sizeSelect = document.getElementById('sizeMode');
+    seedInput.value = params.get('seed') || '';
+    visualizer.seedOverride = SeededRandom.parse(seedInput.value);
+    if ([...sizeSelect.options].some(option => option.value === params.get('size'))) {
+        sizeSelect.value = params.get('size');
+    }
+    visualizer.sizeMode = sizeSelect.value;
+    const updateUrl = () => {
+        const url = new URL(window.location.href);
+        ['layout', 'seed', 'size'].forEach(key => url.searchParams.delete(key));
+        if (visualizer.layoutName !== 'spiral') {
+            url.searchParams.set('layout', visualizer.layoutName);
+        }
+        if (seedInput.value.trim() !== '') {
+            url.searchParams.set('seed', seedInput.value.trim());
+        }
+        if (sizeSelect.value !== 'random') {
+            url.searchParams.set('size', sizeSelect.value);
+        }
+        window.history.replaceState(null, '', url);
+    };
+    seedInput.addEventListener('change', () => {
+        visualizer.setSeed(SeededRandom.parse(seedInput.value));
+        updateUrl();
+    });
+    sizeSelect.addEventListener('change', () => {
+        visualizer.setSizeMode(sizeSelect.value);
+        updateUrl();
+    });
+    layoutPanel.select.addEventListener('change', updateUrl);
+
+    // Source pane: follows playback, and selecting a building scrolls to
+    // its line
+    const sourcePanel = new SourcePanel(visualizer).attach();
+    inspector.onSelect(step => {
+        if (step !== null) {
+            sourcePanel.revealStep(step);
+        }
+    });
+
+    // Trace comparison: the Compare With… picker and the diff summary
+    const diffPanel = new DiffPanel(visualizer).attach();
+
+    // Statistics: counts and charts whose rows highlight their buildings
+    new StatsPanel(visualizer).attach();
+
+    // Share box: links and session files that reopen this exact view
+    const shareBox = document.getElementById('shareBox');
+    const session = new ViewSession(visualizer, {
+        inspector, filterBar, layoutPanel, themes, themeSelect, seedInput, sizeSelect
+    });
+    session.onRestore(() => {
+        themeStatus.textContent = '';
+        updateUrl();
+    });
+    document.getElementById('toggleShare').addEventListener('click', () => {
+        shareBox.style.display = shareBox.style.display === 'block' ? 'none' : 'block';
+    });
+
     // Load example button
     document.getElementById('loadExample').addEventListener('click', () => {
         const exampleTrace = CodeParser.getExampleTrace();
-        visualizer.visualize(exampleTrace);
+        visualizer.visualize(exampleTrace, 'Example');
+        sourcePanel.load('example.c', CodeParser.getExampleSource());
+    });
+
+    // Trace loading: file picker, drag-and-drop, paste box and recent list
+    const recentSelect = document.getElementById('recentTraces');
+    const loader = new TraceLoader((name, text) => {
+        if (ViewSession.isSessionFile(name)) {
+            try {
+                session.openText(text);
+            } catch (error) {
+                session.setStatus(`Could not open ${name}: ${error.message}`);
+                shareBox.style.display = 'block';
+            }
+        } else {
+            visualizer.visualize(text, name);
+        }
+        loader.populateRecentSelect(recentSelect);
+    });
+    loader.attachStatus(document.getElementById('loadStatus'));
+    loader.attachFilePicker(document.getElementById('openTrace'), document.getElementById('traceFile'));
+    loader.attachDropTarget(canvas);
+    loader.attachPasteBox(document.getElementById('pasteText'), document.getElementById('visualizePaste'));
+    loader.populateRecentSelect(recentSelect);
+    recentSelect.addEventListener('change', () => {
+        if (recentSelect.value !== '') {
+            loader.openRecent(parseInt(recentSelect.value, 10));
+        }
+    });
+
+    const pasteBox = document.getElementById('pasteBox');
+    document.getElementById('togglePaste').addEventListener('click', () => {
+        pasteBox.style.display = pasteBox.style.display === 'block' ? 'none' : 'block';
+    });
+
+    // Code box: run a C program in the built-in interpreter and show its
+    // trace with the program in the source pane
+    const codeBox = document.getElementById('codeBox');
+    const codeText = document.getElementById('codeText');
+    const codeStatus = document.getElementById('codeStatus');
+    const codeOutput = document.getElementById('codeOutput');
+    codeText.value = CInterpreter.getExampleProgram();
+    const runCode = () => {
+        const result = new CInterpreter().run(codeText.value);
+        codeOutput.textContent = result.output;
+        if (result.error) {
+            const shown = result.steps > 0 ? ` (showing the ${result.steps} steps before it)` : '';
+            codeStatus.textContent = `Line ${result.error.line}: ${result.error.message}${shown}`;
+        } else {
+            codeStatus.textContent = `Ran ${result.steps} steps; main returned ${result.exitCode}`;
+        }
+        if (result.steps > 0) {
+            loader.load('program.c', result.trace);
+            sourcePanel.load('program.c', codeText.value);
+        }
+    };
+    document.getElementById('runCode').addEventListener('click', runCode);
+    codeText.addEventListener('keydown', (event) => {
+        if (event.key === 'Enter' && (event.ctrlKey || event.metaKey)) {
+            event.preventDefault();
+            runCode();
+        } else if (event.key === 'Tab' && !event.shiftKey) {
+            // Indent instead of leaving the box
+            event.preventDefault();
+            codeText.setRangeText('    ', codeText.selectionStart, codeText.selectionEnd, 'end');
+        }
+    });
+    document.getElementById('toggleCode').addEventListener('click', () => {
+        codeBox.style.display = codeBox.style.display === 'block' ? 'none' : 'block';
+    });
+
+    // Live box: watch a trace stream in over WebSocket or EventSource
+    new TraceStream(visualizer).attach();
+    const streamBox = document.getElementById('streamBox');
+    document.getElementById('toggleStream').addEventListener('click', () => {
+        streamBox.style.display = streamBox.style.display === 'block' ? 'none' : 'block';
+    });
+
+    // Export box: PNG, WebM recording and glTF/GLB models
+    const exporter = new SceneExporter(visualizer).attach();
+    const exportBox = document.getElementById('exportBox');
+    document.getElementById('toggleExport').addEventListener('click', () => {
+        exportBox.style.display = exportBox.style.display === 'block' ? 'none' : 'block';
+    });
+
+    // Camera mode (orbit, follow playback, ride the path) and the minimap
+    const cameraMode = document.getElementById('cameraMode');
+    cameraMode.addEventListener('change', () => visualizer.cameras.setMode(cameraMode.value));
+    visualizer.cameras.onChange(mode => {
+        cameraMode.value = mode;
     });
+    new Minimap(visualizer).attach();
 
     // Reset camera button
     document.getElementById('resetCamera').addEventListener('click', () => {
         visualizer.resetCamera();
     });
 
-    // Toggle animation button
+    // Toggle animation effects button
     const toggleBtn = document.getElementById('toggleAnimation');
     toggleBtn.addEventListener('click', () => {
         const isAnimating = visualizer.toggleAnimation();
-        toggleBtn.textContent = isAnimating ? 'Pause Animation' : 'Resume Animation';
+        toggleBtn.textContent = isAnimating ? 'Pause Effects' : 'Resume Effects';
     });
 
+    // Timeline playback controls
+    const playback = visualizer.playback;
+    const playPauseBtn = document.getElementById('playPause');
+    const scrubber = document.getElementById('scrubber');
+    const stepLabel = document.getElementById('stepLabel');
+    playPauseBtn.addEventListener('click', () => playback.toggle());
+    document.getElementById('stepBack').addEventListener('click', () => playback.stepBack());
+    document.getElementById('stepForward').addEventListener('click', () => playback.stepForward());
+    scrubber.addEventListener('input', () => {
+        const target = parseInt(scrubber.value, 10);
+        playback.pause();
+        playback.seek(target);
+    });
+    document.getElementById('speed').addEventListener('change', (event) => {
+        playback.setSpeed(parseFloat(event.target.value));
+    });
+    playback.onChange(() => {
+        playPauseBtn.textContent = playback.isPlaying ? '⏸' : '▶';
+        scrubber.max = String(playback.length);
+        scrubber.value = String(playback.cursor);
+        stepLabel.textContent = `${playback.cursor} / ${playback.length}`;
+    });
+
+    // Open the view in the address bar's #session=… link, if any, once
+    // everything is wired up
+    session.attach();
+
     // Show welcome message
     console.log('🎨 Code Mosaic Visualizer initialized!');
-    console.log('Click "Load Example Code" to see the visualization.');
+    console.log('Click "Load Example Code" or open a trace file to see the visualization.');
 });
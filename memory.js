@@ -0,0 +1,139 @@
+/**
+ * Variable memory model for Code Mosaic
+ * Follows every address written by DECL, ASSIGN, ARRAY_WRITE and PTR_ASSIGN
+ * records so the value of any variable can be reconstructed at any step of
+ * the trace. A pointer's value is the address it holds.
+ */
+class MemoryModel {
+    /**
+     * @param {Array} trace - parsed execution steps from CodeParser
+     */
+    constructor(trace) {
+        this.trace = trace;
+        this.addresses = new Map(); // address -> { address, name, depth, firstStep, writes: [] }
+        trace.forEach(step => this.record(step));
+    }
+
+    /**
+     * Add one step to the model. Steps must be recorded in trace order.
+     */
+    record(step) {
+        if (!this.isWrite(step)) {
+            return;
+        }
+        let entry = this.addresses.get(step.address);
+        if (!entry) {
+            entry = {
+                address: step.address,
+                name: step.name,
+                depth: step.depth,
+                firstStep: step.step,
+                writes: []
+            };
+            this.addresses.set(step.address, entry);
+        }
+        entry.name = step.name; // the most recent name wins if an address is reused
+        entry.writes.push({ step: step.step, value: step.value, type: step.type, name: step.name });
+    }
+
+    /**
+     * Whether a step writes a value to a real (non-null) address
+     */
+    isWrite(step) {
+        return ['DECL', 'ASSIGN', 'ARRAY_WRITE', 'PTR_ASSIGN'].includes(step.type) &&
+            step.address !== null && !/^0+$/.test(step.address);
+    }
+
+    /**
+     * The last write to an address at or before a step
+     * @returns {object|null} write record { step, value, type, name }
+     */
+    writeAt(address, step) {
+        const entry = this.addresses.get(address);
+        if (!entry) {
+            return null;
+        }
+        const index = this._writeIndex(entry, step);
+        return index >= 0 ? entry.writes[index] : null;
+    }
+
+    /**
+     * Value stored at an address after a step, or undefined if the address
+     * has not been written yet
+     */
+    valueAt(address, step) {
+        const write = this.writeAt(address, step);
+        return write ? write.value : undefined;
+    }
+
+    /**
+     * Values written to an address up to and including a step
+     * @returns {Array} values in trace order
+     */
+    historyAt(address, step) {
+        const entry = this.addresses.get(address);
+        if (!entry) {
+            return [];
+        }
+        return entry.writes.slice(0, this._writeIndex(entry, step) + 1).map(write => write.value);
+    }
+
+    /**
+     * The state of memory after a step: every address written so far with
+     * its current value
+     * @returns {Array<{address, name, value, lastStep, writeCount, changed}>}
+     */
+    snapshot(step) {
+        const rows = [];
+        this.addresses.forEach(entry => {
+            if (entry.firstStep > step) {
+                return;
+            }
+            const index = this._writeIndex(entry, step);
+            const write = entry.writes[index];
+            rows.push({
+                address: entry.address,
+                name: write.name,
+                value: write.value,
+                lastStep: write.step,
+                writeCount: index + 1,
+                changed: write.step === step
+            });
+        });
+        return rows;
+    }
+
+    /**
+     * Every step that writes an address
+     * @returns {Array<number>} step indices
+     */
+    stepsForAddress(address) {
+        const entry = this.addresses.get(address);
+        return entry ? entry.writes.map(write => write.step) : [];
+    }
+
+    /**
+     * Binary search for the last write with write.step <= step
+     * @returns {number} index into entry.writes, or -1
+     */
+    _writeIndex(entry, step) {
+        const writes = entry.writes;
+        let lo = 0;
+        let hi = writes.length - 1;
+        let found = -1;
+        while (lo <= hi) {
+            const mid = (lo + hi) >> 1;
+            if (writes[mid].step <= step) {
+                found = mid;
+                lo = mid + 1;
+            } else {
+                hi = mid - 1;
+            }
+        }
+        return found;
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = MemoryModel;
+}
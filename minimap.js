@@ -0,0 +1,202 @@
+/**
+ * Minimap for Code Mosaic
+ * The whole layout seen from above in a corner of the page: a dot per step
+ * in its type's color, a ring on the current step and the camera with the
+ * wedge it can see. The map faces the way the camera starts out facing.
+ * Clicking the map jumps playback to the nearest step there; in orbit mode
+ * the camera goes to it too.
+ */
+class Minimap {
+    /**
+     * @param {CodeVisualizer} visualizer - an initialized visualizer
+     */
+    constructor(visualizer) {
+        this.visualizer = visualizer;
+        this.canvas = document.getElementById('minimap');
+        this.context = this.canvas.getContext ? this.canvas.getContext('2d') : null;
+        this.background = null;  // canvas with the step dots, redrawn when the layout changes
+        this.renderedTrace = null;
+        this.transform = null;   // { scale, maxX, minZ, offsetX, offsetY } from world to map
+        this.cameraKey = null;   // camera pose last drawn, to skip redrawing when it is still
+        this.margin = 8;         // pixels
+        this.dotSize = 2;
+        this.maxDots = 50000;    // longer traces have every n-th step drawn
+    }
+
+    /**
+     * Redraw on playback, layout changes and camera movement, and jump on
+     * clicks
+     */
+    attach() {
+        const visualizer = this.visualizer;
+        visualizer.playback.onChange(() => {
+            if (this.renderedTrace !== visualizer.trace) {
+                this.render();
+            } else {
+                this.drawOverlay();
+            }
+        });
+        visualizer.onLayout(() => this.render());
+        visualizer.onAppend(() => this.render());
+        visualizer.scene.onAfterRenderObservable.add(() => {
+            const camera = visualizer.scene.activeCamera;
+            const key = camera ? `${camera.position.toString()} ${camera.getForwardRay(1).direction.toString()}` : null;
+            if (key !== this.cameraKey) {
+                this.drawOverlay();
+            }
+        });
+        this.canvas.addEventListener('click', (event) => {
+            const step = this.stepAt(event.offsetX * this.canvas.width / this.canvas.clientWidth,
+                event.offsetY * this.canvas.height / this.canvas.clientHeight);
+            if (step === null) {
+                return;
+            }
+            visualizer.playback.pause();
+            visualizer.playback.seek(step + 1);
+            if (visualizer.cameras.mode === 'orbit') {
+                visualizer.focusOnStep(step);
+            }
+        });
+        return this;
+    }
+
+    /**
+     * Fit the layout into the map and redraw the step dots
+     */
+    render() {
+        const visualizer = this.visualizer;
+        const points = visualizer.pathPoints || [];
+        this.renderedTrace = visualizer.trace;
+        this.canvas.style.display = visualizer.trace.length > 0 ? 'block' : 'none';
+        this.transform = null;
+        if (!this.context || visualizer.trace.length === 0 || points.length === 0) {
+            return;
+        }
+
+        // One scale for both axes so the layout keeps its shape. The
+        // camera starts out looking along -z, so -z is up and -x is right.
+        let minX = Infinity;
+        let maxX = -Infinity;
+        let minZ = Infinity;
+        let maxZ = -Infinity;
+        points.forEach(point => {
+            minX = Math.min(minX, point.x);
+            maxX = Math.max(maxX, point.x);
+            minZ = Math.min(minZ, point.z);
+            maxZ = Math.max(maxZ, point.z);
+        });
+        const { width, height } = this.canvas;
+        const inner = { width: width - 2 * this.margin, height: height - 2 * this.margin };
+        const scale = Math.min(inner.width / Math.max(maxX - minX, 1), inner.height / Math.max(maxZ - minZ, 1));
+        this.transform = {
+            scale: scale,
+            maxX: maxX,
+            minZ: minZ,
+            offsetX: this.margin + (inner.width - (maxX - minX) * scale) / 2,
+            offsetY: this.margin + (inner.height - (maxZ - minZ) * scale) / 2
+        };
+
+        if (!this.background) {
+            this.background = document.createElement('canvas');
+        }
+        this.background.width = width;
+        this.background.height = height;
+        const context = this.background.getContext('2d');
+        const every = Math.ceil(points.length / this.maxDots);
+        for (let step = 0; step < points.length; step += every) {
+            const color = visualizer.parser.getColorForType(visualizer.trace[step].type);
+            const { x, y } = this.toMap(points[step]);
+            context.fillStyle = `rgb(${color.r * 255}, ${color.g * 255}, ${color.b * 255})`;
+            context.fillRect(x - this.dotSize / 2, y - this.dotSize / 2, this.dotSize, this.dotSize);
+        }
+        this.drawOverlay();
+    }
+
+    /**
+     * Draw the dots with the current step and the camera on top
+     */
+    drawOverlay() {
+        const visualizer = this.visualizer;
+        const camera = visualizer.scene.activeCamera;
+        this.cameraKey = camera ? `${camera.position.toString()} ${camera.getForwardRay(1).direction.toString()}` : null;
+        if (!this.context || !this.transform) {
+            return;
+        }
+        const context = this.context;
+        const { width, height } = this.canvas;
+        context.clearRect(0, 0, width, height);
+        context.drawImage(this.background, 0, 0);
+
+        const current = visualizer.visibleCount - 1;
+        if (current >= 0 && visualizer.pathPoints[current]) {
+            const { x, y } = this.toMap(visualizer.pathPoints[current]);
+            context.strokeStyle = '#ffffff';
+            context.lineWidth = 2;
+            context.beginPath();
+            context.arc(x, y, 5, 0, 2 * Math.PI);
+            context.stroke();
+        }
+
+        // The camera's field of view, out as far as its target (orbit
+        // camera) or a fixed distance (ride camera), flattened onto the map
+        const forward = camera.getForwardRay(1).direction;
+        const heading = Math.atan2(forward.z, forward.x);
+        const aspect = visualizer.engine.getAspectRatio(camera);
+        const halfAngle = Math.atan(Math.tan(camera.fov / 2) * aspect);
+        const reach = camera === visualizer.camera
+            ? camera.radius * Math.hypot(forward.x, forward.z)
+            : 40;
+        const eye = this.toMap(camera.position);
+        const edge = angle => this.toMap({
+            x: camera.position.x + Math.cos(angle) * reach,
+            z: camera.position.z + Math.sin(angle) * reach
+        });
+        const left = edge(heading - halfAngle);
+        const right = edge(heading + halfAngle);
+        context.fillStyle = 'rgba(255, 215, 0, 0.15)';
+        context.strokeStyle = 'rgba(255, 215, 0, 0.8)';
+        context.lineWidth = 1;
+        context.beginPath();
+        context.moveTo(eye.x, eye.y);
+        context.lineTo(left.x, left.y);
+        context.lineTo(right.x, right.y);
+        context.closePath();
+        context.fill();
+        context.stroke();
+        context.fillStyle = '#ffd700';
+        context.fillRect(eye.x - 3, eye.y - 3, 6, 6);
+    }
+
+    /**
+     * Map pixel of a world position
+     * @param {{x, z}} point
+     * @returns {{x, y}}
+     */
+    toMap(point) {
+        const { scale, maxX, minZ, offsetX, offsetY } = this.transform;
+        return { x: offsetX + (maxX - point.x) * scale, y: offsetY + (point.z - minZ) * scale };
+    }
+
+    /**
+     * The step nearest a map pixel
+     * @returns {number|null} null without a trace
+     */
+    stepAt(x, y) {
+        if (!this.transform) {
+            return null;
+        }
+        const { scale, maxX, minZ, offsetX, offsetY } = this.transform;
+        const worldX = maxX - (x - offsetX) / scale;
+        const worldZ = minZ + (y - offsetY) / scale;
+        let nearest = null;
+        let best = Infinity;
+        this.visualizer.pathPoints.forEach((point, step) => {
+            const distance = (point.x - worldX) ** 2 + (point.z - worldZ) ** 2;
+            if (distance < best) {
+                best = distance;
+                nearest = step;
+            }
+        });
+        return nearest;
+    }
+}
@@ -0,0 +1,712 @@
+#!/usr/bin/env node
+/**
+ * Command-line tool for Code Mosaic
+ * Checks, summarises, converts and draws traces without a browser, with
+ * nothing but Node.js, e.g. to go through a folder of student traces in one
+ * run:
+ *
+ *     node mosaic.js validate traces/                  report malformed lines
+ *     node mosaic.js stats --csv traces/ > stats.csv   per-type counts, depth, loops
+ *     node mosaic.js convert --to json run.gdb -o run.json
+ *     node mosaic.js render --layout city run.trace -o run.png
+ *
+ * Traces may be in any format the page opens (see TraceImporter); folders
+ * are searched for trace files and "-" reads standard input. Files written
+ * to an -o folder keep the paths below the folders given, so a folder of
+ * traces becomes the same tree of outputs.
+ *
+ * Exit status: 0 when every trace was read without errors, 1 when one could
+ * not be read or has errors (with validate --strict, also warnings), 2 for
+ * bad arguments.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const { analyzeTrace, layoutTrace, TraceImporter, LayoutEngine, ThemeManager, TraceStatistics } = require('./headless.js');
+
+const USAGE = `Usage: node mosaic.js <command> [options] <trace|folder|->...
+
+Commands:
+  validate   report malformed lines and unbalanced calls
+             --strict          warnings fail the trace too
+             --json            one JSON report per trace, as an array
+  stats      per-type counts, call depth, functions, loops, variables, lines
+             --json | --csv    machine-readable output
+  convert    write traces in another format
+             --to <format>     pipe (default), json, ndjson or gdb-log
+             -o <file|folder>  where to write (default: standard output)
+  render     draw each trace as a PNG, seen from above at an angle
+             -o <file|folder>  where to write (default: next to the trace)
+             --layout <id>     spiral (default), helix, street, city or radial
+             --set key=value   a layout setting, e.g. --set radius=4
+             --theme <id|file> a built-in theme id or a theme JSON file
+             --size WxH        image size in pixels (default 1200x900)
+             --coil-loops      coil loop iterations`;
+
+const RENDER_SUPERSAMPLING = 2; // drawn at twice the size, then averaged down
+
+/**
+ * An RGB image to draw flat-shaded polygons on
+ */
+class Raster {
+    constructor(width, height, background) {
+        this.width = width;
+        this.height = height;
+        this.pixels = new Uint8Array(width * height * 3);
+        const rgb = [background.r, background.g, background.b].map(Raster.toByte);
+        for (let i = 0; i < this.pixels.length; i += 3) {
+            this.pixels.set(rgb, i);
+        }
+    }
+
+    /**
+     * Fill a polygon, blending it over what is there
+     * @param {Array<{x, y}>} points - corners in pixels
+     * @param {{r, g, b}} color - components from 0 to 1
+     * @param {number} alpha - opacity from 0 to 1
+     */
+    fillPolygon(points, color, alpha) {
+        const ys = points.map(point => point.y);
+        const top = Math.max(0, Math.floor(Math.min(...ys)));
+        const bottom = Math.min(this.height - 1, Math.ceil(Math.max(...ys)));
+        const rgb = [color.r, color.g, color.b].map(Raster.toByte);
+        for (let y = top; y <= bottom; y++) {
+            // Where the pixel row's center crosses the edges, paired up left to right
+            const center = y + 0.5;
+            const crossings = [];
+            points.forEach((a, i) => {
+                const b = points[(i + 1) % points.length];
+                if ((a.y <= center) !== (b.y <= center)) {
+                    crossings.push(a.x + (center - a.y) * (b.x - a.x) / (b.y - a.y));
+                }
+            });
+            crossings.sort((a, b) => a - b);
+            for (let i = 0; i + 1 < crossings.length; i += 2) {
+                const from = Math.max(0, Math.ceil(crossings[i] - 0.5));
+                const to = Math.min(this.width - 1, Math.floor(crossings[i + 1] - 0.5));
+                for (let x = from; x <= to; x++) {
+                    const offset = (y * this.width + x) * 3;
+                    for (let c = 0; c < 3; c++) {
+                        this.pixels[offset + c] += Math.round((rgb[c] - this.pixels[offset + c]) * alpha);
+                    }
+                }
+            }
+        }
+    }
+
+    /**
+     * Draw a line `width` pixels thick
+     */
+    drawLine(a, b, width, color, alpha) {
+        const length = Math.hypot(b.x - a.x, b.y - a.y);
+        if (length === 0) {
+            return;
+        }
+        const nx = -(b.y - a.y) / length * width / 2;
+        const ny = (b.x - a.x) / length * width / 2;
+        this.fillPolygon([
+            { x: a.x + nx, y: a.y + ny }, { x: b.x + nx, y: b.y + ny },
+            { x: b.x - nx, y: b.y - ny }, { x: a.x - nx, y: a.y - ny }
+        ], color, alpha);
+    }
+
+    /**
+     * The image as a PNG, shrunk by `factor` in each direction by averaging
+     * blocks of pixels
+     * @returns {Buffer}
+     */
+    toPNG(factor) {
+        const width = Math.floor(this.width / factor);
+        const height = Math.floor(this.height / factor);
+        // One filter-type byte, then the pixels, per row
+        const rows = Buffer.alloc(height * (width * 3 + 1));
+        for (let y = 0; y < height; y++) {
+            const rowStart = y * (width * 3 + 1);
+            for (let x = 0; x < width; x++) {
+                for (let c = 0; c < 3; c++) {
+                    let sum = 0;
+                    for (let dy = 0; dy < factor; dy++) {
+                        for (let dx = 0; dx < factor; dx++) {
+                            sum += this.pixels[((y * factor + dy) * this.width + x * factor + dx) * 3 + c];
+                        }
+                    }
+                    rows[rowStart + 1 + x * 3 + c] = Math.round(sum / (factor * factor));
+                }
+            }
+        }
+        const header = Buffer.alloc(13);
+        header.writeUInt32BE(width, 0);
+        header.writeUInt32BE(height, 4);
+        header.set([8, 2, 0, 0, 0], 8); // 8-bit RGB, no interlacing
+        return Buffer.concat([
+            Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]),
+            Raster.chunk('IHDR', header),
+            Raster.chunk('IDAT', zlib.deflateSync(rows)),
+            Raster.chunk('IEND', Buffer.alloc(0))
+        ]);
+    }
+
+    static chunk(type, data) {
+        const length = Buffer.alloc(4);
+        length.writeUInt32BE(data.length, 0);
+        const body = Buffer.concat([Buffer.from(type, 'ascii'), data]);
+        const crc = Buffer.alloc(4);
+        crc.writeUInt32BE(Raster.crc32(body), 0);
+        return Buffer.concat([length, body, crc]);
+    }
+
+    static crc32(bytes) {
+        let crc = 0xFFFFFFFF;
+        for (let i = 0; i < bytes.length; i++) {
+            crc ^= bytes[i];
+            for (let bit = 0; bit < 8; bit++) {
+                crc = (crc >>> 1) ^ (0xEDB88320 & -(crc & 1));
+            }
+        }
+        return (crc ^ 0xFFFFFFFF) >>> 0;
+    }
+
+    static toByte(component) {
+        return Math.round(Math.max(0, Math.min(1, component)) * 255);
+    }
+}
+
+/**
+ * Draw an analysed trace: the layout's path and a flat-shaded building per
+ * step, seen from where the page's camera starts. Buildings take the
+ * middle of their type's size ranges and stack on their CALL as in the
+ * page, so the picture shows the shape of a run rather than the exact scene.
+ * @returns {Raster} drawn RENDER_SUPERSAMPLING times the requested size
+ */
+function renderTrace(analysis, options) {
+    const layout = layoutTrace(analysis, options.layout, options.settings, options.coilLoops);
+    const theme = options.theme;
+    const width = options.width * RENDER_SUPERSAMPLING;
+    const height = options.height * RENDER_SUPERSAMPLING;
+    const raster = new Raster(width, height, theme.background);
+
+    // Orthographic view from the page camera's starting direction, (25, 30, 25)
+    const elevation = Math.atan2(30, Math.hypot(25, 25));
+    const view = { x: Math.cos(elevation) * Math.SQRT1_2, y: Math.sin(elevation), z: Math.cos(elevation) * Math.SQRT1_2 };
+    const right = { x: Math.SQRT1_2, y: 0, z: -Math.SQRT1_2 };
+    const up = cross(view, right);
+    const light = normalize({ x: 0.4, y: 1, z: 0.25 });
+
+    const middle = (min, max) => (min + max) / 2;
+    const heights = analysis.steps.map(step => {
+        const profile = theme.shapes[step.type] || theme.shapes.DEFAULT;
+        return middle(profile.heightMin, profile.heightMax);
+    });
+    const buildings = analysis.steps.map((step, index) => {
+        const profile = theme.shapes[step.type] || theme.shapes.DEFAULT;
+        const bottom = middle(profile.bottomWidthMin, profile.bottomWidthMax);
+        const top = middle(profile.topWidthMin, profile.topWidthMax);
+        const depth = middle(profile.depthMin, profile.depthMax);
+        const taper = Math.max(0.6, top / bottom);
+        const point = layout.points[index];
+        const parent = analysis.callTree.parentCallOf(index);
+        const y = point.y + (step.type !== 'CALL' && parent !== null ? heights[parent] * 0.3 : 0);
+        const corners = (halfWidth, halfDepth, cy) => [[-1, -1], [1, -1], [1, 1], [-1, 1]]
+            .map(([sx, sz]) => ({ x: point.x + sx * halfWidth, y: cy, z: point.z + sz * halfDepth }));
+        return {
+            color: theme.palette[step.type] || theme.palette.DEFAULT,
+            base: corners(bottom / 2, depth / 2, y),
+            top: corners(top / 2, depth * taper / 2, y + heights[index]),
+            center: { x: point.x, y: y + heights[index] / 2, z: point.z }
+        };
+    });
+
+    // Fit everything into the image, leaving a margin
+    const project = point => ({ x: dot(point, right), y: dot(point, up) });
+    const extents = { left: Infinity, right: -Infinity, bottom: Infinity, top: -Infinity };
+    const extend = point => {
+        const p = project(point);
+        extents.left = Math.min(extents.left, p.x);
+        extents.right = Math.max(extents.right, p.x);
+        extents.bottom = Math.min(extents.bottom, p.y);
+        extents.top = Math.max(extents.top, p.y);
+    };
+    buildings.forEach(building => [...building.base, ...building.top].forEach(extend));
+    layout.segments.forEach(segment => segment.forEach(extend));
+    if (extents.left === Infinity) {
+        return raster;
+    }
+    const scale = 0.9 * Math.min(width / Math.max(extents.right - extents.left, 1e-6),
+        height / Math.max(extents.top - extents.bottom, 1e-6));
+    const toPixels = point => {
+        const p = project(point);
+        return {
+            x: width / 2 + (p.x - (extents.left + extents.right) / 2) * scale,
+            y: height / 2 - (p.y - (extents.bottom + extents.top) / 2) * scale
+        };
+    };
+
+    // Path first, under the buildings; the main path is drawn thickest
+    layout.segments.forEach((segment, index) => {
+        const pixels = segment.map(toPixels);
+        const thickness = (index === 0 ? 2.5 : 1.2) * RENDER_SUPERSAMPLING;
+        for (let i = 1; i < pixels.length; i++) {
+            raster.drawLine(pixels[i - 1], pixels[i], thickness, theme.path.color, theme.path.alpha);
+        }
+    });
+
+    // Buildings far to near, each with the faces turned towards the viewer
+    // Capped so that faces stay apart under themes lit evenly from all sides
+    const ambient = Math.min(theme.lighting.ambient.intensity, 0.7);
+    const opaque = theme.material !== 'stainedGlass';
+    buildings.sort((a, b) => dot(a.center, view) - dot(b.center, view));
+    buildings.forEach(building => {
+        const { base, top, center } = building;
+        const faces = [0, 1, 2, 3].map(i => [base[i], base[(i + 1) % 4], top[(i + 1) % 4], top[i]]);
+        faces.push(top);
+        faces.forEach(face => {
+            let normal = normalize(cross(subtract(face[1], face[0]), subtract(face[2], face[0])));
+            if (dot(normal, subtract(face[0], center)) < 0) {
+                normal = { x: -normal.x, y: -normal.y, z: -normal.z };
+            }
+            if (dot(normal, view) <= 0) {
+                return;
+            }
+            const pixels = face.map(toPixels);
+            if (theme.material === 'wireframe') {
+                pixels.forEach((point, i) => raster.drawLine(point, pixels[(i + 1) % pixels.length],
+                    RENDER_SUPERSAMPLING, building.color, 1));
+                return;
+            }
+            const shade = Math.min(1, ambient + (1 - ambient) * Math.max(0, dot(normal, light)));
+            const color = { r: building.color.r * shade, g: building.color.g * shade, b: building.color.b * shade };
+            raster.fillPolygon(pixels, color, opaque ? 1 : building.color.a);
+        });
+    });
+    return raster;
+}
+
+function dot(a, b) {
+    return a.x * b.x + a.y * b.y + a.z * b.z;
+}
+
+function cross(a, b) {
+    return { x: a.y * b.z - a.z * b.y, y: a.z * b.x - a.x * b.z, z: a.x * b.y - a.y * b.x };
+}
+
+function subtract(a, b) {
+    return { x: a.x - b.x, y: a.y - b.y, z: a.z - b.z };
+}
+
+function normalize(v) {
+    const length = Math.hypot(v.x, v.y, v.z) || 1;
+    return { x: v.x / length, y: v.y / length, z: v.z / length };
+}
+
+/**
+ * The traces named on the command line. Folders are searched, in name
+ * order, for files with an extension some trace format claims.
+ * @returns {Array<{file, relative}>} `relative` is the path below the
+ *   folder given (or the file's path as given), used to name output files
+ */
+function collectTraces(inputs, importers) {
+    const extensions = new Set([...importers.formats.values()].flatMap(format => format.extensions));
+    const traces = [];
+    const search = (folder, root) => {
+        fs.readdirSync(folder, { withFileTypes: true })
+            .sort((a, b) => a.name.localeCompare(b.name))
+            .forEach(entry => {
+                const file = path.join(folder, entry.name);
+                if (entry.isDirectory()) {
+                    search(file, root);
+                } else if (extensions.has(path.extname(entry.name).toLowerCase())) {
+                    traces.push({ file: file, relative: path.relative(root, file) });
+                }
+            });
+    };
+    inputs.forEach(input => {
+        if (input === '-') {
+            traces.push({ file: '-', relative: 'stdin' });
+        } else if (fs.existsSync(input) && fs.statSync(input).isDirectory()) {
+            search(input, input);
+        } else {
+            // As given, without anything that would lead out of the -o folder
+            const parts = path.normalize(input).split(path.sep).filter(part => part !== '..' && part !== '');
+            traces.push({ file: input, relative: path.join(...parts.slice(/^[A-Za-z]:$/.test(parts[0]) ? 1 : 0)) });
+        }
+    });
+    return traces;
+}
+
+/**
+ * Read and analyse a trace
+ * @returns {object|null} analysis (see analyzeTrace), or null if the file
+ *   could not be read, which has been reported
+ */
+function loadTrace(trace) {
+    let text;
+    try {
+        text = fs.readFileSync(trace.file === '-' ? 0 : trace.file, 'utf8');
+    } catch (error) {
+        console.error(`${trace.file}: cannot read: ${error.message}`);
+        return null;
+    }
+    return analyzeTrace(text, trace.file === '-' ? '' : trace.file);
+}
+
+/**
+ * Where to write the output for a trace
+ * @param {object} trace - from collectTraces()
+ * @param {string|null} out - the -o argument
+ * @param {boolean} several - more than one trace is being written
+ * @param {string} extension - of the output, e.g. ".png"
+ * @returns {string|null} null for standard output
+ */
+function outputPath(trace, out, several, extension) {
+    const renamed = file => file.replace(/(\.[^./\\]*)?$/, extension);
+    if (out === null) {
+        return null;
+    }
+    const folder = /[\\/]$/.test(out) || (fs.existsSync(out) && fs.statSync(out).isDirectory());
+    if (several || folder) {
+        return path.join(out, renamed(trace.relative));
+    }
+    return out;
+}
+
+function writeOutput(file, data) {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, data);
+}
+
+function count(n, noun) {
+    return `${n} ${noun}${n === 1 ? '' : 's'}`;
+}
+
+/**
+ * At most `max` items joined with commas
+ */
+function listed(items, max) {
+    const shown = items.slice(0, max).join(', ');
+    return items.length > max ? `${shown}, …and ${items.length - max} more` : shown || '—';
+}
+
+/**
+ * Say on stderr what is wrong with a trace that is converted or rendered
+ * anyway: malformed lines are left out, unbalanced calls are kept
+ * @returns {boolean} whether the trace has errors
+ */
+function reportErrors(trace, analysis) {
+    const problems = [];
+    if (analysis.malformedLines > 0) {
+        problems.push(`${count(analysis.malformedLines, 'malformed line')} left out`);
+    }
+    if (analysis.unbalancedCalls > 0) {
+        problems.push(count(analysis.unbalancedCalls, 'unbalanced call error'));
+    }
+    if (problems.length > 0) {
+        console.error(`${trace.file}: ${problems.join(', ')} (run validate for details)`);
+    }
+    return analysis.errors.length > 0;
+}
+
+function validate(traces, options) {
+    let failed = 0;
+    const reports = [];
+    traces.forEach(trace => {
+        const analysis = loadTrace(trace);
+        if (!analysis) {
+            failed++;
+            reports.push({ file: trace.file, readable: false });
+            return;
+        }
+        const { errors, warnings } = analysis;
+        const fails = errors.length > 0 || (options.strict && warnings.length > 0);
+        if (fails) {
+            failed++;
+        }
+        if (options.json) {
+            const strip = ({ severity, line, column, message, text }) => ({ severity, line, column, message, text });
+            reports.push({
+                file: trace.file,
+                readable: true,
+                format: analysis.format.id,
+                steps: analysis.steps.length,
+                valid: !fails,
+                errors: errors.map(strip),
+                warnings: warnings.map(strip)
+            });
+            return;
+        }
+        if (errors.length === 0 && warnings.length === 0) {
+            console.log(`${trace.file}: OK, ${count(analysis.steps.length, 'step')}`);
+            return;
+        }
+        console.log(`${trace.file}: ${count(errors.length, 'error')}, ${count(warnings.length, 'warning')}` +
+            ` (${count(analysis.steps.length, 'step')} read)`);
+        [...errors, ...warnings].sort((a, b) => a.line - b.line || a.column - b.column).forEach(d => {
+            console.log(`  line ${d.line}:${d.column} ${d.severity}: ${d.message}`);
+        });
+    });
+    if (options.json) {
+        console.log(JSON.stringify(reports, null, 2));
+    } else if (traces.length > 1) {
+        console.log(`${count(traces.length, 'trace')}: ${traces.length - failed} passed, ${failed} failed`);
+    }
+    return failed > 0 ? 1 : 0;
+}
+
+function stats(traces, options) {
+    let failed = 0;
+    const reports = [];
+    const csv = ['file,section,item,count'];
+    traces.forEach(trace => {
+        const analysis = loadTrace(trace);
+        if (!analysis) {
+            failed++;
+            return;
+        }
+        if (analysis.errors.length > 0) {
+            failed++;
+        }
+        const statistics = analysis.statistics;
+        const heapProblems = analysis.heap.allProblems();
+        const problemCounts = {};
+        heapProblems.forEach(problem => {
+            problemCounts[problem.kind] = (problemCounts[problem.kind] || 0) + 1;
+        });
+        if (options.json) {
+            reports.push({
+                file: trace.file,
+                format: analysis.format.id,
+                errors: analysis.errors.length,
+                warnings: analysis.warnings.length,
+                ...statistics.toJSON(),
+                heap: { blocks: analysis.heap.blocks.length, problems: problemCounts }
+            });
+        } else if (options.csv) {
+            const cell = text => /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+            statistics.toCSV().trim().split('\n').slice(1).forEach(row => csv.push(`${cell(trace.file)},${row}`));
+        } else {
+            console.log(`${trace.file}: ${count(statistics.stepCount, 'step')} (${analysis.format.name}),` +
+                ` ${count(analysis.errors.length, 'error')}, ${count(analysis.warnings.length, 'warning')}`);
+            const rows = [
+                ['Max call depth', String(statistics.maxDepth)],
+                ['Record types', listed(statistics.types.map(row => `${row.type} ${row.count}`), 12)],
+                ['Functions', listed(statistics.functions.map(row =>
+                    `${row.name} (${count(row.calls, 'call')}, ${count(row.ownSteps, 'step')})`), 8)],
+                ['Loops', listed(statistics.loops.map(row =>
+                    `${TraceStatistics.loopLabel(row)} ${count(row.iterations, 'iteration')}`), 8)],
+                ['Most written', listed(statistics.variables.map(row =>
+                    `${TraceStatistics.variableLabel(row)} ${count(row.writes, 'write')}`), 3)],
+                ['Hottest lines', listed(statistics.lines.map(row => `${row.line} (${row.count})`), 8)]
+            ];
+            if (analysis.heap.blocks.length > 0 || heapProblems.length > 0) {
+                rows.push(['Heap', listed([count(analysis.heap.blocks.length, 'block'),
+                    ...Object.entries(problemCounts).map(([kind, n]) => `${n} ${kind}`)], 5)]);
+            }
+            rows.forEach(([label, text]) => console.log(`  ${label.padEnd(15)}${text}`));
+        }
+    });
+    if (options.json) {
+        console.log(JSON.stringify(reports, null, 2));
+    } else if (options.csv) {
+        console.log(csv.join('\n'));
+    }
+    return failed > 0 ? 1 : 0;
+}
+
+function convert(traces, options, importers) {
+    const format = importers.get(options.to);
+    if (!format || !format.write) {
+        const writable = [...importers.formats.values()].filter(other => other.write).map(other => other.id);
+        throw new UsageError(`--to must be one of ${writable.join(', ')}`);
+    }
+    const several = traces.length > 1;
+    if (several && options.out === null) {
+        throw new UsageError('Give -o <folder> to convert more than one trace');
+    }
+    let failed = 0;
+    traces.forEach(trace => {
+        const analysis = loadTrace(trace);
+        if (!analysis) {
+            failed++;
+            return;
+        }
+        if (reportErrors(trace, analysis)) {
+            failed++;
+        }
+        const text = importers.write(analysis.steps, format.id);
+        const file = outputPath(trace, options.out, several, format.extensions[0]);
+        if (file === null) {
+            process.stdout.write(text);
+        } else {
+            writeOutput(file, text);
+        }
+    });
+    return failed > 0 ? 1 : 0;
+}
+
+function render(traces, options) {
+    const several = traces.length > 1;
+    if (options.out === null && traces.some(trace => trace.file === '-')) {
+        throw new UsageError('Give -o <file> to render standard input');
+    }
+    let failed = 0;
+    traces.forEach(trace => {
+        const analysis = loadTrace(trace);
+        if (!analysis) {
+            failed++;
+            return;
+        }
+        if (reportErrors(trace, analysis)) {
+            failed++;
+        }
+        const file = options.out === null
+            ? trace.file.replace(/(\.[^./\\]*)?$/, '.png')
+            : outputPath(trace, options.out, several, '.png');
+        writeOutput(file, renderTrace(analysis, options).toPNG(RENDER_SUPERSAMPLING));
+        console.log(`${trace.file} -> ${file}`);
+    });
+    return failed > 0 ? 1 : 0;
+}
+
+/**
+ * A mistake on the command line, answered with the usage text
+ */
+class UsageError extends Error {}
+
+function parseArguments(argv) {
+    const options = {
+        command: argv[0],
+        inputs: [],
+        strict: false,
+        json: false,
+        csv: false,
+        to: 'pipe',
+        out: null,
+        layout: 'spiral',
+        settings: {},
+        theme: 'stained-glass',
+        width: 1200,
+        height: 900,
+        coilLoops: false
+    };
+    if (!['validate', 'stats', 'convert', 'render'].includes(options.command)) {
+        throw new UsageError(options.command ? `Unknown command "${options.command}"` : 'Give a command');
+    }
+    const value = (i, flag) => {
+        if (i >= argv.length) {
+            throw new UsageError(`${flag} needs a value`);
+        }
+        return argv[i];
+    };
+    for (let i = 1; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--strict') {
+            options.strict = true;
+        } else if (arg === '--json') {
+            options.json = true;
+        } else if (arg === '--csv') {
+            options.csv = true;
+        } else if (arg === '--to') {
+            options.to = value(++i, arg);
+        } else if (arg === '-o' || arg === '--out') {
+            options.out = value(++i, arg);
+        } else if (arg === '--layout') {
+            options.layout = value(++i, arg);
+        } else if (arg === '--set') {
+            const match = /^([A-Za-z]+)=(-?(?:\d+\.?\d*|\.\d+))$/.exec(value(++i, arg));
+            if (!match) {
+                throw new UsageError('--set needs key=number, e.g. --set radius=4');
+            }
+            options.settings[match[1]] = parseFloat(match[2]);
+        } else if (arg === '--theme') {
+            options.theme = value(++i, arg);
+        } else if (arg === '--size') {
+            const match = /^(\d+)x(\d+)$/.exec(value(++i, arg));
+            if (!match || match[1] < 16 || match[2] < 16 || match[1] > 8192 || match[2] > 8192) {
+                throw new UsageError('--size needs WIDTHxHEIGHT, each from 16 to 8192');
+            }
+            options.width = parseInt(match[1], 10);
+            options.height = parseInt(match[2], 10);
+        } else if (arg === '--coil-loops') {
+            options.coilLoops = true;
+        } else if (arg.startsWith('-') && arg !== '-') {
+            throw new UsageError(`Unknown option "${arg}"`);
+        } else {
+            options.inputs.push(arg);
+        }
+    }
+    if (options.inputs.length === 0) {
+        throw new UsageError('Give at least one trace file or folder ("-" for standard input)');
+    }
+    if (options.json && options.csv) {
+        throw new UsageError('Give --json or --csv, not both');
+    }
+    return options;
+}
+
+/**
+ * Check the render options against the layouts and themes there are (and
+ * each --set value against its setting's range), and replace the theme id
+ * or file with the resolved theme
+ */
+function resolveRenderOptions(options) {
+    const layouts = new LayoutEngine();
+    if (!layouts.layouts.has(options.layout)) {
+        throw new UsageError(`Unknown layout "${options.layout}"; known: ${[...layouts.layouts.keys()].join(', ')}`);
+    }
+    const settings = layouts.get(options.layout).settings;
+    Object.keys(options.settings).forEach(key => {
+        const setting = settings.find(known => known.key === key);
+        if (!setting) {
+            const keys = settings.map(known => known.key);
+            throw new UsageError(`The ${options.layout} layout has no setting "${key}"; it has ${keys.join(', ')}`);
+        }
+        const value = options.settings[key];
+        if (!isFinite(value) || value < setting.min || value > setting.max) {
+            throw new UsageError(`--set ${key} must be from ${setting.min} to ${setting.max}`);
+        }
+    });
+    const themes = new ThemeManager();
+    if (themes.themes.has(options.theme)) {
+        options.theme = themes.get(options.theme);
+    } else if (fs.existsSync(options.theme)) {
+        try {
+            options.theme = themes.register(JSON.parse(fs.readFileSync(options.theme, 'utf8')));
+        } catch (error) {
+            throw new UsageError(`Could not load theme ${options.theme}: ${error.message}`);
+        }
+    } else {
+        throw new UsageError(`No theme "${options.theme}"; give one of ${[...themes.themes.keys()].join(', ')} or a theme JSON file`);
+    }
+}
+
+function main() {
+    const importers = new TraceImporter();
+    let status;
+    try {
+        const options = parseArguments(process.argv.slice(2));
+        const traces = collectTraces(options.inputs, importers);
+        if (traces.length === 0) {
+            throw new UsageError('No trace files found');
+        }
+        if (options.command === 'validate') {
+            status = validate(traces, options);
+        } else if (options.command === 'stats') {
+            status = stats(traces, options);
+        } else if (options.command === 'convert') {
+            status = convert(traces, options, importers);
+        } else {
+            resolveRenderOptions(options);
+            status = render(traces, options);
+        }
+    } catch (error) {
+        if (!(error instanceof UsageError)) {
+            throw error;
+        }
+        console.error(error.message);
+        console.error(USAGE);
+        status = 2;
+    }
+    process.exitCode = status;
+}
+
+main();
@@ -1,10 +1,20 @@
 /**
  * Parser for the C code runtime model
  * Format: TYPE|name|value|address|line|depth
+ *
+ * Not every record type uses every field. Each type has one or more field
+ * layouts (see getSchema) and a line is matched against the layout with the
+ * same number of fields. Lines that fail to parse are reported through
+ * `errors`/`warnings` and left out of the execution trace.
  */
 class CodeParser {
     constructor() {
         this.executionTrace = [];
+        this.errors = [];
+        this.warnings = [];
+        this.pending = '';
+        this.lineCount = 0;
+        this.palette = CodeParser.defaultPalette();
     }
 
     /**
@@ -13,28 +23,311 @@ class CodeParser {
      * @returns {Array} Parsed execution steps
      */
     parse(codeTrace) {
-        const lines = codeTrace.trim().split('\n');
-        this.executionTrace = lines.map((line, index) => {
-            const parts = line.split('|');
-            return {
-                step: index,
-                type: parts[0],
-                name: parts[1],
-                value: parts[2],
-                address: parts[3],
-                line: parseInt(parts[4]) || 0,
-                depth: parseInt(parts[5]) || 0,
-                raw: line
-            };
+        this.beginStream();
+        this._parseLines(codeTrace.split('\n'));
+        return this.executionTrace;
+    }
+
+    /**
+     * Start parsing a trace that arrives in pieces (see parseChunk)
+     */
+    beginStream() {
+        this.executionTrace = [];
+        this.errors = [];
+        this.warnings = [];
+        this.pending = '';  // text after the last newline, not yet parsed
+        this.lineCount = 0; // trace lines parsed so far
+    }
+
+    /**
+     * Parse the complete lines of the next piece of a streamed trace. A line
+     * split across pieces is parsed once its newline arrives.
+     * @param {string} text - the next piece of the trace
+     * @returns {Array} the steps parsed from this piece
+     */
+    parseChunk(text) {
+        const lines = (this.pending + text).split('\n');
+        this.pending = lines.pop();
+        return this._parseLines(lines);
+    }
+
+    /**
+     * Parse whatever followed the last newline of a streamed trace
+     * @returns {Array} the steps parsed from it
+     */
+    endStream() {
+        const rest = this.pending;
+        this.pending = '';
+        return this._parseLines([rest]);
+    }
+
+    /**
+     * Parse lines following the ones already parsed, appending their steps
+     * to the execution trace
+     * @returns {Array} the new steps
+     */
+    _parseLines(lines) {
+        const steps = [];
+        lines.forEach(rawLine => {
+            this.lineCount++;
+            const line = rawLine.replace(/\r$/, '');
+            if (line.trim() === '') {
+                return;
+            }
+            const step = this.parseLine(line, this.lineCount);
+            if (step) {
+                step.step = this.executionTrace.length;
+                this.executionTrace.push(step);
+                steps.push(step);
+            }
+        });
+        return steps;
+    }
+
+    /**
+     * Parse records read from another trace format (see TraceImporter).
+     * Each record is written as the equivalent pipe line and checked like
+     * one, so every format yields the same steps and diagnostics. That line
+     * is not in the trace, so its diagnostics are at column 1 of the record
+     * (the array entry or log line) and name the field instead.
+     * @param {Array<object>} records - { type, name, value, address, line,
+     *     depth, traceLine }; fields left out are empty
+     * @param {Array<object>} [problems] - { line, column, message } errors
+     *     found while reading the other format
+     * @returns {Array} Parsed execution steps
+     */
+    parseRecords(records, problems = []) {
+        this.beginStream();
+        problems.forEach(problem => this._report('error', problem.line, problem.column || 1, problem.message, ''));
+        records.forEach(record => {
+            const fields = ['type', 'name', 'value', 'address', 'line', 'depth'].map(key =>
+                (record[key] === undefined || record[key] === null ? '' : String(record[key])));
+            if (fields.some(field => /[|\r\n]/.test(field))) {
+                this._report('warning', record.traceLine, 1,
+                    'A field contains "|" or a line break, which the trace format cannot hold; ' +
+                    'they were replaced', fields.join(' '));
+            }
+            const line = fields.map(field => field.replace(/\|/g, '/').replace(/[\r\n]+/g, ' ')).join('|');
+            this.lineCount = record.traceLine;
+            const step = this.parseLine(line, record.traceLine, false);
+            if (step) {
+                step.step = this.executionTrace.length;
+                this.executionTrace.push(step);
+            }
         });
         return this.executionTrace;
     }
 
     /**
-     * Get color based on operation type (stained glass colors)
+     * Parse a trace and return the steps together with every diagnostic
+     * @param {string} codeTrace - Multi-line string of execution trace
+     * @returns {{steps: Array, errors: Array, warnings: Array}}
+     */
+    validate(codeTrace) {
+        const steps = this.parse(codeTrace);
+        return { steps, errors: this.errors, warnings: this.warnings };
+    }
+
+    /**
+     * Parse a single trace line against the schema of its record type.
+     * @param {string} line - one trace line (without newline)
+     * @param {number} traceLine - 1-based line number in the trace text
+     * @param {boolean} [fieldColumns=true] - report each field's column;
+     *     when false every diagnostic is at column 1 and only names the field
+     * @returns {object|null} the step, or null if the line is malformed
+     */
+    parseLine(line, traceLine, fieldColumns = true) {
+        const parts = line.split('|');
+        const columns = [];
+        let column = 1;
+        parts.forEach(part => {
+            columns.push(fieldColumns ? column : 1);
+            column += part.length + 1;
+        });
+
+        let type = parts[0].trim();
+        if (type !== parts[0]) {
+            this._report('warning', traceLine, 1, `Whitespace around record type "${type}"`, line);
+        }
+        if (type !== type.toUpperCase() && this.getSchema(type.toUpperCase())) {
+            this._report('warning', traceLine, 1, `Record type "${type}" should be upper case`, line);
+            type = type.toUpperCase();
+        }
+
+        const schema = this.getSchema(type);
+        if (!schema) {
+            this._report('error', traceLine, 1, `Unknown record type "${type}"`, line);
+            return null;
+        }
+
+        const fieldCount = parts.length - 1;
+        const layout = schema.find(candidate => candidate.length === fieldCount);
+        if (!layout) {
+            const expected = schema.map(candidate => candidate.length).join(' or ');
+            this._report('error', traceLine, 1,
+                `${type} expects ${expected} fields, got ${fieldCount}`, line);
+            return null;
+        }
+
+        const step = {
+            step: 0,
+            type: type,
+            name: '',
+            value: null,
+            address: null,
+            line: null,
+            depth: 0,
+            traceLine: traceLine,
+            raw: line
+        };
+
+        let valid = true;
+        layout.forEach((spec, i) => {
+            const optional = spec.endsWith('?');
+            const field = optional ? spec.slice(0, -1) : spec;
+            const text = parts[i + 1];
+            const col = columns[i + 1];
+            const trimmed = text.trim();
+
+            if (trimmed !== text) {
+                this._report('warning', traceLine, col, `Whitespace around ${field} "${trimmed}"`, line);
+            }
+            if (trimmed === '') {
+                if (!optional) {
+                    this._report('error', traceLine, col, `${type} is missing required field "${field}"`, line);
+                    valid = false;
+                }
+                return;
+            }
+
+            const result = this.coerceField(field, trimmed);
+            if (result.error) {
+                this._report('error', traceLine, col, result.error, line);
+                valid = false;
+                return;
+            }
+            // A pointer is the value of its record, kept as an address
+            step[field === 'pointer' ? 'value' : field] = result.value;
+        });
+
+        return valid ? step : null;
+    }
+
+    /**
+     * Field layouts per record type. A trailing "?" marks a field that may be
+     * left empty. Every type also accepts the full canonical layout. A
+     * PTR_ASSIGN's value is a "pointer", checked like an address.
+     */
+    getSchema(type) {
+        const canonical = ['name', 'value?', 'address?', 'line', 'depth'];
+        const schemas = {
+            'CALL': [
+                ['name', 'value?', 'address?', 'depth'],                // CALL|main|||1
+                ['name', 'value?', 'address?', 'line?', 'depth']
+            ],
+            'DECL': [
+                ['name', 'value?', 'address', 'line', 'depth']
+            ],
+            'LOOP': [
+                ['name', 'line', 'depth'],                             // LOOP|iter|3|1
+                canonical
+            ],
+            'ASSIGN': [
+                ['name', 'value', 'address', 'line', 'depth']
+            ],
+            'RETURN': [
+                canonical
+            ],
+            'IF': [
+                ['name', 'value?', 'line', 'depth'],                   // IF|i<n|1|5|1
+                canonical
+            ],
+            'ELSE': [
+                ['name', 'line', 'depth'],                             // ELSE|i<n|7|1
+                canonical
+            ],
+            'MALLOC': [
+                ['name', 'value', 'address', 'line', 'depth']         // MALLOC|p|40|602010|5|1
+            ],
+            'FREE': [
+                ['name', 'address', 'line', 'depth'],                  // FREE|p|602010|9|1
+                ['name', 'value?', 'address', 'line', 'depth']
+            ],
+            'PTR_ASSIGN': [
+                ['name', 'pointer', 'address', 'line', 'depth']       // PTR_ASSIGN|p|602010|FF880|5|1
+            ],
+            'ARRAY_WRITE': [
+                ['name', 'value', 'address', 'line', 'depth']         // ARRAY_WRITE|a[2]|7|602018|6|1
+            ],
+            'DEREF': [
+                ['name', 'value?', 'address', 'line', 'depth']        // DEREF|*p|7|602010|7|1
+            ]
+        };
+        return schemas[type] || null;
+    }
+
+    /**
+     * Convert a raw field string to its typed value.
+     * @returns {{value: *}|{error: string}}
+     */
+    coerceField(field, text) {
+        switch (field) {
+            case 'line':
+            case 'depth':
+                if (!/^\d+$/.test(text)) {
+                    return { error: `${field} must be a non-negative integer, got "${text}"` };
+                }
+                return { value: parseInt(text, 10) };
+            case 'value':
+                // Numeric values become numbers; anything else (chars,
+                // expressions, symbolic names) is kept as written.
+                if (/^[-+]?(\d+\.?\d*|\.\d+)([eE][-+]?\d+)?$/.test(text)) {
+                    return { value: Number(text) };
+                }
+                return { value: text };
+            case 'address':
+                if (!/^(0[xX])?[0-9A-Fa-f]+$/.test(text)) {
+                    return { error: `address must be hexadecimal, got "${text}"` };
+                }
+                return { value: text.replace(/^0[xX]/, '').toUpperCase() };
+            case 'pointer':
+                if (/^(NULL|nil|\(nil\))$/i.test(text)) {
+                    return { value: '0' };
+                }
+                if (!/^(0[xX])?[0-9A-Fa-f]+$/.test(text)) {
+                    return { error: `pointer value must be a hexadecimal address or NULL, got "${text}"` };
+                }
+                return { value: text.replace(/^0[xX]/, '').toUpperCase() };
+            default:
+                return { value: text };
+        }
+    }
+
+    /**
+     * Record a diagnostic for a trace line
+     */
+    _report(severity, line, column, message, text) {
+        const diagnostic = { severity, line, column, message, text };
+        if (severity === 'error') {
+            this.errors.push(diagnostic);
+        } else {
+            this.warnings.push(diagnostic);
+        }
+    }
+
+    /**
+     * Get color based on operation type, from the current palette
      */
     getColorForType(type) {
-        const colors = {
+        return this.palette[type] || this.palette['DEFAULT'];
+    }
+
+    /**
+     * The stained-glass palette used unless a theme replaces it
+     * (see ThemeManager)
+     */
+    static defaultPalette() {
+        return {
             'CALL': { r: 0.8, g: 0.2, b: 0.2, a: 0.8 },      // Ruby red
             'DECL': { r: 0.2, g: 0.4, b: 0.8, a: 0.8 },      // Sapphire blue
             'LOOP': { r: 0.6, g: 0.2, b: 0.8, a: 0.8 },      // Amethyst purple
@@ -42,9 +335,65 @@ class CodeParser {
             'RETURN': { r: 0.9, g: 0.7, b: 0.1, a: 0.8 },    // Amber gold
             'IF': { r: 0.9, g: 0.4, b: 0.2, a: 0.8 },        // Topaz orange
             'ELSE': { r: 0.4, g: 0.7, b: 0.9, a: 0.8 },      // Aquamarine
+            'MALLOC': { r: 0.1, g: 0.7, b: 0.65, a: 0.8 },   // Turquoise
+            'FREE': { r: 0.55, g: 0.1, b: 0.3, a: 0.8 },     // Garnet
+            'PTR_ASSIGN': { r: 0.95, g: 0.5, b: 0.75, a: 0.8 }, // Rose quartz
+            'ARRAY_WRITE': { r: 0.6, g: 0.85, b: 0.2, a: 0.8 }, // Peridot
+            'DEREF': { r: 0.9, g: 0.85, b: 0.5, a: 0.8 },    // Citrine
             'DEFAULT': { r: 0.7, g: 0.7, b: 0.7, a: 0.8 }    // Crystal clear
         };
-        return colors[type] || colors['DEFAULT'];
+    }
+
+    /**
+     * A step as a pipe line with all six fields, which every record type
+     * accepts
+     */
+    static formatStep(step) {
+        return [step.type, step.name, step.value, step.address, step.line, step.depth]
+            .map(field => (field === null || field === undefined ? '' : String(field)))
+            .join('|');
+    }
+
+    /**
+     * Write parsed steps, whatever format they were read from, back out as
+     * a pipe-delimited trace
+     * @param {Array} trace - parsed execution steps
+     * @returns {string}
+     */
+    static stringify(trace) {
+        return trace.map(step => CodeParser.formatStep(step)).join('\n') + '\n';
+    }
+
+    /**
+     * Hash a trace's text to a 32-bit unsigned integer (FNV-1a). Line
+     * endings and surrounding whitespace are ignored, so the same trace
+     * saved on Windows or Unix hashes the same.
+     * @param {string} text - raw trace text
+     * @returns {number}
+     */
+    static hashTrace(text) {
+        const normalized = text.replace(/\r/g, '').trim();
+        let hash = 0x811C9DC5;
+        for (let i = 0; i < normalized.length; i++) {
+            hash ^= normalized.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return hash >>> 0;
+    }
+
+    /**
+     * C source the example trace was recorded from
+     */
+    static getExampleSource() {
+        return `int main(void) {
+    int sum = 0;
+    for (int i = 0; i < 5; i++) {
+        sum += i;
+    }
+    /* sum is now 10 */
+    return 0;
+}
+`;
     }
 
     /**
@@ -71,3 +420,7 @@ ASSIGN|sum|10|00000049923FF88C|4|1
 RETURN|literal|0|0|7|1`;
     }
 }
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = CodeParser;
+}
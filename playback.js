@@ -0,0 +1,177 @@
+/**
+ * Timeline playback for Code Mosaic
+ * Moves a cursor over the parsed trace and tells the visualizer how many
+ * steps to show. The cursor is the number of visible steps: 0 shows an empty
+ * scene and `length` shows the whole trace.
+ */
+class PlaybackController {
+    /**
+     * @param {function(number)} showSteps - renders the first N steps
+     */
+    constructor(showSteps) {
+        this.showSteps = showSteps;
+        this.length = 0;
+        this.cursor = 0;
+        this.isPlaying = false;
+        this.speed = 1;
+        this.stepsPerSecond = 10; // at 1x speed
+        this.timer = null;
+        this.listeners = [];
+    }
+
+    /**
+     * Start over with a new trace. Cancels any pending playback tick so
+     * steps from the previous trace never appear in the new scene.
+     * @param {number} length - number of steps in the trace
+     */
+    load(length) {
+        this._cancelTimer();
+        this.isPlaying = false;
+        this.length = length;
+        this.cursor = 0;
+        this.showSteps(0);
+        this._notify();
+    }
+
+    /**
+     * The trace grew (a live trace streaming in). A cursor at the end of
+     * the trace follows it to the new end; anywhere else it stays put.
+     * @param {number} length - new number of steps
+     */
+    extend(length) {
+        const following = this.cursor >= this.length && !this.isPlaying;
+        this.length = length;
+        if (following && this.cursor !== length) {
+            this.cursor = length;
+            this.showSteps(length);
+        }
+        this._notify();
+    }
+
+    /**
+     * Start playing from the cursor (from the beginning if at the end)
+     */
+    play() {
+        if (this.length === 0) {
+            return;
+        }
+        if (this.cursor >= this.length) {
+            this.seek(0);
+        }
+        this.isPlaying = true;
+        this._schedule();
+        this._notify();
+    }
+
+    /**
+     * Stop at the current step
+     */
+    pause() {
+        this._cancelTimer();
+        this.isPlaying = false;
+        this._notify();
+    }
+
+    /**
+     * Toggle between play and pause
+     * @returns {boolean} true if now playing
+     */
+    toggle() {
+        if (this.isPlaying) {
+            this.pause();
+        } else {
+            this.play();
+        }
+        return this.isPlaying;
+    }
+
+    /**
+     * Show one more step
+     */
+    stepForward() {
+        this.pause();
+        this.seek(this.cursor + 1);
+    }
+
+    /**
+     * Hide the most recent step
+     */
+    stepBack() {
+        this.pause();
+        this.seek(this.cursor - 1);
+    }
+
+    /**
+     * Jump to a cursor position; steps past it are removed from the scene
+     * @param {number} cursor - number of visible steps
+     */
+    seek(cursor) {
+        const clamped = Math.max(0, Math.min(this.length, Math.round(cursor)));
+        if (clamped === this.cursor) {
+            return;
+        }
+        this.cursor = clamped;
+        this.showSteps(this.cursor);
+        this._notify();
+    }
+
+    /**
+     * Change the playback speed multiplier
+     * @param {number} speed - 1 is 10 steps per second
+     */
+    setSpeed(speed) {
+        this.speed = speed > 0 ? speed : 1;
+        if (this.isPlaying) {
+            this._cancelTimer();
+            this._schedule();
+        }
+        this._notify();
+    }
+
+    /**
+     * Register a listener called with the controller whenever the cursor,
+     * play state or speed changes
+     */
+    onChange(listener) {
+        this.listeners.push(listener);
+    }
+
+    /**
+     * Remove a listener added with onChange()
+     */
+    offChange(listener) {
+        this.listeners = this.listeners.filter(other => other !== listener);
+    }
+
+    /**
+     * Schedule the next tick. At high speeds several steps are shown per
+     * tick instead of using timeouts shorter than a frame.
+     */
+    _schedule() {
+        const rate = this.stepsPerSecond * this.speed;
+        const interval = Math.max(1000 / rate, 16);
+        const stepsPerTick = Math.max(1, Math.round(rate * interval / 1000));
+
+        this.timer = setTimeout(() => {
+            this.timer = null;
+            this.seek(this.cursor + stepsPerTick);
+            if (this.cursor >= this.length) {
+                this.isPlaying = false;
+                this._notify();
+            } else if (this.isPlaying) {
+                this._schedule();
+            }
+        }, interval);
+    }
+
+    _cancelTimer() {
+        if (this.timer !== null) {
+            clearTimeout(this.timer);
+            this.timer = null;
+        }
+    }
+
+    _notify() {
+        this.listeners.forEach(listener => listener(this));
+    }
+}
@@ -0,0 +1,129 @@
+/**
+ * Trace queries for Code Mosaic
+ * A small search language for picking out steps. A query is a list of terms
+ * separated by spaces, and a step matches when every term does:
+ *
+ *     type:ASSIGN name:sum     ASSIGN records to `sum`
+ *     line:4  line:10-20       source line, or a range of lines
+ *     value>5  depth<=2        numeric comparisons (>, >=, <, <=, =, !=)
+ *     address:...FF88C         `...` or `*` match any characters
+ *     -type:DECL               a leading `-` negates a term
+ *     sum                      a bare word matches a type or part of a name
+ *
+ * Fields are type, name, value, line, address, depth and step. Values with
+ * spaces can be quoted: name:"my var". Text matching ignores case.
+ */
+class TraceQuery {
+    /**
+     * @param {string} text - the query
+     * @throws {Error} if the query is malformed
+     */
+    constructor(text) {
+        this.text = text.trim();
+        this.terms = TraceQuery.parse(this.text);
+    }
+
+    static fields() {
+        return ['type', 'name', 'value', 'line', 'address', 'depth', 'step'];
+    }
+
+    /**
+     * True if the query has no terms and so matches everything
+     */
+    isEmpty() {
+        return this.terms.length === 0;
+    }
+
+    /**
+     * Does a step match every term?
+     */
+    test(step) {
+        return this.terms.every(term => term.test(step) !== term.negate);
+    }
+
+    /**
+     * Split a query into terms
+     * @returns {Array<{negate: boolean, test: function}>}
+     */
+    static parse(text) {
+        const terms = [];
+        const pattern = /(-?)(?:([a-z]+)(:|>=|<=|!=|>|<|=))?("[^"]*"|\S+)/gi;
+        let match;
+        while ((match = pattern.exec(text)) !== null) {
+            const [source, negate, field, op, rawValue] = match;
+            const value = rawValue.replace(/^"(.*)"$/, '$1');
+            let test;
+            if (field === undefined) {
+                const word = value.toLowerCase();
+                test = step => step.type.toLowerCase() === word ||
+                    (step.name !== null && String(step.name).toLowerCase().includes(word));
+            } else {
+                test = TraceQuery._fieldTest(field.toLowerCase(), op, value, source);
+            }
+            terms.push({ negate: negate === '-', test: test });
+        }
+        return terms;
+    }
+
+    static _fieldTest(field, op, value, source) {
+        if (!TraceQuery.fields().includes(field)) {
+            throw new Error(`Unknown field "${field}" in "${source}" (use ${TraceQuery.fields().join(', ')})`);
+        }
+        const numeric = ['line', 'depth', 'step'].includes(field);
+
+        // Ranges such as line:10-20
+        const range = /^(-?\d+(?:\.\d+)?)-(-?\d+(?:\.\d+)?)$/.exec(value);
+        if (op === ':' && range && (numeric || field === 'value')) {
+            const low = Number(range[1]);
+            const high = Number(range[2]);
+            return step => typeof step[field] === 'number' && step[field] >= low && step[field] <= high;
+        }
+
+        if (op !== ':' && op !== '=' && op !== '!=') {
+            const number = Number(value);
+            if (value === '' || !isFinite(number)) {
+                throw new Error(`"${source}" needs a number after ${op}`);
+            }
+            const compare = {
+                '>': (a, b) => a > b,
+                '>=': (a, b) => a >= b,
+                '<': (a, b) => a < b,
+                '<=': (a, b) => a <= b
+            }[op];
+            return step => typeof step[field] === 'number' && compare(step[field], number);
+        }
+
+        let equals;
+        if (numeric) {
+            const number = Number(value);
+            if (value === '' || !isFinite(number)) {
+                throw new Error(`"${source}" needs a number`);
+            }
+            equals = step => step[field] === number;
+        } else if (field === 'value' && value !== '' && isFinite(Number(value))) {
+            // Numeric values compare as numbers, so value:5 matches 5.0
+            const number = Number(value);
+            equals = step => step.value === number || String(step.value) === value;
+        } else {
+            const normalized = field === 'address' ? value.replace(/^0x/i, '') : value;
+            const glob = TraceQuery._glob(normalized);
+            equals = step => step[field] !== null && step[field] !== undefined && glob.test(String(step[field]));
+        }
+        return op === '!=' ? step => !equals(step) : equals;
+    }
+
+    /**
+     * Case-insensitive whole-string pattern where `*` and `...` match any
+     * characters
+     */
+    static _glob(pattern) {
+        const source = pattern.split(/\*|\.\.\./)
+            .map(part => part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))
+            .join('.*');
+        return new RegExp(`^${source}$`, 'i');
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TraceQuery;
+}
@@ -0,0 +1,54 @@
+/**
+ * Seeded pseudo-random numbers for Code Mosaic
+ * Layout jitter (building sizes, rotations) comes from this generator rather
+ * than Math.random(), so a trace laid out with the same seed always looks
+ * the same. Uses mulberry32: small, fast and good enough for visuals.
+ */
+class SeededRandom {
+    /**
+     * @param {number} seed - any number; only its low 32 bits are used
+     */
+    constructor(seed) {
+        this.seed = seed >>> 0;
+        this.state = this.seed;
+    }
+
+    /**
+     * Next float in [0, 1)
+     */
+    next() {
+        this.state = (this.state + 0x6D2B79F5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    /**
+     * Next float in [min, max)
+     */
+    range(min, max) {
+        return min + this.next() * (max - min);
+    }
+
+    /**
+     * Turn user input into a seed: whole numbers are used as-is, any other
+     * text is hashed, and blank input means "no seed".
+     * @param {string} text
+     * @returns {number|null}
+     */
+    static parse(text) {
+        const trimmed = String(text === null || text === undefined ? '' : text).trim();
+        if (trimmed === '') {
+            return null;
+        }
+        if (/^\d+$/.test(trimmed) && Number(trimmed) <= 0xFFFFFFFF) {
+            return Number(trimmed);
+        }
+        return CodeParser.hashTrace(trimmed);
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SeededRandom;
+}
@@ -0,0 +1,379 @@
+#!/usr/bin/env node
+/**
+ * Live trace relay for Code Mosaic
+ * Serves a trace as it is written, for the "Connect Live…" box (see
+ * TraceStream), with nothing but Node.js:
+ *
+ *     node relay.js --file program.trace          follow a trace file
+ *     node relay.js -- ./traced_program arg1      run a program, relay its stdout
+ *     node relay.js --port 9000 --file t.trace    another port (default 8765)
+ *
+ * Browsers connect to ws://localhost:8765 (WebSocket) or
+ * http://localhost:8765/events (EventSource). Every client first gets the
+ * lines relayed so far, then new lines as they arrive. When the program
+ * exits, clients are told the trace is complete.
+ *
+ * The relay only listens on this machine (--host 0.0.0.0 opens it to the
+ * network) and only answers pages served from localhost;
+ * --origin https://example.org lets a page served from elsewhere connect,
+ * and --origin null a page opened from a file (sandboxed frames and data:
+ * URLs send that origin too).
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const { spawn } = require('child_process');
+const { StringDecoder } = require('string_decoder');
+
+const WEBSOCKET_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+const BATCH_LINES = 1000; // lines per message when replaying history
+const LOCAL_ORIGIN = /^https?:\/\/(localhost|127\.0\.0\.1|\[::1\])(:\d+)?$/;
+
+/**
+ * Collects trace lines and sends them to every connected client
+ */
+class Relay {
+    constructor() {
+        this.lines = [];
+        this.partial = '';       // text after the last newline read
+        this.ended = false;
+        this.clients = new Set(); // { send(lines), end() }
+    }
+
+    /**
+     * Split incoming text into lines and relay the complete ones
+     */
+    write(text) {
+        const lines = (this.partial + text).split('\n');
+        this.partial = lines.pop();
+        const complete = lines.map(line => line.replace(/\r$/, '')).filter(line => line.trim() !== '');
+        if (complete.length > 0) {
+            this.lines.push(...complete);
+            this.clients.forEach(client => client.send(complete));
+        }
+    }
+
+    /**
+     * The source is done: relay any last unterminated line and tell the
+     * clients. Later calls do nothing.
+     */
+    end() {
+        if (this.ended) {
+            return;
+        }
+        if (this.partial !== '') {
+            this.write('\n');
+        }
+        this.ended = true;
+        this.clients.forEach(client => client.end());
+    }
+
+    /**
+     * Start relaying to a client: the history first, then live lines
+     */
+    add(client) {
+        for (let i = 0; i < this.lines.length; i += BATCH_LINES) {
+            client.send(this.lines.slice(i, i + BATCH_LINES));
+        }
+        if (this.ended) {
+            client.end();
+        } else {
+            this.clients.add(client);
+        }
+    }
+
+    remove(client) {
+        this.clients.delete(client);
+    }
+}
+
+/**
+ * Encode a WebSocket frame sent by the server (never masked)
+ * @param {number} opcode - 0x1 text, 0x8 close, 0xA pong
+ */
+function encodeFrame(opcode, payload) {
+    const length = payload.length;
+    let header;
+    if (length < 126) {
+        header = Buffer.from([0x80 | opcode, length]);
+    } else if (length < 65536) {
+        header = Buffer.alloc(4);
+        header[0] = 0x80 | opcode;
+        header[1] = 126;
+        header.writeUInt16BE(length, 2);
+    } else {
+        header = Buffer.alloc(10);
+        header[0] = 0x80 | opcode;
+        header[1] = 127;
+        header.writeBigUInt64BE(BigInt(length), 2);
+    }
+    return Buffer.concat([header, payload]);
+}
+
+/**
+ * Decode the complete frames at the start of a buffer of client data
+ * @returns {{frames: Array<{opcode: number, payload: Buffer}>, rest: Buffer}}
+ */
+function decodeFrames(buffer) {
+    const frames = [];
+    let offset = 0;
+    while (buffer.length - offset >= 2) {
+        const opcode = buffer[offset] & 0x0f;
+        const masked = (buffer[offset + 1] & 0x80) !== 0;
+        let length = buffer[offset + 1] & 0x7f;
+        let position = offset + 2;
+        if (length === 126) {
+            if (buffer.length < position + 2) {
+                break;
+            }
+            length = buffer.readUInt16BE(position);
+            position += 2;
+        } else if (length === 127) {
+            if (buffer.length < position + 8) {
+                break;
+            }
+            length = Number(buffer.readBigUInt64BE(position));
+            position += 8;
+        }
+        const maskLength = masked ? 4 : 0;
+        if (buffer.length < position + maskLength + length) {
+            break;
+        }
+        const payload = Buffer.from(buffer.subarray(position + maskLength, position + maskLength + length));
+        if (masked) {
+            const mask = buffer.subarray(position, position + 4);
+            for (let i = 0; i < payload.length; i++) {
+                payload[i] ^= mask[i % 4];
+            }
+        }
+        frames.push({ opcode, payload });
+        offset = position + maskLength + length;
+    }
+    return { frames, rest: buffer.subarray(offset) };
+}
+
+/**
+ * Complete a WebSocket handshake and relay lines over the socket
+ */
+function acceptWebSocket(relay, request, socket, origins) {
+    const key = request.headers['sec-websocket-key'];
+    if (!key) {
+        socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+        return;
+    }
+    if (allowedOrigin(request, origins) === false) {
+        socket.end('HTTP/1.1 403 Forbidden\r\n\r\n');
+        return;
+    }
+    const accept = crypto.createHash('sha1').update(key + WEBSOCKET_GUID).digest('base64');
+    socket.write([
+        'HTTP/1.1 101 Switching Protocols',
+        'Upgrade: websocket',
+        'Connection: Upgrade',
+        `Sec-WebSocket-Accept: ${accept}`,
+        '', ''
+    ].join('\r\n'));
+
+    const client = {
+        send: lines => socket.write(encodeFrame(0x1, Buffer.from(lines.join('\n') + '\n'))),
+        end: () => socket.end(encodeFrame(0x8, Buffer.from([0x03, 0xe8]))) // 1000: normal closure
+    };
+    let pending = Buffer.alloc(0);
+    socket.on('data', data => {
+        const { frames, rest } = decodeFrames(Buffer.concat([pending, data]));
+        pending = rest;
+        frames.forEach(frame => {
+            if (frame.opcode === 0x8) {
+                relay.remove(client);
+                socket.end(encodeFrame(0x8, frame.payload.subarray(0, 2)));
+            } else if (frame.opcode === 0x9) {
+                socket.write(encodeFrame(0xA, frame.payload));
+            }
+        });
+    });
+    socket.on('close', () => relay.remove(client));
+    socket.on('error', () => relay.remove(client));
+    relay.add(client);
+}
+
+/**
+ * Relay lines as server-sent events
+ */
+function acceptEventSource(relay, request, response, origins) {
+    response.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        ...corsHeaders(request, origins)
+    });
+    const client = {
+        send: lines => response.write(lines.map(line => `data: ${line}\n`).join('') + '\n'),
+        end: () => response.end('event: end\ndata: complete\n\n')
+    };
+    request.on('close', () => relay.remove(client));
+    relay.add(client);
+}
+
+/**
+ * The origin of a browser request if it may read the trace, null for
+ * requests that are not from a page (curl, scripts) and false for pages
+ * that may not. The origin "null" is only allowed when it is listed.
+ * @param {Array<string>} origins - allowed besides the local ones
+ */
+function allowedOrigin(request, origins) {
+    const origin = request.headers.origin;
+    if (origin === undefined) {
+        return null;
+    }
+    return LOCAL_ORIGIN.test(origin) || origins.includes(origin) ? origin : false;
+}
+
+/**
+ * CORS headers letting an allowed page read a response; none for others
+ */
+function corsHeaders(request, origins) {
+    const origin = allowedOrigin(request, origins);
+    return origin ? { 'Access-Control-Allow-Origin': origin, 'Vary': 'Origin' } : { 'Vary': 'Origin' };
+}
+
+/**
+ * Follow a file like `tail -f`, starting at its beginning. A file that
+ * shrinks is read again from the start. A read that fails (the file was
+ * deleted or replaced meanwhile) is retried from where it stopped on the
+ * next poll.
+ */
+function followFile(relay, path) {
+    let offset = 0;
+    let decoder = new StringDecoder('utf8'); // keeps characters split between reads whole
+    let reading = false;
+    const read = () => {
+        if (reading) {
+            return;
+        }
+        fs.stat(path, (error, stats) => {
+            if (error) {
+                return; // not there (yet); try again on the next poll
+            }
+            if (stats.size < offset) {
+                offset = 0;
+                decoder = new StringDecoder('utf8');
+            }
+            if (stats.size === offset) {
+                return;
+            }
+            reading = true;
+            const stream = fs.createReadStream(path, { start: offset, end: stats.size - 1 });
+            stream.on('data', chunk => {
+                offset += chunk.length;
+                relay.write(decoder.write(chunk));
+            });
+            stream.on('error', readError => {
+                console.error(`Could not read ${path}: ${readError.message}`);
+                reading = false;
+            });
+            stream.on('close', () => {
+                reading = false;
+            });
+        });
+    };
+    read();
+    fs.watchFile(path, { interval: 250 }, read);
+}
+
+/**
+ * Run a program and relay its standard output; its standard error goes to
+ * ours
+ */
+function followProcess(relay, command, args) {
+    const child = spawn(command, args, { stdio: ['ignore', 'pipe', 'inherit'] });
+    child.stdout.setEncoding('utf8');
+    child.stdout.on('data', text => relay.write(text));
+    // A program that cannot be started reports an error and may close too
+    let started = true;
+    child.on('error', error => {
+        started = false;
+        console.error(`Could not run ${command}: ${error.message}`);
+        relay.end();
+    });
+    child.on('close', code => {
+        relay.end(); // relays an unterminated last line
+        if (started) {
+            console.log(`${command} exited with code ${code}; ${relay.lines.length} lines relayed`);
+        }
+    });
+}
+
+function parseArguments(argv) {
+    const options = { port: 8765, host: '127.0.0.1', origins: [], file: null, command: null };
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--') {
+            options.command = argv.slice(i + 1);
+            break;
+        } else if (arg === '--file') {
+            options.file = argv[++i];
+        } else if (arg === '--port') {
+            options.port = parseInt(argv[++i], 10);
+        } else if (arg === '--host') {
+            options.host = argv[++i];
+        } else if (arg === '--origin') {
+            options.origins.push(argv[++i]);
+        } else {
+            throw new Error(`Unknown argument "${arg}"`);
+        }
+    }
+    if (!options.file === !(options.command && options.command.length > 0)) {
+        throw new Error('Give either --file <trace> or -- <command> [args...]');
+    }
+    if (!(options.port > 0 && options.port < 65536)) {
+        throw new Error('--port needs a port number');
+    }
+    if (!options.host) {
+        throw new Error('--host needs an address, e.g. 0.0.0.0');
+    }
+    if (options.origins.some(origin => !origin)) {
+        throw new Error('--origin needs an origin, e.g. https://example.org');
+    }
+    return options;
+}
+
+function main() {
+    let options;
+    try {
+        options = parseArguments(process.argv.slice(2));
+    } catch (error) {
+        console.error(error.message);
+        console.error('Usage: node relay.js [--port 8765] [--host 127.0.0.1] [--origin url]... ' +
+            '(--file trace.txt | -- command [args...])');
+        process.exit(2);
+    }
+
+    const relay = new Relay();
+    const server = http.createServer((request, response) => {
+        if (allowedOrigin(request, options.origins) === false) {
+            response.writeHead(403, { 'Content-Type': 'text/plain' });
+            response.end('This page may not read the relayed trace; see --origin.\n');
+            return;
+        }
+        if (request.url.startsWith('/events')) {
+            acceptEventSource(relay, request, response, options.origins);
+            return;
+        }
+        response.writeHead(200, { 'Content-Type': 'text/plain', ...corsHeaders(request, options.origins) });
+        response.end(`Code Mosaic relay: ${relay.lines.length} lines so far. ` +
+            'Connect with WebSocket to / or EventSource to /events.\n');
+    });
+    server.on('upgrade', (request, socket) => acceptWebSocket(relay, request, socket, options.origins));
+    server.listen(options.port, options.host, () => {
+        const host = ['127.0.0.1', '::1'].includes(options.host) ? 'localhost' : options.host;
+        console.log(`Relaying on ws://${host}:${options.port} and http://${host}:${options.port}/events`);
+        if (options.file) {
+            followFile(relay, options.file);
+        } else {
+            followProcess(relay, options.command[0], options.command.slice(1));
+        }
+    });
+}
+
+main();
@@ -0,0 +1,579 @@
+/**
+ * Instanced building renderer for Code Mosaic
+ * Draws every building and cap as a thin instance of a per-type template
+ * mesh, so a trace costs a handful of draw calls instead of two meshes and
+ * two materials per step. Steps are grouped into chunks; each chunk gets its
+ * own meshes so Babylon can frustum-cull chunks that are off screen, and
+ * level-of-detail levels drop caps, then whole chunks, far from the camera.
+ *
+ * Materials are shared: one building and one cap material per record type,
+ * created once per scene and reused across traces.
+ */
+class BuildingRenderer {
+    /**
+     * @param {CodeVisualizer} visualizer - an initialized visualizer
+     */
+    constructor(visualizer) {
+        this.visualizer = visualizer;
+        this.scene = visualizer.scene;
+        this.chunkSize = 2048;         // steps per chunk
+        this.capCullDistance = 120;    // caps are dropped beyond this distance
+        this.chunkCullDistance = 400;  // whole chunks are dropped beyond this
+        this.floatLimit = 2000;        // traces up to this size get floating buildings
+        this.appearLimit = 256;        // at most this many steps animate in at once
+        this.appearDuration = 500;     // ms
+        this.moveLimit = 20000;        // larger traces switch layouts without gliding
+        this.moveDuration = 1200;      // ms
+        this.floatPeriod = 4000;       // ms
+        this.floatHeight = 0.15;
+        this.capHeight = 0.15;
+
+        this.materials = new Map();    // `${type}` / `${type}:cap` -> material
+        this.ratios = new Map();       // type -> template taper, for picking
+        this.entries = [];             // one per (chunk, type): meshes and buffers
+        this.entryByKey = new Map();   // `${chunk}:${type}` -> entry
+        this.specs = [];
+        this.count = 0;                // steps with instances so far
+        this.entryOf = [];             // step -> entry
+        this.slotOf = new Int32Array(0);
+        this.visible = new Uint8Array(0);
+        this.scaleOf = new Float32Array(0);
+        this.appearing = new Map();    // step -> start time
+        this.moving = null;            // { from, start, mix } while gliding to a new layout
+        this.dirty = new Set();
+
+        this._matrix = new BABYLON.Matrix();
+        this._capMatrix = new BABYLON.Matrix();
+        this._scale = new BABYLON.Vector3();
+        this._translation = new BABYLON.Vector3();
+        this._rotation = new BABYLON.Quaternion();
+
+        this.observer = this.scene.onBeforeRenderObservable.add(() => this._animate());
+    }
+
+    /**
+     * Create instance buffers for a whole trace. Every step starts hidden.
+     * @param {Array} specs - building specs from CodeVisualizer.layoutBuilding
+     */
+    build(specs) {
+        this.clear();
+        this.append(specs);
+    }
+
+    /**
+     * Add instances for steps appended to a trace that is still growing
+     * (the specs past the ones already built). New steps start hidden.
+     * Chunks grow their buffers as needed, so nothing built is rebuilt.
+     * @param {Array} specs - building specs of the whole trace so far
+     */
+    append(specs) {
+        const from = this.count;
+        const count = specs.length;
+        this.specs = specs;
+        this.slotOf = this._resized(this.slotOf, count);
+        this.visible = this._resized(this.visible, count);
+        this.scaleOf = this._resized(this.scaleOf, count).fill(1, from);
+        this.entryOf.length = count;
+
+        // Group the new steps by chunk and type
+        const groups = new Map();
+        for (let step = from; step < count; step++) {
+            const type = specs[step].type;
+            const key = `${Math.floor(step / this.chunkSize)}:${type}`;
+            if (!groups.has(key)) {
+                groups.set(key, { type: type, steps: [] });
+            }
+            groups.get(key).steps.push(step);
+        }
+
+        groups.forEach((group, key) => {
+            let entry = this.entryByKey.get(key);
+            if (!entry) {
+                entry = this._createEntry(key, group.type, group.steps.length);
+                this.entryByKey.set(key, entry);
+                this.entries.push(entry);
+            } else if (entry.steps.length + group.steps.length > entry.capacity) {
+                this._grow(entry, Math.max(entry.capacity * 2, entry.steps.length + group.steps.length));
+            }
+            group.steps.forEach(step => {
+                this.entryOf[step] = entry;
+                this.slotOf[step] = entry.steps.length;
+                entry.steps.push(step);
+            });
+            // Full size so the bounds cover the chunk, then back to each
+            // step's current state
+            entry.steps.forEach(step => this._write(step, 1));
+            entry.mesh.thinInstanceRefreshBoundingInfo(false);
+            entry.capMesh.thinInstanceRefreshBoundingInfo(false);
+            entry.steps.forEach(step => this._write(step, this.visible[step]));
+        });
+        this.count = count;
+        this.flush();
+    }
+
+    /**
+     * Dispose every chunk mesh. Shared materials are kept for reuse.
+     */
+    clear() {
+        this.entries.forEach(entry => {
+            entry.mesh.dispose();
+            entry.capMesh.dispose();
+        });
+        this.entries = [];
+        this.entryByKey.clear();
+        this.specs = [];
+        this.count = 0;
+        this.entryOf = [];
+        this.slotOf = new Int32Array(0);
+        this.visible = new Uint8Array(0);
+        this.scaleOf = new Float32Array(0);
+        this.appearing.clear();
+        this.moving = null;
+        this.dirty.clear();
+    }
+
+    /**
+     * Glide every building from where it stood in the previous layout to
+     * its place in the current one. Call right after build().
+     * @param {Array<{x, y, z}>} positions - previous position of each step
+     */
+    moveFrom(positions) {
+        if (!this.scene.animationsEnabled || positions.length !== this.specs.length ||
+            this.specs.length > this.moveLimit) {
+            return;
+        }
+        const from = new Float32Array(positions.length * 3);
+        positions.forEach((position, step) => {
+            from[step * 3] = position.x;
+            from[step * 3 + 1] = position.y;
+            from[step * 3 + 2] = position.z;
+        });
+        this.moving = { from: from, start: performance.now(), mix: 0 };
+    }
+
+    /**
+     * Show or hide a step. Call flush() after a batch of changes.
+     * @param {boolean} animate - scale the building in instead of popping
+     */
+    setVisible(step, visible, animate) {
+        if (!this.entryOf[step] || (this.visible[step] === 1) === visible) {
+            return;
+        }
+        this.visible[step] = visible ? 1 : 0;
+        if (visible && animate && this.scene.animationsEnabled && this.appearing.size < this.appearLimit) {
+            this.scaleOf[step] = 0.01;
+            this.appearing.set(step, performance.now());
+        } else {
+            this.scaleOf[step] = 1;
+            this.appearing.delete(step);
+        }
+        this._write(step, this.visible[step]);
+    }
+
+    /**
+     * Tint a step's building and cap. The color multiplies the record
+     * type's material, so {r: 1, g: 1, b: 1, a: 1} means "as designed".
+     */
+    setColor(step, color) {
+        const entry = this.entryOf[step];
+        if (!entry) {
+            return;
+        }
+        const offset = this.slotOf[step] * 4;
+        entry.colors[offset] = color.r;
+        entry.colors[offset + 1] = color.g;
+        entry.colors[offset + 2] = color.b;
+        entry.colors[offset + 3] = color.a;
+        this.dirty.add(entry);
+    }
+
+    /**
+     * Upload every buffer changed since the last flush
+     */
+    flush() {
+        this.dirty.forEach(entry => {
+            entry.mesh.thinInstanceBufferUpdated('matrix');
+            entry.capMesh.thinInstanceBufferUpdated('matrix');
+            entry.mesh.thinInstanceBufferUpdated('color');
+            entry.capMesh.thinInstanceBufferUpdated('color');
+        });
+        this.dirty.clear();
+    }
+
+    /**
+     * Find the nearest visible building or cap hit by a ray.
+     * Babylon's thin-instance picking tests every instance of every chunk,
+     * hidden ones included, which is too slow to run on every pointer move
+     * for large traces. Instead, cheap box tests over the visible steps pick
+     * candidates and only the nearest ones are tested against the actual
+     * trapezoid faces.
+     * @param {BABYLON.Ray} ray - world-space picking ray
+     * @returns {{step: number, distance: number}|null}
+     */
+    pick(ray) {
+        const candidates = [];
+        for (let step = 0; step < this.specs.length; step++) {
+            if (!this.visible[step]) {
+                continue;
+            }
+            const distance = this._intersectBox(ray, step);
+            if (distance !== null) {
+                candidates.push({ step, distance });
+            }
+        }
+        candidates.sort((a, b) => a.distance - b.distance);
+
+        let best = null;
+        for (const candidate of candidates) {
+            if (best && candidate.distance > best.distance) {
+                break;
+            }
+            const distance = this._intersectBuilding(ray, candidate.step);
+            if (distance !== null && (!best || distance < best.distance)) {
+                best = { step: candidate.step, distance };
+            }
+        }
+        return best;
+    }
+
+    /**
+     * Copy the visible buildings into plain meshes, one for the buildings
+     * and one for the caps of each record type, at full size and without
+     * the float. For exporters that do not understand thin instances; the
+     * caller disposes the meshes.
+     * @returns {Array<BABYLON.Mesh>}
+     */
+    bake() {
+        const stepsByType = new Map();
+        for (let step = 0; step < this.specs.length; step++) {
+            if (this.visible[step]) {
+                const type = this.specs[step].type;
+                if (!stepsByType.has(type)) {
+                    stepsByType.set(type, []);
+                }
+                stepsByType.get(type).push(step);
+            }
+        }
+
+        const meshes = [];
+        stepsByType.forEach((steps, type) => {
+            const entry = this.entryOf[steps[0]];
+            meshes.push(this._bakeMesh(`buildings_${type}`, entry.mesh, steps, false));
+            meshes.push(this._bakeMesh(`caps_${type}`, entry.capMesh, steps, true));
+        });
+        return meshes;
+    }
+
+    /**
+     * Drop the chunk meshes and dispose the shared materials after the
+     * theme changed; the next build() creates them in the new theme
+     */
+    resetTheme() {
+        this.clear();
+        this.materials.forEach(material => material.dispose());
+        this.materials.clear();
+        this.ratios.clear();
+    }
+
+    /**
+     * Shared material for a record type's buildings or caps
+     */
+    getMaterial(type, isCap) {
+        const key = isCap ? `${type}:cap` : type;
+        if (!this.materials.has(key)) {
+            const color = this.visualizer.parser.getColorForType(type);
+            const material = isCap
+                ? this.visualizer.createMaterial(`capmat_${type}`, {
+                    r: Math.min(color.r * 1.5, 1),
+                    g: Math.min(color.g * 1.5, 1),
+                    b: Math.min(color.b * 1.5, 1),
+                    a: 0.9
+                })
+                : this.visualizer.createMaterial(`mat_${type}`, color);
+            this.materials.set(key, material);
+        }
+        return this.materials.get(key);
+    }
+
+    /**
+     * Create the building and cap meshes for one (chunk, type) group
+     * @param {number} capacity - number of instances to make room for
+     */
+    _createEntry(key, type, capacity) {
+        const profile = this.visualizer.getShapeProfile(type);
+        const mesh = this.visualizer.createTrapezoidMesh(`buildings_${key}`, profile);
+        const capMesh = BABYLON.MeshBuilder.CreateBox(`caps_${key}`, { size: 1 }, this.scene);
+        mesh.material = this.getMaterial(type, false);
+        capMesh.material = this.getMaterial(type, true);
+
+        const entry = {
+            type: type,
+            mesh: mesh,
+            capMesh: capMesh,
+            steps: [],           // step per slot
+            capacity: capacity,
+            matrices: new Float32Array(capacity * 16),
+            capMatrices: new Float32Array(capacity * 16),
+            colors: new Float32Array(capacity * 4).fill(1)
+        };
+        this._setBuffers(entry);
+        [mesh, capMesh].forEach(target => {
+            target.isPickable = false; // see pick()
+            target.hasVertexAlpha = true;
+        });
+
+        // Level of detail: caps go first, then the whole chunk
+        mesh.addLODLevel(this.chunkCullDistance, null);
+        capMesh.addLODLevel(this.capCullDistance, null);
+        return entry;
+    }
+
+    _setBuffers(entry) {
+        entry.mesh.thinInstanceSetBuffer('matrix', entry.matrices, 16, false);
+        entry.capMesh.thinInstanceSetBuffer('matrix', entry.capMatrices, 16, false);
+        entry.mesh.thinInstanceSetBuffer('color', entry.colors, 4, false);
+        entry.capMesh.thinInstanceSetBuffer('color', entry.colors, 4, false);
+    }
+
+    /**
+     * Make room for more instances in an entry. Unused slots keep zero
+     * matrices, which draw nothing.
+     */
+    _grow(entry, capacity) {
+        const grown = (array, stride, fill) => {
+            const copy = new Float32Array(capacity * stride).fill(fill);
+            copy.set(array);
+            return copy;
+        };
+        entry.matrices = grown(entry.matrices, 16, 0);
+        entry.capMatrices = grown(entry.capMatrices, 16, 0);
+        entry.colors = grown(entry.colors, 4, 1);
+        entry.capacity = capacity;
+        this._setBuffers(entry);
+    }
+
+    /**
+     * A typed array of the given length holding the start of `array`
+     */
+    _resized(array, length) {
+        const copy = new array.constructor(length);
+        copy.set(array.subarray(0, Math.min(array.length, length)));
+        return copy;
+    }
+
+    /**
+     * Write a step's building and cap matrices at a given scale (0 hides it)
+     */
+    _write(step, scale, floatOffset = 0) {
+        const entry = this.entryOf[step];
+        const offset = this.slotOf[step] * 16;
+        this._compose(step, scale * this.scaleOf[step], floatOffset);
+        this._matrix.copyToArray(entry.matrices, offset);
+        this._capMatrix.copyToArray(entry.capMatrices, offset);
+        this.dirty.add(entry);
+    }
+
+    /**
+     * Compute a step's building and cap world matrices into this._matrix
+     * and this._capMatrix
+     */
+    _compose(step, scale, floatOffset) {
+        const spec = this.specs[step];
+        BABYLON.Quaternion.RotationYawPitchRollToRef(spec.rotationY, 0, 0, this._rotation);
+        this._scale.set(spec.width * scale, spec.height * scale, spec.depth * scale);
+        let { x, y, z } = spec.position;
+        if (this.moving && step * 3 < this.moving.from.length) { // steps appended mid-glide just appear
+            const from = this.moving.from;
+            const rest = 1 - this.moving.mix;
+            x += (from[step * 3] - x) * rest;
+            y += (from[step * 3 + 1] - y) * rest;
+            z += (from[step * 3 + 2] - z) * rest;
+        }
+        this._translation.set(x, y + floatOffset, z);
+        BABYLON.Matrix.ComposeToRef(this._scale, this._rotation, this._translation, this._matrix);
+
+        const capWidth = spec.capWidth * scale;
+        this._scale.set(capWidth, this.capHeight * scale, capWidth);
+        this._translation.y += spec.height + this.capHeight / 2;
+        BABYLON.Matrix.ComposeToRef(this._scale, this._rotation, this._translation, this._capMatrix);
+    }
+
+    /**
+     * Bake one template mesh into a plain mesh with a copy per step
+     */
+    _bakeMesh(name, template, steps, isCap) {
+        const positions = template.getVerticesData(BABYLON.VertexBuffer.PositionKind);
+        const indices = template.getIndices();
+        const vertexCount = positions.length / 3;
+        const bakedPositions = new Float32Array(positions.length * steps.length);
+        const bakedIndices = new Uint32Array(indices.length * steps.length);
+        const point = new BABYLON.Vector3();
+
+        steps.forEach((step, copy) => {
+            this._compose(step, 1, 0);
+            const matrix = isCap ? this._capMatrix : this._matrix;
+            for (let v = 0; v < vertexCount; v++) {
+                BABYLON.Vector3.TransformCoordinatesFromFloatsToRef(
+                    positions[v * 3], positions[v * 3 + 1], positions[v * 3 + 2], matrix, point);
+                point.toArray(bakedPositions, (copy * vertexCount + v) * 3);
+            }
+            for (let i = 0; i < indices.length; i++) {
+                bakedIndices[copy * indices.length + i] = indices[i] + copy * vertexCount;
+            }
+        });
+
+        // The templates have separate vertices per face, so recomputed
+        // normals stay flat
+        const vertexData = new BABYLON.VertexData();
+        vertexData.positions = bakedPositions;
+        vertexData.indices = bakedIndices;
+        vertexData.normals = new Float32Array(bakedPositions.length);
+        BABYLON.VertexData.ComputeNormals(bakedPositions, bakedIndices, vertexData.normals);
+
+        const mesh = new BABYLON.Mesh(name, this.scene);
+        vertexData.applyToMesh(mesh);
+        mesh.material = template.material;
+        mesh.isPickable = false;
+        return mesh;
+    }
+
+    /**
+     * Top-to-bottom taper of a record type's template mesh
+     */
+    _ratios(type) {
+        if (!this.ratios.has(type)) {
+            this.ratios.set(type, this.visualizer.getTrapezoidRatios(this.visualizer.getShapeProfile(type)));
+        }
+        return this.ratios.get(type);
+    }
+
+    /**
+     * Ray distance to the axis-aligned box around a step's building and
+     * cap (slab test), or null on a miss
+     */
+    _intersectBox(ray, step) {
+        const spec = this.specs[step];
+        const ratios = this._ratios(spec.type);
+        const half = Math.max(spec.width * Math.max(ratios.width, 1), spec.depth * Math.max(ratios.depth, 1),
+            spec.capWidth) * 0.75; // room for the rotation
+        const min = [spec.position.x - half, spec.position.y, spec.position.z - half];
+        const max = [spec.position.x + half, spec.position.y + spec.height + this.capHeight + this.floatHeight,
+            spec.position.z + half];
+        const origin = [ray.origin.x, ray.origin.y, ray.origin.z];
+        const direction = [ray.direction.x, ray.direction.y, ray.direction.z];
+
+        let near = 0;
+        let far = Infinity;
+        for (let axis = 0; axis < 3; axis++) {
+            if (Math.abs(direction[axis]) < 1e-9) {
+                if (origin[axis] < min[axis] || origin[axis] > max[axis]) {
+                    return null;
+                }
+                continue;
+            }
+            let t1 = (min[axis] - origin[axis]) / direction[axis];
+            let t2 = (max[axis] - origin[axis]) / direction[axis];
+            if (t1 > t2) {
+                [t1, t2] = [t2, t1];
+            }
+            near = Math.max(near, t1);
+            far = Math.min(far, t2);
+            if (near > far) {
+                return null;
+            }
+        }
+        return near;
+    }
+
+    /**
+     * Ray distance to a step's trapezoid faces or cap, or null on a miss
+     */
+    _intersectBuilding(ray, step) {
+        const spec = this.specs[step];
+        const ratios = this._ratios(spec.type);
+        const cos = Math.cos(spec.rotationY);
+        const sin = Math.sin(spec.rotationY);
+        const corner = (x, y, z, width, depth) => {
+            const lx = x * width;
+            const lz = z * depth;
+            return new BABYLON.Vector3(
+                spec.position.x + lx * cos + lz * sin,
+                spec.position.y + y,
+                spec.position.z - lx * sin + lz * cos
+            );
+        };
+
+        const w = spec.width / 2;
+        const d = spec.depth / 2;
+        const tw = w * ratios.width;
+        const td = d * ratios.depth;
+        const top = spec.height;
+        const capTop = top + this.capHeight;
+        const cw = spec.capWidth / 2;
+        // Frustum corners, then the cap box corners
+        const boxes = [
+            [corner(-1, 0, 1, w, d), corner(1, 0, 1, w, d), corner(1, 0, -1, w, d), corner(-1, 0, -1, w, d),
+                corner(-1, top, 1, tw, td), corner(1, top, 1, tw, td), corner(1, top, -1, tw, td), corner(-1, top, -1, tw, td)],
+            [corner(-1, top, 1, cw, cw), corner(1, top, 1, cw, cw), corner(1, top, -1, cw, cw), corner(-1, top, -1, cw, cw),
+                corner(-1, capTop, 1, cw, cw), corner(1, capTop, 1, cw, cw), corner(1, capTop, -1, cw, cw), corner(-1, capTop, -1, cw, cw)]
+        ];
+        const faces = [[0, 1, 5, 4], [2, 3, 7, 6], [1, 2, 6, 5], [3, 0, 4, 7], [4, 5, 6, 7], [3, 2, 1, 0]];
+
+        let best = null;
+        boxes.forEach(v => {
+            faces.forEach(([a, b, c, e]) => {
+                [ray.intersectsTriangle(v[a], v[b], v[c]), ray.intersectsTriangle(v[a], v[c], v[e])].forEach(hit => {
+                    if (hit !== null && (best === null || hit < best)) {
+                        best = hit;
+                    }
+                });
+            });
+        });
+        return best;
+    }
+
+    /**
+     * Per-frame effects: buildings scaling in as playback reveals them,
+     * gliding to a new layout, and a gentle float for traces small enough
+     * to update every frame
+     */
+    _animate() {
+        if (!this.scene.animationsEnabled || this.specs.length === 0) {
+            if (this.moving) {
+                // Animations were switched off mid-glide; jump to the end
+                this.moving = null;
+                this.specs.forEach((spec, step) => this._write(step, this.visible[step]));
+                this.flush();
+            }
+            return;
+        }
+        const now = performance.now();
+        const moving = this.moving !== null;
+        if (moving) {
+            const t = Math.min((now - this.moving.start) / this.moveDuration, 1);
+            this.moving.mix = t < 0.5 ? 4 * t * t * t : 1 - Math.pow(2 - 2 * t, 3) / 2; // ease in-out
+            if (t >= 1) {
+                this.moving = null;
+            }
+        }
+        this.appearing.forEach((start, step) => {
+            const t = Math.min((now - start) / this.appearDuration, 1);
+            this.scaleOf[step] = 0.01 + 0.99 * (1 - Math.pow(1 - t, 3)); // ease out
+            if (t >= 1) {
+                this.appearing.delete(step);
+            }
+            this._write(step, 1);
+        });
+
+        const floating = this.specs.length <= this.floatLimit;
+        if (floating || moving) {
+            for (let step = 0; step < this.specs.length; step++) {
+                if (this.visible[step]) {
+                    const phase = (now / this.floatPeriod + step * 0.1) * Math.PI * 2;
+                    this._write(step, 1, floating ? this.floatHeight * (1 - Math.cos(phase)) / 2 : 0);
+                }
+            }
+        }
+        this.flush();
+    }
+}
@@ -0,0 +1,345 @@
+/**
+ * Shareable sessions for Code Mosaic
+ * Captures the current view (the trace itself, or both traces and the
+ * diff mode while comparing, camera and camera mode, playback step,
+ * selected building, filter, theme, layout, seed and size mode) so it can
+ * be sent to someone else: as a link whose hash holds the view compressed
+ * (#session=…), or as a .mosaic.json session file when the trace is too
+ * large for a link. Opening either restores the view exactly.
+ */
+class ViewSession {
+    /**
+     * @param {CodeVisualizer} visualizer - an initialized visualizer
+     * @param {object} controls - the panels and inputs that hold the rest of
+     *     the view: { inspector, filterBar, layoutPanel, themes, themeSelect,
+     *     seedInput, sizeSelect }
+     */
+    constructor(visualizer, controls) {
+        this.visualizer = visualizer;
+        this.controls = controls;
+        this.hashKey = 'session';
+        this.maxLinkLength = 8192; // characters; longer links are saved as a file instead
+        this.restoredTrace = null; // trace opened from the link in the address bar
+        this.listeners = [];
+        this.status = document.getElementById('shareStatus');
+        this.linkInput = document.getElementById('shareLink');
+    }
+
+    /**
+     * Wire the share box and open the session in the address bar, if any
+     */
+    attach() {
+        document.getElementById('copyLink').addEventListener('click', () => this._run(this.copyLink()));
+        document.getElementById('saveSession').addEventListener('click', () => {
+            if (this._checkLoaded()) {
+                this.saveFile();
+            }
+        });
+        const input = document.getElementById('sessionFile');
+        document.getElementById('openSession').addEventListener('click', () => input.click());
+        input.addEventListener('change', () => {
+            const file = input.files[0];
+            input.value = ''; // allow re-selecting the same file
+            if (file) {
+                this._run(file.text().then(text => this.openText(text)));
+            }
+        });
+
+        // A link pasted into this tab only changes the hash
+        window.addEventListener('hashchange', () => this._run(this.openHash()));
+        // The link no longer describes the view once another trace is loaded
+        this.visualizer.playback.onChange(() => {
+            if (this.restoredTrace && this.restoredTrace !== this.visualizer.trace) {
+                this.restoredTrace = null;
+                const url = new URL(window.location.href);
+                url.hash = '';
+                window.history.replaceState(null, '', url);
+            }
+        });
+        this._run(this.openHash());
+        return this;
+    }
+
+    /**
+     * Register a listener called after a session has been opened
+     */
+    onRestore(listener) {
+        this.listeners.push(listener);
+    }
+
+    /**
+     * The current view as a plain object
+     */
+    capture() {
+        const { visualizer, controls } = this;
+        const source = visualizer.traceSource;
+        const camera = visualizer.camera;
+        const round = value => Math.round(value * 1e6) / 1e6;
+        const themeId = visualizer.theme.id;
+        const compared = visualizer.compareSource;
+        return {
+            format: 'code-mosaic-session',
+            version: 1,
+            name: source.name,
+            trace: source.text,
+            traceHash: CodeParser.hashTrace(source.text),
+            // While comparing, steps are rows of the aligned traces, so the
+            // compared trace is needed to find them again
+            compare: compared ? {
+                name: compared.name,
+                trace: compared.text,
+                traceHash: CodeParser.hashTrace(compared.text),
+                mode: visualizer.diffMode
+            } : null,
+            camera: {
+                mode: visualizer.cameras.mode,
+                alpha: round(camera.alpha),
+                beta: round(camera.beta),
+                radius: round(camera.radius),
+                target: [camera.target.x, camera.target.y, camera.target.z].map(round)
+            },
+            step: visualizer.playback.cursor,
+            selected: controls.inspector.selectedStep,
+            filter: {
+                query: controls.filterBar.query.text,
+                hiddenTypes: [...controls.filterBar.disabledTypes]
+            },
+            // Themes loaded from a file travel with the session
+            theme: ThemeManager.builtIns().some(theme => theme.id === themeId)
+                ? { id: themeId }
+                : { id: themeId, description: controls.themes.describe(themeId) },
+            layout: { id: visualizer.layoutName, options: visualizer.layoutOptions },
+            seed: controls.seedInput.value.trim(),
+            size: visualizer.sizeMode
+        };
+    }
+
+    /**
+     * A link to the current view
+     * @returns {Promise<string>}
+     */
+    async createLink() {
+        const data = await ViewSession.compress(JSON.stringify(this.capture()));
+        const url = new URL(window.location.href);
+        url.hash = `${this.hashKey}=${data}`;
+        return url.toString();
+    }
+
+    /**
+     * Put a link to the current view in the share box and on the clipboard.
+     * Views whose link would be too long are saved as a session file.
+     */
+    async copyLink() {
+        if (!this._checkLoaded()) {
+            return;
+        }
+        this.setStatus('Compressing…');
+        const link = await this.createLink();
+        if (link.length > this.maxLinkLength) {
+            this.linkInput.value = '';
+            this.saveFile();
+            this.setStatus(`This trace is too large for a link (${link.length} characters), ` +
+                'so it was saved as a session file to send instead');
+            return;
+        }
+        this.linkInput.value = link;
+        this.linkInput.select();
+        try {
+            await navigator.clipboard.writeText(link);
+            this.setStatus(`Link copied (${link.length} characters)`);
+        } catch (error) {
+            this.setStatus('Copy the link above');
+        }
+    }
+
+    /**
+     * Download the current view as a .mosaic.json session file
+     */
+    saveFile() {
+        const fileName = `${SceneExporter.fileBase(this.visualizer.traceName)}.mosaic.json`;
+        SceneExporter.download(JSON.stringify(this.capture(), null, 2), fileName, 'application/json');
+        this.setStatus(`Saved ${fileName}`);
+    }
+
+    /**
+     * Open the session in the address bar's hash, if there is one
+     * @returns {Promise<boolean>} whether a session was opened
+     */
+    async openHash() {
+        const match = window.location.hash.match(new RegExp(`^#${this.hashKey}=([\\w-]+)$`));
+        if (!match) {
+            return false;
+        }
+        let text;
+        try {
+            text = await ViewSession.decompress(match[1]);
+        } catch (error) {
+            throw new Error('The link is damaged or incomplete');
+        }
+        this.restoredTrace = null;
+        this.openText(text);
+        this.restoredTrace = this.visualizer.trace;
+        return true;
+    }
+
+    /**
+     * Open a session from its JSON text (a session file)
+     * @throws {Error} if the text is not a session
+     */
+    openText(text) {
+        let state;
+        try {
+            state = JSON.parse(text);
+        } catch (error) {
+            throw new Error(`Not a session file: ${error.message}`);
+        }
+        this.restore(state);
+    }
+
+    /**
+     * Restore a captured view: everything that affects the layout is set
+     * before the trace is laid out, then playback, filter, selection and
+     * camera
+     * @param {object} state - as returned by capture()
+     * @throws {Error} if the session is malformed
+     */
+    restore(state) {
+        if (!state || state.format !== 'code-mosaic-session' || typeof state.trace !== 'string') {
+            throw new Error('Not a Code Mosaic session');
+        }
+        if (state.version > 1) {
+            throw new Error('This session was saved by a newer version of Code Mosaic');
+        }
+        if (state.traceHash !== undefined && state.traceHash !== CodeParser.hashTrace(state.trace)) {
+            throw new Error('The trace in this session is damaged');
+        }
+        const compare = state.compare || null;
+        if (compare && (typeof compare.trace !== 'string' ||
+            (compare.traceHash !== undefined && compare.traceHash !== CodeParser.hashTrace(compare.trace)))) {
+            throw new Error('The compared trace in this session is damaged');
+        }
+        const { visualizer, controls } = this;
+
+        const theme = state.theme || {};
+        if (!controls.themes.themes.has(theme.id) && theme.description) {
+            try {
+                controls.themes.register(theme.description);
+            } catch (error) {
+                console.warn(`Ignoring the session's theme: ${error.message}`);
+            }
+        }
+        controls.themes.populateSelect(controls.themeSelect, theme.id);
+        visualizer.setTheme(controls.themes.get(controls.themeSelect.value));
+
+        controls.seedInput.value = typeof state.seed === 'string' ? state.seed : '';
+        visualizer.seedOverride = SeededRandom.parse(controls.seedInput.value);
+        if ([...controls.sizeSelect.options].some(option => option.value === state.size)) {
+            controls.sizeSelect.value = state.size;
+        }
+        visualizer.sizeMode = controls.sizeSelect.value;
+        const layout = state.layout || {};
+        visualizer.layoutOptions = {};
+        if (layout.options && typeof layout.options === 'object') {
+            [...visualizer.layouts.layouts.keys()].forEach(id => {
+                const options = visualizer.layouts.clampOptions(id, layout.options[id]);
+                if (Object.keys(options).length > 0) {
+                    visualizer.layoutOptions[id] = options;
+                }
+            });
+        }
+        controls.layoutPanel.choose(visualizer.layouts.layouts.has(layout.id) ? layout.id : 'spiral');
+
+        const name = state.name || 'Shared trace';
+        if (compare) {
+            visualizer.diffMode = compare.mode === 'twin' ? 'twin' : 'overlay';
+            visualizer.compare({ text: state.trace, name: name },
+                { text: compare.trace, name: compare.name || 'Compared trace' });
+        } else {
+            visualizer.visualize(state.trace, name);
+        }
+        const playback = visualizer.playback;
+        playback.pause();
+        playback.seek(Number.isInteger(state.step) ? state.step : playback.length);
+
+        const filter = state.filter || {};
+        controls.filterBar.restore(
+            typeof filter.query === 'string' ? filter.query : '',
+            Array.isArray(filter.hiddenTypes) ? filter.hiddenTypes : []
+        );
+        if (Number.isInteger(state.selected)) {
+            controls.inspector.select(state.selected);
+        } else {
+            controls.inspector.clearSelection();
+        }
+
+        const camera = state.camera || {};
+        visualizer.cameras.setMode(visualizer.cameras.modes.includes(camera.mode) ? camera.mode : 'orbit');
+        const numbers = [camera.alpha, camera.beta, camera.radius, ...(Array.isArray(camera.target) ? camera.target : [])];
+        if (numbers.length === 6 && numbers.every(Number.isFinite)) {
+            // setTarget() keeps the camera where it is, so the angles and
+            // distance go after it
+            visualizer.scene.stopAnimation(visualizer.camera);
+            visualizer.camera.setTarget(new BABYLON.Vector3(...camera.target));
+            visualizer.camera.alpha = camera.alpha;
+            visualizer.camera.beta = camera.beta;
+            visualizer.camera.radius = camera.radius;
+        }
+        this.setStatus(`Opened shared view of ${visualizer.traceName}`);
+        this.listeners.forEach(listener => listener(state));
+    }
+
+    setStatus(message) {
+        this.status.textContent = message;
+    }
+
+    _checkLoaded() {
+        if (this.visualizer.traceSource && this.visualizer.trace.length > 0) {
+            return true;
+        }
+        this.setStatus('Load a trace first');
+        return false;
+    }
+
+    /**
+     * Run a share action, reporting failures in the share box
+     */
+    _run(promise) {
+        promise.catch(error => {
+            console.error(error);
+            this.setStatus(error.message);
+        });
+    }
+
+    /**
+     * Deflate text and encode it as base64url, which needs no escaping in
+     * a URL
+     * @returns {Promise<string>}
+     */
+    static async compress(text) {
+        const stream = new Blob([text]).stream().pipeThrough(new CompressionStream('deflate-raw'));
+        const bytes = new Uint8Array(await new Response(stream).arrayBuffer());
+        let binary = '';
+        for (let i = 0; i < bytes.length; i += 0x8000) {
+            binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+        }
+        return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+    }
+
+    /**
+     * Reverse compress()
+     * @returns {Promise<string>}
+     */
+    static async decompress(data) {
+        const binary = atob(data.replace(/-/g, '+').replace(/_/g, '/'));
+        const bytes = Uint8Array.from(binary, c => c.charCodeAt(0));
+        const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+        return new Response(stream).text();
+    }
+
+    /**
+     * Whether a file name is a session file rather than a trace
+     */
+    static isSessionFile(name) {
+        return /\.mosaic\.json$/i.test(name || '');
+    }
+}
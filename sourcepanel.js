@@ -0,0 +1,205 @@
+/**
+ * Source panel for Code Mosaic
+ * Shows the C source a trace was recorded from next to the mosaic. The line
+ * of the current playback step is highlighted, selecting a building scrolls
+ * to its line, and clicking a line highlights every building it produced.
+ * The gutter shows how many steps each line produced, so the panel doubles
+ * as a coverage/profile view.
+ */
+class SourcePanel {
+    /**
+     * @param {CodeVisualizer} visualizer - an initialized visualizer
+     */
+    constructor(visualizer) {
+        this.visualizer = visualizer;
+        this.panel = document.getElementById('source');
+        this.title = document.getElementById('sourceTitle');
+        this.code = document.getElementById('sourceCode');
+        this.name = null;
+        this.rows = [];          // row element per source line (index 0 is line 1)
+        this.stepsByLine = new Map(); // line -> steps it produced
+        this.countedTrace = null;
+        this.currentLine = null;
+        this.selectedLine = null;
+    }
+
+    /**
+     * Follow playback and wire line clicks and the file picker
+     */
+    attach() {
+        this.visualizer.playback.onChange((playback) => {
+            if (this.countedTrace !== this.visualizer.trace) {
+                this.countHits();
+            }
+            this.showCurrent(playback.cursor - 1);
+        });
+        this.visualizer.onAppend(() => this.countHits());
+        this.code.addEventListener('click', (event) => {
+            const row = event.target.closest('[data-line]');
+            if (row) {
+                this.toggleLine(parseInt(row.dataset.line, 10));
+            }
+        });
+        document.getElementById('sourceClose').addEventListener('click', () => this.clear());
+
+        const input = document.getElementById('sourceFile');
+        document.getElementById('openSource').addEventListener('click', () => input.click());
+        input.addEventListener('change', () => {
+            if (input.files.length > 0) {
+                const file = input.files[0];
+                file.text().then(text => this.load(file.name, text));
+            }
+            input.value = ''; // allow re-selecting the same file
+        });
+        return this;
+    }
+
+    /**
+     * Show a source file. Its lines are matched to the trace's `line` fields.
+     * @param {string} name - file name shown in the panel header
+     * @param {string} text - source text
+     */
+    load(name, text) {
+        if (this.selectedLine !== null) {
+            this.visualizer.highlightSteps(null);
+        }
+        this.name = name;
+        this.currentLine = null;
+        this.title.textContent = name;
+        this.code.innerHTML = '';
+        this.rows = text.replace(/\r/g, '').replace(/\n$/, '').split('\n').map((source, index) => {
+            const row = document.createElement('div');
+            row.className = 'source-line';
+            row.dataset.line = String(index + 1);
+
+            const number = document.createElement('span');
+            number.className = 'source-number';
+            number.textContent = String(index + 1);
+            const hits = document.createElement('span');
+            hits.className = 'source-hits';
+            const code = document.createElement('span');
+            code.className = 'source-text';
+            code.textContent = source;
+
+            row.append(number, hits, code);
+            this.code.appendChild(row);
+            return row;
+        });
+        this.panel.style.display = 'block';
+        this.countHits();
+        this.showCurrent(this.visualizer.playback.cursor - 1);
+    }
+
+    /**
+     * Hide the panel and forget the source
+     */
+    clear() {
+        if (this.selectedLine !== null) {
+            this.visualizer.highlightSteps(null);
+        }
+        this.name = null;
+        this.rows = [];
+        this.selectedLine = null;
+        this.currentLine = null;
+        this.code.innerHTML = '';
+        this.panel.style.display = 'none';
+    }
+
+    /**
+     * Count the steps each source line produced and shade the gutter by
+     * how hot the line is
+     */
+    countHits() {
+        const trace = this.visualizer.trace;
+        this.countedTrace = trace;
+        this.stepsByLine = new Map();
+        trace.forEach(step => {
+            if (step.line !== null) {
+                if (!this.stepsByLine.has(step.line)) {
+                    this.stepsByLine.set(step.line, []);
+                }
+                this.stepsByLine.get(step.line).push(step.step);
+            }
+        });
+        // Loading a trace clears the building highlight, so the line
+        // selection goes with it
+        this.selectedLine = null;
+
+        let maxHits = 0;
+        this.stepsByLine.forEach(steps => {
+            maxHits = Math.max(maxHits, steps.length);
+        });
+        this.rows.forEach((row, index) => {
+            const steps = this.stepsByLine.get(index + 1);
+            const hits = row.querySelector('.source-hits');
+            hits.textContent = steps ? String(steps.length) : '';
+            hits.style.background = steps
+                ? `rgba(255, 120, 40, ${0.15 + 0.6 * steps.length / maxHits})`
+                : 'transparent';
+            row.title = steps ? `${steps.length} step(s) — click to highlight their buildings` : '';
+            row.classList.remove('selected');
+        });
+    }
+
+    /**
+     * Highlight the line of the current playback step
+     * @param {number} step - current step index (-1 before the first step)
+     */
+    showCurrent(step) {
+        const record = this.visualizer.trace[step];
+        const line = record && record.line !== null ? record.line : null;
+        if (line === this.currentLine) {
+            return;
+        }
+        this._rowAt(this.currentLine, row => row.classList.remove('current'));
+        this.currentLine = line;
+        this._rowAt(line, row => {
+            row.classList.add('current');
+            this._scrollTo(row);
+        });
+    }
+
+    /**
+     * Scroll to a step's line, e.g. when its building is selected
+     */
+    revealStep(step) {
+        const record = this.visualizer.trace[step];
+        if (record && record.line !== null) {
+            this._rowAt(record.line, row => this._scrollTo(row));
+        }
+    }
+
+    /**
+     * Highlight every building produced by a line, or clear the highlight
+     * if the line is already selected
+     */
+    toggleLine(line) {
+        this._rowAt(this.selectedLine, row => row.classList.remove('selected'));
+        if (line === this.selectedLine || !this.stepsByLine.has(line)) {
+            this.selectedLine = null;
+            this.visualizer.highlightSteps(null);
+            return;
+        }
+        this.selectedLine = line;
+        this._rowAt(line, row => row.classList.add('selected'));
+        this.visualizer.highlightSteps(this.stepsByLine.get(line));
+    }
+
+    _rowAt(line, callback) {
+        const row = line !== null ? this.rows[line - 1] : undefined;
+        if (row) {
+            callback(row);
+        }
+    }
+
+    /**
+     * Scroll the code view (not the page) so a row is visible. The code view
+     * is positioned, so rows' offsetTop is relative to it.
+     */
+    _scrollTo(row) {
+        const top = row.offsetTop;
+        if (top < this.code.scrollTop || top + row.offsetHeight > this.code.scrollTop + this.code.clientHeight) {
+            this.code.scrollTop = top - this.code.clientHeight / 3;
+        }
+    }
+}
@@ -0,0 +1,167 @@
+/**
+ * Trace statistics for Code Mosaic
+ * Summarises a parsed trace: how many steps of each record type it has, how
+ * often each function was called, the deepest call, how many times each
+ * loop went round, which variables were written most and which source lines
+ * ran hottest. Every row keeps the steps it counts so they can be picked
+ * out in the scene; toJSON() and toCSV() leave the steps out.
+ */
+class TraceStatistics {
+    /**
+     * @param {Array} trace - parsed execution steps
+     * @param {CallTree} callTree - call tree for the same trace
+     * @param {LoopAnalyzer} loops - loops of the same trace
+     * @param {MemoryModel} memory - memory model of the same trace
+     */
+    constructor(trace, callTree, loops, memory) {
+        this.stepCount = trace.length;
+        this.maxDepth = callTree.maxDepth();
+        this.depths = Int32Array.from(trace, (step, i) => callTree.frameOf[i].depth);
+
+        const types = new Map();
+        const lines = new Map();
+        trace.forEach((step, i) => {
+            TraceStatistics._add(types, step.type, { type: step.type }, i);
+            if (step.line !== null) {
+                TraceStatistics._add(lines, step.line, { line: step.line }, i);
+            }
+        });
+        this.types = TraceStatistics._sorted(types);
+        this.lines = TraceStatistics._sorted(lines);
+
+        // Calls per function, and the steps run in its frames (not counting
+        // the functions it calls)
+        const functions = new Map();
+        callTree.frames.forEach(frame => {
+            if (frame === callTree.root) {
+                return;
+            }
+            if (!functions.has(frame.name)) {
+                functions.set(frame.name, { name: frame.name, calls: 0, ownSteps: 0, steps: [] });
+            }
+            const row = functions.get(frame.name);
+            row.calls++;
+            row.ownSteps += frame.steps.length + 1;
+            row.steps.push(frame.callStep);
+            frame.steps.forEach(step => row.steps.push(step));
+        });
+        this.functions = [...functions.values()].sort((a, b) => b.calls - a.calls);
+
+        this.loops = loops.loops.map(loop => ({
+            name: loop.name,
+            line: loop.line,
+            func: loop.frame === callTree.root ? '' : loop.frame.name,
+            iterations: loop.iterations.length,
+            steps: TraceStatistics._range(loop.startStep, loop.endStep)
+        })).sort((a, b) => b.iterations - a.iterations);
+
+        this.variables = [...memory.addresses.values()].map(entry => {
+            const frame = callTree.frameOf[entry.firstStep];
+            return {
+                name: entry.name,
+                address: entry.address,
+                func: !frame || frame === callTree.root ? '' : frame.name,
+                writes: entry.writes.length,
+                steps: entry.writes.map(write => write.step)
+            };
+        }).sort((a, b) => b.writes - a.writes);
+    }
+
+    /**
+     * Deepest call depth within each of `buckets` equal slices of the trace,
+     * for charting depth over time
+     * @returns {Int32Array}
+     */
+    depthProfile(buckets) {
+        const profile = new Int32Array(buckets);
+        this.depths.forEach((depth, i) => {
+            const bucket = Math.floor(i * buckets / this.stepCount);
+            profile[bucket] = Math.max(profile[bucket], depth);
+        });
+        return profile;
+    }
+
+    /**
+     * The statistics without step lists, e.g. for grading scripts
+     */
+    toJSON() {
+        const strip = rows => rows.map(({ steps, ...row }) => row);
+        return {
+            steps: this.stepCount,
+            maxDepth: this.maxDepth,
+            types: strip(this.types),
+            functions: strip(this.functions),
+            loops: strip(this.loops),
+            variables: strip(this.variables),
+            lines: strip(this.lines)
+        };
+    }
+
+    /**
+     * The statistics as CSV with one row per counted item:
+     * section,item,count
+     */
+    toCSV() {
+        const rows = [
+            ['summary', 'steps', this.stepCount],
+            ['summary', 'max_depth', this.maxDepth],
+            ...this.types.map(row => ['type', row.type, row.count]),
+            ...this.functions.map(row => ['function_calls', row.name, row.calls]),
+            ...this.functions.map(row => ['function_steps', row.name, row.ownSteps]),
+            ...this.loops.map(row => ['loop_iterations', TraceStatistics.loopLabel(row), row.iterations]),
+            ...this.variables.map(row => ['variable_writes', TraceStatistics.variableLabel(row), row.writes]),
+            ...this.lines.map(row => ['line', row.line, row.count])
+        ];
+        const cell = value => {
+            const text = String(value);
+            return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        };
+        return ['section,item,count', ...rows.map(row => row.map(cell).join(','))].join('\n') + '\n';
+    }
+
+    /**
+     * e.g. "for (line 3, main)"
+     */
+    static loopLabel(row) {
+        return `${row.name} (line ${row.line}${row.func ? `, ${row.func}` : ''})`;
+    }
+
+    /**
+     * e.g. "sum (main, FF88C)"
+     */
+    static variableLabel(row) {
+        return `${row.name} (${row.func ? `${row.func}, ` : ''}${row.address})`;
+    }
+
+    /**
+     * Count a step under a key, creating the row from `fields` the first time
+     */
+    static _add(rows, key, fields, step) {
+        let row = rows.get(key);
+        if (!row) {
+            row = { ...fields, count: 0, steps: [] };
+            rows.set(key, row);
+        }
+        row.count++;
+        row.steps.push(step);
+    }
+
+    /**
+     * Rows with the most steps first
+     */
+    static _sorted(rows) {
+        return [...rows.values()].sort((a, b) => b.count - a.count);
+    }
+
+    static _range(from, to) {
+        const steps = [];
+        for (let i = from; i <= to; i++) {
+            steps.push(i);
+        }
+        return steps;
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TraceStatistics;
+}
@@ -0,0 +1,194 @@
+/**
+ * Statistics panel for Code Mosaic
+ * A profile of the loaded trace (see TraceStatistics): steps per record
+ * type, calls per function, loop iterations, the most-written variables and
+ * the hottest source lines as small bar charts, plus call depth over time.
+ * Clicking a row highlights its buildings; the JSON and CSV buttons save
+ * the numbers for grading scripts.
+ */
+class StatsPanel {
+    /**
+     * @param {CodeVisualizer} visualizer - an initialized visualizer
+     */
+    constructor(visualizer) {
+        this.visualizer = visualizer;
+        this.panel = document.getElementById('statistics');
+        this.summary = document.getElementById('statsSummary');
+        this.depthChart = document.getElementById('statsDepth');
+        this.sections = document.getElementById('statsSections');
+        this.stats = null;
+        this.renderedTrace = null;
+        this.selectedKey = null; // "section|label" of the row whose steps are highlighted
+        this.selectedRow = null;
+        this.maxRows = 8;        // rows per section
+    }
+
+    /**
+     * Re-render when a trace is loaded or grows, and wire the export buttons
+     */
+    attach() {
+        this.visualizer.playback.onChange(() => {
+            if (this.renderedTrace !== this.visualizer.trace) {
+                this.render();
+            }
+        });
+        this.visualizer.onAppend(() => this.render());
+        document.getElementById('statsJson').addEventListener('click', () => {
+            if (this.stats) {
+                this._download(JSON.stringify(this.stats, null, 2), 'json', 'application/json');
+            }
+        });
+        document.getElementById('statsCsv').addEventListener('click', () => {
+            if (this.stats) {
+                this._download(this.stats.toCSV(), 'csv', 'text/csv');
+            }
+        });
+        this.depthChart.addEventListener('click', (event) => {
+            // Jump playback to the clicked point of the trace
+            const playback = this.visualizer.playback;
+            const fraction = event.offsetX / this.depthChart.clientWidth;
+            playback.pause();
+            playback.seek(Math.ceil(fraction * playback.length));
+        });
+        return this;
+    }
+
+    /**
+     * Recount and redraw. A live trace that grew keeps its selected row,
+     * highlighting the row's steps as counted now.
+     */
+    render() {
+        const visualizer = this.visualizer;
+        if (this.renderedTrace !== visualizer.trace) {
+            this.selectedKey = null; // loading a trace clears the highlight
+        }
+        this.renderedTrace = visualizer.trace;
+        this.selectedRow = null;
+        this.panel.style.display = visualizer.trace.length > 0 ? 'block' : 'none';
+        if (visualizer.trace.length === 0) {
+            this.stats = null;
+            return;
+        }
+        const stats = new TraceStatistics(visualizer.trace, visualizer.callTree, visualizer.loops, visualizer.memory);
+        this.stats = stats;
+
+        const calls = stats.functions.reduce((total, row) => total + row.calls, 0);
+        this.summary.textContent = `${stats.stepCount} steps, ${calls} calls to ${stats.functions.length} ` +
+            `function(s), max call depth ${stats.maxDepth}, ${stats.loops.length} loop(s)`;
+        this.drawDepth();
+
+        const colorOf = type => {
+            const color = visualizer.parser.getColorForType(type);
+            return `rgb(${[color.r, color.g, color.b].map(c => Math.round(c * 255)).join(', ')})`;
+        };
+        this.sections.innerHTML = '';
+        this._section('Steps per record type', stats.types, row => row.type, row => row.count,
+            row => `${row.count} ${row.type} step(s)`, row => colorOf(row.type));
+        this._section('Calls per function', stats.functions, row => row.name, row => row.calls,
+            row => `${row.calls} call(s), ${row.ownSteps} step(s) in its own frames`);
+        this._section('Loop iterations', stats.loops, row => TraceStatistics.loopLabel(row), row => row.iterations,
+            row => `${row.iterations} iteration(s) over ${row.steps.length} step(s)`);
+        this._section('Most-written variables', stats.variables, row => TraceStatistics.variableLabel(row),
+            row => row.writes, row => `${row.writes} write(s)`);
+        this._section('Hottest source lines', stats.lines, row => `line ${row.line}`, row => row.count,
+            row => `${row.count} step(s)`);
+        if (this.selectedKey !== null && this.selectedRow === null) {
+            // The selected row dropped out of the top rows
+            this.selectedKey = null;
+            visualizer.highlightSteps(null);
+        }
+    }
+
+    /**
+     * Call depth across the trace as a filled bar chart, one bar per pixel
+     * column
+     */
+    drawDepth() {
+        const context = this.depthChart.getContext ? this.depthChart.getContext('2d') : null;
+        if (!context) {
+            return;
+        }
+        const { width, height } = this.depthChart;
+        context.clearRect(0, 0, width, height);
+        if (!this.stats || this.stats.maxDepth === 0) {
+            return;
+        }
+        const profile = this.stats.depthProfile(Math.min(width, this.stats.stepCount));
+        const barWidth = width / profile.length;
+        context.fillStyle = 'rgba(255, 215, 0, 0.7)';
+        profile.forEach((depth, i) => {
+            const barHeight = depth / this.stats.maxDepth * height;
+            context.fillRect(i * barWidth, height - barHeight, Math.ceil(barWidth), barHeight);
+        });
+    }
+
+    /**
+     * A titled list of rows with a bar each, largest first. Clicking a row
+     * highlights its steps; clicking it again clears the highlight.
+     */
+    _section(title, rows, label, value, describe, color) {
+        if (rows.length === 0) {
+            return;
+        }
+        const heading = document.createElement('div');
+        heading.className = 'stats-title';
+        heading.textContent = title;
+        this.sections.appendChild(heading);
+
+        const max = Math.max(...rows.slice(0, this.maxRows).map(value), 1);
+        rows.slice(0, this.maxRows).forEach(row => {
+            const element = document.createElement('div');
+            element.className = 'stats-row';
+            element.title = `${describe(row)} — click to highlight`;
+
+            const name = document.createElement('span');
+            name.className = 'stats-label';
+            name.textContent = label(row);
+            const bar = document.createElement('span');
+            bar.className = 'stats-bar';
+            const fill = document.createElement('span');
+            fill.style.width = `${value(row) / max * 100}%`;
+            if (color) {
+                fill.style.background = color(row);
+            }
+            bar.appendChild(fill);
+            const count = document.createElement('span');
+            count.className = 'stats-count';
+            count.textContent = String(value(row));
+
+            element.append(name, bar, count);
+            const key = `${title}|${label(row)}`;
+            element.addEventListener('click', () => this._toggle(element, key, row.steps));
+            if (key === this.selectedKey) {
+                this.selectedRow = element;
+                element.classList.add('selected');
+                this.visualizer.highlightSteps(row.steps);
+            }
+            this.sections.appendChild(element);
+        });
+        if (rows.length > this.maxRows) {
+            const more = document.createElement('div');
+            more.className = 'stats-more';
+            more.textContent = `…and ${rows.length - this.maxRows} more (see the JSON or CSV export)`;
+            this.sections.appendChild(more);
+        }
+    }
+
+    _toggle(element, key, steps) {
+        const selecting = element !== this.selectedRow;
+        if (this.selectedRow) {
+            this.selectedRow.classList.remove('selected');
+        }
+        this.selectedRow = selecting ? element : null;
+        this.selectedKey = selecting ? key : null;
+        element.classList.toggle('selected', selecting);
+        this.visualizer.highlightSteps(selecting ? steps : null);
+    }
+
+    /**
+     * Save the statistics as a file named after the trace
+     */
+    _download(text, extension, type) {
+        SceneExporter.download(text, `${SceneExporter.fileBase(this.visualizer.traceName)}-stats.${extension}`, type);
+    }
+}
@@ -0,0 +1,135 @@
+/**
+ * Live trace streams for Code Mosaic
+ * Connects to a WebSocket (ws://, wss://) or EventSource (http://,
+ * https://) URL whose messages are trace lines and feeds them to the
+ * visualizer as they arrive, so a running program can be watched as its
+ * trace is written. relay.js serves a trace file or a program's output this
+ * way. The stream ends when the server closes the connection, when
+ * Disconnect is pressed or when another trace is loaded.
+ */
+class TraceStream {
+    /**
+     * @param {CodeVisualizer} visualizer - an initialized visualizer
+     */
+    constructor(visualizer) {
+        this.visualizer = visualizer;
+        this.source = null;     // the open WebSocket or EventSource
+        this.url = null;
+        this.lineCount = 0;
+        this.status = document.getElementById('streamStatus');
+        this.urlInput = document.getElementById('streamUrl');
+        this.connectButton = document.getElementById('streamConnect');
+    }
+
+    /**
+     * Wire up the live box
+     */
+    attach() {
+        this.connectButton.addEventListener('click', () => {
+            if (this.isConnected()) {
+                this.disconnect();
+            } else {
+                this.connect(this.urlInput.value.trim());
+            }
+        });
+        this.urlInput.addEventListener('keydown', (event) => {
+            if (event.key === 'Enter' && !this.isConnected()) {
+                this.connect(this.urlInput.value.trim());
+            }
+        });
+        return this;
+    }
+
+    isConnected() {
+        return this.source !== null;
+    }
+
+    /**
+     * Open a stream. A stream already open is closed first.
+     * @param {string} url - ws://, wss://, http:// or https:// URL
+     */
+    connect(url) {
+        this.disconnect();
+        let source;
+        try {
+            if (/^wss?:\/\//i.test(url)) {
+                source = new WebSocket(url);
+                source.addEventListener('close', () => this._finish(source, 'Connection closed'));
+            } else if (/^https?:\/\//i.test(url)) {
+                source = new EventSource(url);
+                // The server sends "end" when the trace is complete;
+                // otherwise EventSource would reconnect and replay it
+                source.addEventListener('end', () => this._finish(source, 'Trace complete'));
+            } else {
+                throw new Error('Use a ws://, wss://, http:// or https:// URL');
+            }
+        } catch (error) {
+            this.setStatus(error.message);
+            return false;
+        }
+
+        this.source = source;
+        this.url = url;
+        this.lineCount = 0;
+        this.connectButton.textContent = 'Disconnect';
+        this.setStatus(`Connecting to ${url}…`);
+        source.addEventListener('open', () => {
+            // EventSource opens again after reconnecting, and the relay
+            // replays the trace from the start
+            this.lineCount = 0;
+            this.visualizer.beginStream(`Live: ${url}`);
+            this.setStatus(`Connected to ${url}`);
+        });
+        source.addEventListener('message', (event) => this._receive(source, event.data));
+        source.addEventListener('error', () => {
+            if (source.readyState === 2) { // CLOSED in both APIs
+                this._finish(source, `Could not connect to ${url}`);
+            } else {
+                this.setStatus(`Connection to ${url} lost, retrying…`);
+            }
+        });
+        return true;
+    }
+
+    /**
+     * Close the stream and lay out what arrived
+     */
+    disconnect() {
+        if (this.source) {
+            this._finish(this.source, 'Disconnected');
+        }
+    }
+
+    setStatus(message) {
+        this.status.textContent = message;
+    }
+
+    /**
+     * Add one message's lines to the live trace
+     */
+    _receive(source, data) {
+        if (source !== this.source) {
+            return;
+        }
+        if (!this.visualizer.streaming) {
+            // Another trace was loaded over the live one
+            this._finish(source, 'Stopped: another trace was loaded');
+            return;
+        }
+        const text = data.endsWith('\n') ? data : `${data}\n`;
+        this.lineCount += text.split('\n').length - 1;
+        this.visualizer.appendText(text);
+        this.setStatus(`Connected to ${this.url}: ${this.lineCount} lines`);
+    }
+
+    _finish(source, message) {
+        if (source !== this.source) {
+            return;
+        }
+        this.source = null;
+        source.close();
+        this.connectButton.textContent = 'Connect';
+        this.visualizer.endStream();
+        this.setStatus(this.lineCount > 0 ? `${message} after ${this.lineCount} lines` : message);
+    }
+}
@@ -0,0 +1,93 @@
+/**
+ * Tests for the command-line tool and the headless analysis it runs on
+ * Run with: node --test test/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { analyzeTrace, CodeParser } = require('../headless.js');
+
+const MOSAIC = path.join(__dirname, '..', 'mosaic.js');
+const GOOD = CodeParser.getExampleTrace();
+const MALFORMED = 'CALL|main|||1\nASSIGN|x|1|zz|yy|q\nRETURN|main|||3|1\n';
+const UNBALANCED = 'CALL|main|||1\nDECL|x|1|0001|2|1\n';
+
+/**
+ * Run mosaic.js with a folder holding the given trace files
+ * @returns {{status: number, stdout: string, stderr: string, folder: string}}
+ */
+function mosaic(args, files) {
+    const folder = fs.mkdtempSync(path.join(os.tmpdir(), 'mosaic-test-'));
+    Object.entries(files).forEach(([name, text]) => fs.writeFileSync(path.join(folder, name), text));
+    const result = spawnSync(process.execPath, [MOSAIC, ...args.map(arg => arg.replace('$DIR', folder))],
+        { encoding: 'utf8', timeout: 60000 });
+    return { status: result.status, stdout: result.stdout, stderr: result.stderr, folder: folder };
+}
+
+function run(args, files) {
+    const result = mosaic(args, files);
+    fs.rmSync(result.folder, { recursive: true, force: true });
+    return result;
+}
+
+test('analyzeTrace reads a well-formed trace', () => {
+    const analysis = analyzeTrace(GOOD, 'example.trace');
+    assert.strictEqual(analysis.format.id, 'pipe');
+    assert.strictEqual(analysis.steps.length, 18);
+    assert.deepStrictEqual(analysis.errors, []);
+    assert.strictEqual(analysis.malformedLines, 0);
+    assert.strictEqual(analysis.unbalancedCalls, 0);
+});
+
+test('analyzeTrace counts a line with several bad fields once', () => {
+    const analysis = analyzeTrace(MALFORMED, 'bad.trace');
+    assert.strictEqual(analysis.errors.length, 3);
+    assert.ok(analysis.errors.every(error => error.line === 2));
+    assert.strictEqual(analysis.malformedLines, 1);
+    assert.strictEqual(analysis.unbalancedCalls, 0);
+    assert.strictEqual(analysis.steps.length, 2);
+});
+
+test('analyzeTrace reports unbalanced calls apart from malformed lines', () => {
+    const analysis = analyzeTrace(UNBALANCED, 'open.trace');
+    assert.strictEqual(analysis.malformedLines, 0);
+    assert.strictEqual(analysis.unbalancedCalls, 1);
+    assert.strictEqual(analysis.steps.length, 2);
+});
+
+test('validate exits 0 for a clean trace, 1 for errors and 2 for bad arguments', () => {
+    assert.strictEqual(run(['validate', '$DIR/good.trace'], { 'good.trace': GOOD }).status, 0);
+    const bad = run(['validate', '$DIR/bad.trace'], { 'bad.trace': MALFORMED });
+    assert.strictEqual(bad.status, 1);
+    assert.match(bad.stdout, /3 errors/);
+    assert.strictEqual(run(['validate', '--bogus', '$DIR/good.trace'], { 'good.trace': GOOD }).status, 2);
+    assert.strictEqual(run(['validate', '$DIR/missing.trace'], {}).status, 1);
+});
+
+test('stats exits 0 and writes JSON for a clean trace', () => {
+    const result = run(['stats', '--json', '$DIR/good.trace'], { 'good.trace': GOOD });
+    assert.strictEqual(result.status, 0);
+    assert.doesNotThrow(() => JSON.parse(result.stdout));
+    assert.strictEqual(run(['stats', '--json', '--csv', '$DIR/good.trace'], { 'good.trace': GOOD }).status, 2);
+});
+
+test('convert writes the trace and exits 1 when lines were left out', () => {
+    const good = mosaic(['convert', '--to', 'json', '$DIR/good.trace', '-o', '$DIR/good.json'], { 'good.trace': GOOD });
+    try {
+        assert.strictEqual(good.status, 0);
+        const written = JSON.parse(fs.readFileSync(path.join(good.folder, 'good.json'), 'utf8'));
+        assert.strictEqual(written.steps.length, 18);
+    } finally {
+        fs.rmSync(good.folder, { recursive: true, force: true });
+    }
+
+    const bad = run(['convert', '--to', 'json', '$DIR/bad.trace'], { 'bad.trace': MALFORMED });
+    assert.strictEqual(bad.status, 1);
+    assert.match(bad.stderr, /1 malformed line left out/);
+    assert.strictEqual(JSON.parse(bad.stdout).steps.length, 2);
+    assert.strictEqual(run(['convert', '--to', 'xml', '$DIR/good.trace'], { 'good.trace': GOOD }).status, 2);
+});
@@ -0,0 +1,408 @@
+/**
+ * Themes for Code Mosaic
+ * A theme bundles everything about how a trace looks but not where things
+ * go: the color of each record type, per-type shape profiles, the material
+ * style (stained glass, matte or wireframe), lighting, glow, the path color
+ * and the background.
+ *
+ * Themes only need to give what differs from the stained-glass defaults, so
+ * a JSON theme can be as small as a name and a palette:
+ *
+ *     { "name": "Forest", "palette": { "CALL": "#2d6a4f", "LOOP": "#95d5b2" } }
+ *
+ * Colors may be written as "#rrggbb" / "#rrggbbaa", [r, g, b(, a)] or
+ * {r, g, b(, a)} with components from 0 to 1.
+ */
+class ThemeManager {
+    constructor() {
+        this.storageKey = 'codeMosaic.customThemes';
+        this.selectedKey = 'codeMosaic.theme';
+        this.materialStyles = ['stainedGlass', 'matte', 'wireframe'];
+        this.themes = new Map(); // id -> resolved theme
+        this.descriptions = new Map(); // id -> description the theme was resolved from
+        ThemeManager.builtIns().forEach(theme => this.register(theme));
+        this._loadStored().forEach(theme => {
+            try {
+                this.register(theme);
+            } catch (error) {
+                console.warn(`Ignoring stored theme: ${error.message}`);
+            }
+        });
+    }
+
+    /**
+     * The themes that ship with Code Mosaic
+     */
+    static builtIns() {
+        return [
+            {
+                id: 'stained-glass',
+                name: 'Stained Glass'
+            },
+            {
+                // Okabe–Ito palette, distinguishable with the common forms
+                // of colour blindness; opaque matte buildings on black
+                id: 'high-contrast',
+                name: 'High Contrast (colour-blind safe)',
+                background: '#000000',
+                material: 'matte',
+                palette: {
+                    CALL: '#D55E00',
+                    DECL: '#0072B2',
+                    LOOP: '#CC79A7',
+                    ASSIGN: '#009E73',
+                    RETURN: '#F0E442',
+                    IF: '#E69F00',
+                    ELSE: '#56B4E9',
+                    // Paul Tol's muted scheme, also colour-blind safe,
+                    // covers the heap and pointer records
+                    MALLOC: '#44AA99',
+                    FREE: '#AA4499',
+                    PTR_ASSIGN: '#DDCC77',
+                    ARRAY_WRITE: '#88CCEE',
+                    DEREF: '#FFFFFF',
+                    DEFAULT: '#BBBBBB'
+                },
+                path: { color: '#FFFFFF', alpha: 1 },
+                lighting: {
+                    ambient: { intensity: 0.9, color: '#FFFFFF', ground: '#333333' },
+                    points: [{ position: [10, 30, 10], intensity: 0.5, color: '#FFFFFF' }],
+                    glow: 0
+                }
+            },
+            {
+                id: 'print',
+                name: 'Print (light)',
+                background: '#FAFAF7',
+                material: 'matte',
+                palette: {
+                    CALL: '#B2182B',
+                    DECL: '#2166AC',
+                    LOOP: '#762A83',
+                    ASSIGN: '#1B7837',
+                    RETURN: '#B8860B',
+                    IF: '#D6604D',
+                    ELSE: '#4393C3',
+                    MALLOC: '#01665E',
+                    FREE: '#8C510A',
+                    PTR_ASSIGN: '#C51B7D',
+                    ARRAY_WRITE: '#4D9221',
+                    DEREF: '#542788',
+                    DEFAULT: '#777777'
+                },
+                path: { color: '#444444', alpha: 0.8 },
+                lighting: {
+                    ambient: { intensity: 1.0, color: '#FFFFFF', ground: '#999999' },
+                    points: [{ position: [20, 40, 20], intensity: 0.4, color: '#FFFFFF' }],
+                    glow: 0
+                }
+            },
+            {
+                id: 'blueprint',
+                name: 'Blueprint',
+                background: '#0B2545',
+                material: 'wireframe',
+                palette: {
+                    CALL: '#FFFFFF',
+                    DECL: '#9AD1FF',
+                    LOOP: '#C3B1FF',
+                    ASSIGN: '#A8F0D0',
+                    RETURN: '#FFE8A3',
+                    IF: '#FFC29A',
+                    ELSE: '#B5E8FF',
+                    MALLOC: '#9AF5F0',
+                    FREE: '#FFB3C6',
+                    PTR_ASSIGN: '#FFD6F5',
+                    ARRAY_WRITE: '#D4F5A8',
+                    DEREF: '#F5F0C0',
+                    DEFAULT: '#D0D8E0'
+                },
+                path: { color: '#9AD1FF', alpha: 0.5 },
+                lighting: { glow: 0.3 }
+            }
+        ];
+    }
+
+    /**
+     * Defaults every theme is resolved against: the stained-glass look
+     */
+    static defaults() {
+        return {
+            background: { r: 0.1, g: 0.1, b: 0.18 },
+            material: 'stainedGlass',
+            palette: CodeParser.defaultPalette(),
+            shapes: CodeVisualizer.defaultShapeProfiles(),
+            path: { color: { r: 0.8, g: 0.7, b: 0.4 }, alpha: 0.6 },
+            lighting: {
+                ambient: { intensity: 0.6, color: { r: 1, g: 1, b: 1 }, ground: { r: 0, g: 0, b: 0 } },
+                points: [
+                    { position: { x: 10, y: 30, z: 10 }, intensity: 0.8, color: { r: 1, g: 0.9, b: 0.7 } },
+                    { position: { x: -10, y: 25, z: -10 }, intensity: 0.6, color: { r: 0.5, g: 0.7, b: 1 } }
+                ],
+                glow: 0.5
+            }
+        };
+    }
+
+    /**
+     * The resolved stained-glass theme, for use before any theme is picked
+     */
+    static defaultTheme() {
+        return { id: 'stained-glass', name: 'Stained Glass', ...ThemeManager.defaults() };
+    }
+
+    /**
+     * Validate a theme description and fill in everything it leaves out
+     * @param {object} theme - theme description (e.g. parsed JSON)
+     * @returns {object} resolved theme
+     * @throws {Error} if the description is malformed
+     */
+    resolve(theme) {
+        if (!theme || typeof theme !== 'object' || Array.isArray(theme)) {
+            throw new Error('A theme must be a JSON object');
+        }
+        if (typeof theme.name !== 'string' || theme.name.trim() === '') {
+            throw new Error('A theme needs a "name"');
+        }
+        const defaults = ThemeManager.defaults();
+        const id = this._idOf(theme);
+
+        const material = theme.material === undefined ? defaults.material : theme.material;
+        if (!this.materialStyles.includes(material)) {
+            throw new Error(`"material" must be one of ${this.materialStyles.join(', ')}`);
+        }
+
+        const palette = { ...defaults.palette };
+        Object.entries(this._object(theme.palette, 'palette')).forEach(([type, color]) => {
+            palette[type.toUpperCase()] = this._color(color, `palette.${type}`, defaults.palette.DEFAULT.a);
+        });
+
+        const shapes = { ...defaults.shapes };
+        Object.entries(this._object(theme.shapes, 'shapes')).forEach(([type, profile]) => {
+            const key = type.toUpperCase();
+            shapes[key] = { ...(shapes[key] || shapes.DEFAULT), ...this._object(profile, `shapes.${type}`) };
+            Object.entries(shapes[key]).forEach(([field, value]) => {
+                if (field !== 'shape' && (typeof value !== 'number' || !(value > 0))) {
+                    throw new Error(`shapes.${type}.${field} must be a positive number`);
+                }
+            });
+        });
+
+        const path = this._object(theme.path, 'path');
+        const lighting = this._object(theme.lighting, 'lighting');
+        const ambient = this._object(lighting.ambient, 'lighting.ambient');
+        const resolved = {
+            id: id,
+            name: theme.name.trim(),
+            background: theme.background === undefined
+                ? defaults.background
+                : this._color(theme.background, 'background'),
+            material: material,
+            palette: palette,
+            shapes: shapes,
+            path: {
+                color: path.color === undefined ? defaults.path.color : this._color(path.color, 'path.color'),
+                alpha: this._number(path.alpha, 'path.alpha', defaults.path.alpha)
+            },
+            lighting: {
+                ambient: {
+                    intensity: this._number(ambient.intensity, 'lighting.ambient.intensity',
+                        defaults.lighting.ambient.intensity),
+                    color: ambient.color === undefined
+                        ? defaults.lighting.ambient.color
+                        : this._color(ambient.color, 'lighting.ambient.color'),
+                    ground: ambient.ground === undefined
+                        ? defaults.lighting.ambient.ground
+                        : this._color(ambient.ground, 'lighting.ambient.ground')
+                },
+                points: lighting.points === undefined
+                    ? defaults.lighting.points
+                    : this._points(lighting.points),
+                glow: this._number(lighting.glow, 'lighting.glow', defaults.lighting.glow)
+            }
+        };
+        return resolved;
+    }
+
+    /**
+     * Add or replace a theme. The built-in themes cannot be replaced, so a
+     * theme loaded from a file never hides one that a shared session or a
+     * saved choice refers to by id alone.
+     * @returns {object} the resolved theme
+     * @throws {Error} if the theme is malformed or has a built-in theme's id
+     */
+    register(theme) {
+        const resolved = this.resolve(theme);
+        if (this.themes.has(resolved.id) && ThemeManager.builtIns().some(builtIn => builtIn.id === resolved.id)) {
+            throw new Error(`"${resolved.id}" is the id of a built-in theme; give the theme another id`);
+        }
+        this.themes.set(resolved.id, resolved);
+        this.descriptions.set(resolved.id, theme);
+        return resolved;
+    }
+
+    /**
+     * The description a theme was registered from, e.g. to pass a loaded
+     * theme on to someone who does not have it
+     */
+    describe(id) {
+        return this.descriptions.get(id) || null;
+    }
+
+    /**
+     * Parse a JSON theme, register it and remember it in localStorage
+     * @param {string} text - JSON text
+     * @returns {object} the resolved theme
+     * @throws {Error} if the JSON or the theme is malformed
+     */
+    loadJSON(text) {
+        let description;
+        try {
+            description = JSON.parse(text);
+        } catch (error) {
+            throw new Error(`Invalid JSON: ${error.message}`);
+        }
+        const theme = this.register(description);
+        const stored = this._loadStored().filter(other => this._idOf(other) !== theme.id);
+        stored.push(description);
+        this._store(stored);
+        return theme;
+    }
+
+    /**
+     * Theme by id, falling back to the stained-glass default
+     */
+    get(id) {
+        return this.themes.get(id) || this.themes.get('stained-glass');
+    }
+
+    /**
+     * Id of the theme picked last time, if any
+     */
+    getSelected() {
+        try {
+            return localStorage.getItem(this.selectedKey);
+        } catch (error) {
+            return null;
+        }
+    }
+
+    rememberSelected(id) {
+        try {
+            localStorage.setItem(this.selectedKey, id);
+        } catch (error) {
+            // Storage unavailable (private mode); the choice is just not kept
+        }
+    }
+
+    /**
+     * Fill a <select> with the available themes
+     */
+    populateSelect(select, selectedId) {
+        select.innerHTML = '';
+        this.themes.forEach(theme => {
+            const option = document.createElement('option');
+            option.value = theme.id;
+            option.textContent = theme.name;
+            select.appendChild(option);
+        });
+        select.value = this.get(selectedId).id;
+    }
+
+    /**
+     * A theme's id: its "id" field, or its name in kebab case
+     */
+    _idOf(theme) {
+        if (typeof theme.id === 'string' && theme.id !== '') {
+            return theme.id;
+        }
+        return String(theme.name).trim().toLowerCase().replace(/[^a-z0-9]+/g, '-');
+    }
+
+    _loadStored() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(this.storageKey) || '[]');
+            return Array.isArray(stored) ? stored : [];
+        } catch (error) {
+            return [];
+        }
+    }
+
+    _store(themes) {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(themes));
+        } catch (error) {
+            // Storage full or unavailable; the theme still works this session
+        }
+    }
+
+    _object(value, field) {
+        if (value === undefined) {
+            return {};
+        }
+        if (!value || typeof value !== 'object' || Array.isArray(value)) {
+            throw new Error(`"${field}" must be an object`);
+        }
+        return value;
+    }
+
+    _number(value, field, fallback) {
+        if (value === undefined) {
+            return fallback;
+        }
+        if (typeof value !== 'number' || !isFinite(value) || value < 0) {
+            throw new Error(`${field} must be a non-negative number`);
+        }
+        return value;
+    }
+
+    /**
+     * Parse a color in any of the accepted notations to {r, g, b, a}
+     */
+    _color(value, field, defaultAlpha = 1) {
+        let components = null;
+        if (typeof value === 'string') {
+            const match = /^#([0-9a-f]{6})([0-9a-f]{2})?$/i.exec(value.trim());
+            if (match) {
+                const hex = match[1] + (match[2] || '');
+                components = hex.match(/../g).map(pair => parseInt(pair, 16) / 255);
+            }
+        } else if (Array.isArray(value)) {
+            components = value;
+        } else if (value && typeof value === 'object') {
+            components = [value.r, value.g, value.b].concat(value.a === undefined ? [] : [value.a]);
+        }
+        if (!components || components.length < 3 || components.length > 4 ||
+            components.some(c => typeof c !== 'number' || !(c >= 0 && c <= 1))) {
+            throw new Error(`${field} must be a color such as "#ff8800" or [1, 0.5, 0]`);
+        }
+        return {
+            r: components[0],
+            g: components[1],
+            b: components[2],
+            a: components.length === 4 ? components[3] : defaultAlpha
+        };
+    }
+
+    _points(points) {
+        if (!Array.isArray(points)) {
+            throw new Error('lighting.points must be an array');
+        }
+        return points.map((point, index) => {
+            const field = `lighting.points[${index}]`;
+            const position = point && point.position;
+            if (!Array.isArray(position) || position.length !== 3 || position.some(n => typeof n !== 'number')) {
+                throw new Error(`${field}.position must be [x, y, z]`);
+            }
+            return {
+                position: { x: position[0], y: position[1], z: position[2] },
+                intensity: this._number(point.intensity, `${field}.intensity`, 0.8),
+                color: point.color === undefined ? { r: 1, g: 1, b: 1 } : this._color(point.color, `${field}.color`)
+            };
+        });
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ThemeManager;
+}
@@ -1,6 +1,7 @@
 /**
  * Babylon.js Visualizer for Code Mosaic
  * Creates a stained-glass descending spiral visualization of code execution.
+ * Other layouts (helix, street, city blocks, radial tree) come from LayoutEngine.
  * 
  * Design philosophy:
  * - The spiral DESCENDS from top to bottom (execution flows downward like gravity)
@@ -14,12 +15,81 @@ class CodeVisualizer {
         this.canvas = canvas;
         this.engine = null;
         this.scene = null;
-        this.camera = null;
+        this.camera = null;           // the orbit camera
+        this.cameras = null;          // CameraController: orbit, follow and ride modes
         this.parser = new CodeParser();
+        this.importers = new TraceImporter();
+        this.traceFormat = null;      // importer format the trace was read with
+        this.theme = ThemeManager.defaultTheme();
+        this.ambientLight = null;
+        this.pointLights = [];
         this.buildings = [];
-        this.spiralPath = null;
-        this.animationSpeed = 1;
+        this.pathPoints = null;
+        this.layouts = new LayoutEngine();
+        this.layoutName = 'spiral';
+        this.layoutOptions = {}; // layout id -> settings changed from the defaults
+        this.layoutCenter = null;
+        this.layoutExtent = 0;
+        this.trace = [];
+        this.memory = new MemoryModel([]);
+        this.heap = new HeapAnalyzer([]);
+        this.heapProblems = [];       // heap.allProblems() of the whole trace
+        this.pointerArcs = null;      // line system of the pointer arcs shown
+        this.heapMarkers = [];        // warning marker meshes, one per problem kind
+        this.heapOverlayKey = null;   // what the arcs and markers show, to skip rebuilding them
+        this.maxPointerArcs = 500;    // only the latest arcs up to the playback position are drawn
+        this.maxHeapMarkers = 2000;
+        this.markerColors = {
+            'use-after-free': { r: 1, g: 0.15, b: 0.1 },
+            'double-free': { r: 1, g: 0.15, b: 0.1 },
+            'leak': { r: 1, g: 0.65, b: 0 }
+        };
+        this.connectors = new Map();
+        this.callTree = new CallTree([]);
+        this.loops = new LoopAnalyzer([], this.callTree);
+        this.collapsedLoops = new Set();
+        this.hiddenSteps = new Uint8Array(0); // > 0 while inside a collapsed loop
+        this.loopSummaries = new Map(); // loop id -> { mesh, label }
+        this.coilLoops = false;
+        this.seedOverride = null; // null: seed layouts from the trace content
+        this.traceHash = 0;
+        this.seed = 0;
+        this.random = new SeededRandom(0);
+        this.sizeMode = 'random'; // 'random' | 'value' | 'children'
+        this.sizeRange = 3;       // data-driven heights reach heightMax * sizeRange
+        this.sizeMetrics = null;
+        this.highlightedSteps = null; // Set of steps shown at full strength, or null
+        this.filterMatches = null;    // Uint8Array, 1 for steps matching the filter, or null
+        this.traceSource = null;      // { text, name } of the loaded trace
+        this.compareSource = null;    // { text, name } of the trace compared with it
+        this.diff = null;             // TraceDiff while comparing two traces
+        this.diffMode = 'overlay';    // 'overlay' | 'twin'
+        this.twinRenderer = null;     // second spiral in 'twin' mode
+        this.twinOffset = null;
+        this.diffColors = {
+            same: { r: 0.45, g: 0.45, b: 0.45, a: 0.35 },
+            changed: { r: 1, g: 0.85, b: 0.3, a: 1 },
+            missing: { r: 1, g: 0.3, b: 0.3, a: 1 },
+            extra: { r: 0.3, g: 1, b: 0.45, a: 1 }
+        };
+        this.pathMeshes = [];
+        this.pathMaterials = [];
+        this.layoutListeners = [];
+        this.streaming = false;       // true between beginStream() and endStream()
+        this.streamText = '';
+        this.streamQueue = [];        // parsed steps waiting for the next flush
+        this.streamTimer = null;
+        this.streamInterval = 100;    // ms between adding streamed steps to the scene
+        this.streamRelayoutInterval = 1000; // ms between full relayouts for other layouts
+        this.streamLastRelayout = 0;
+        this.streamPathDrawn = [];    // points of each path segment already drawn
+        this.streamMaxPathPieces = 64; // redraw the path in one piece beyond this
+        this.appendListeners = [];
+        this.visibleCount = 0;
+        this.traceName = null;
         this.isAnimating = true;
+        this.renderer = null;
+        this.playback = new PlaybackController(count => this.showSteps(count));
     }
 
     /**
@@ -28,7 +98,6 @@ class CodeVisualizer {
     init() {
         this.engine = new BABYLON.Engine(this.canvas, true);
         this.scene = new BABYLON.Scene(this.engine);
-        this.scene.clearColor = new BABYLON.Color4(0.1, 0.1, 0.18, 1);
 
         // Create camera — positioned to look DOWN at the descending spiral
         this.camera = new BABYLON.ArcRotateCamera(
@@ -44,33 +113,20 @@ class CodeVisualizer {
         this.camera.upperRadiusLimit = 150;
         this.camera.wheelPrecision = 50;
 
-        // Create lights
-        const hemisphericLight = new BABYLON.HemisphericLight(
+        // Lights, glow and background come from the theme
+        this.ambientLight = new BABYLON.HemisphericLight(
             "hemiLight",
             new BABYLON.Vector3(0, 1, 0),
             this.scene
         );
-        hemisphericLight.intensity = 0.6;
-
-        const pointLight1 = new BABYLON.PointLight(
-            "pointLight1",
-            new BABYLON.Vector3(10, 30, 10),
-            this.scene
-        );
-        pointLight1.intensity = 0.8;
-        pointLight1.diffuse = new BABYLON.Color3(1, 0.9, 0.7);
+        this.glowLayer = new BABYLON.GlowLayer("glow", this.scene);
+        this._applyLighting();
 
-        const pointLight2 = new BABYLON.PointLight(
-            "pointLight2",
-            new BABYLON.Vector3(-10, 25, -10),
-            this.scene
-        );
-        pointLight2.intensity = 0.6;
-        pointLight2.diffuse = new BABYLON.Color3(0.5, 0.7, 1);
+        // Buildings are thin instances sharing one material per type
+        this.renderer = new BuildingRenderer(this);
 
-        // Add glow layer for stained glass effect
-        const glowLayer = new BABYLON.GlowLayer("glow", this.scene);
-        glowLayer.intensity = 0.5;
+        // Follow and ride modes move the camera along with playback
+        this.cameras = new CameraController(this);
 
         // Start render loop
         this.engine.runRenderLoop(() => {
@@ -85,6 +141,72 @@ class CodeVisualizer {
         return this;
     }
 
+    /**
+     * Set the scene background, lights and glow from the current theme
+     */
+    _applyLighting() {
+        const theme = this.theme;
+        const color3 = color => new BABYLON.Color3(color.r, color.g, color.b);
+        this.scene.clearColor = new BABYLON.Color4(theme.background.r, theme.background.g, theme.background.b, 1);
+
+        const ambient = theme.lighting.ambient;
+        this.ambientLight.intensity = ambient.intensity;
+        this.ambientLight.diffuse = color3(ambient.color);
+        this.ambientLight.groundColor = color3(ambient.ground);
+
+        this.pointLights.forEach(light => light.dispose());
+        this.pointLights = theme.lighting.points.map((point, index) => {
+            const light = new BABYLON.PointLight(
+                `pointLight${index + 1}`,
+                new BABYLON.Vector3(point.position.x, point.position.y, point.position.z),
+                this.scene
+            );
+            light.intensity = point.intensity;
+            light.diffuse = color3(point.color);
+            return light;
+        });
+
+        this.glowLayer.intensity = theme.lighting.glow;
+        this.glowLayer.isEnabled = theme.lighting.glow > 0;
+    }
+
+    /**
+     * Switch to another theme (see ThemeManager) and redraw the trace in it.
+     * Shapes may change, so the buildings are laid out again.
+     * @param {object} theme - a resolved theme
+     */
+    setTheme(theme) {
+        this.theme = theme;
+        this.parser.palette = theme.palette;
+        this._applyLighting();
+        this.renderer.resetTheme();
+        if (this.twinRenderer) {
+            this.twinRenderer.resetTheme();
+        }
+        this.relayout();
+    }
+
+    /**
+     * Create a building material for a color in the theme's material style
+     */
+    createMaterial(name, color) {
+        if (this.theme.material === 'matte') {
+            const material = new BABYLON.StandardMaterial(name, this.scene);
+            material.diffuseColor = new BABYLON.Color3(color.r, color.g, color.b);
+            material.emissiveColor = new BABYLON.Color3(color.r * 0.15, color.g * 0.15, color.b * 0.15);
+            material.specularColor = new BABYLON.Color3(0.1, 0.1, 0.1);
+            return material;
+        }
+        if (this.theme.material === 'wireframe') {
+            const material = new BABYLON.StandardMaterial(name, this.scene);
+            material.wireframe = true;
+            material.disableLighting = true;
+            material.emissiveColor = new BABYLON.Color3(color.r, color.g, color.b);
+            return material;
+        }
+        return this.createStainedGlassMaterial(name, color);
+    }
+
     /**
      * Create a stained glass material
      */
@@ -99,53 +221,141 @@ class CodeVisualizer {
     }
 
     /**
-     * Create the DESCENDING spiral path.
-     * Step 0 is at the TOP, and the path spirals downward.
+     * Lay out the trace with the current layout strategy (see LayoutEngine)
+     * and draw its paths. The default layout is the DESCENDING spiral: step
+     * 0 is at the TOP and every step is a little lower than the one before,
+     * so height is time.
+     *
+     * @param {Array} trace - parsed steps
+     * @returns {Array<BABYLON.Vector3>} one point per step
      */
-    createSpiralPath(steps) {
-        const points = [];
-        const radius = 2;
-        const radiusGrowth = 0.3;
-        const heightPerStep = 0.5;
-        const turnsPerStep = 0.3;
-
-        // Calculate the total height so we can start at the top
-        const totalHeight = (steps - 1) * heightPerStep;
+    createPath(trace) {
+        const { points, segments } = this._computeLayout(trace, this.streaming);
+        this.pathMeshes.push(...this._createTubes(segments, this._createPathMaterial(), trace.length));
+        this.streamPathDrawn = segments.map(segment => segment.length);
 
-        for (let i = 0; i < steps; i++) {
-            const angle = i * turnsPerStep;
-            const currentRadius = radius + (i * radiusGrowth);
-            const x = Math.cos(angle) * currentRadius;
-            const z = Math.sin(angle) * currentRadius;
-            // DESCENDING: start at totalHeight and go DOWN
-            const y = totalHeight - (i * heightPerStep);
-            points.push(new BABYLON.Vector3(x, y, z));
+        // Side by side comparison: the compared trace gets a copy of the
+        // path next to the reference's
+        this.twinOffset = null;
+        if (this.diff && this.diffMode === 'twin') {
+            const xs = points.map(point => point.x);
+            this.twinOffset = new BABYLON.Vector3(Math.max(...xs) - Math.min(...xs) + 12, 0, 0);
+            this.pathMeshes.slice().forEach(mesh => {
+                const twin = mesh.clone(`${mesh.name}_twin`);
+                twin.position.addInPlace(this.twinOffset);
+                this.pathMeshes.push(twin);
+            });
+            this.layoutCenter.addInPlace(this.twinOffset.scale(0.5));
+            this.layoutExtent += this.twinOffset.x / 2;
         }
 
-        // Create tube for the path
-        const pathTube = BABYLON.MeshBuilder.CreateTube(
-            "spiralPath",
-            {
-                path: points,
-                radius: 0.2,
-                sideOrientation: BABYLON.Mesh.DOUBLESIDE,
-                updatable: false
-            },
-            this.scene
-        );
+        this.pathPoints = points;
+        return points;
+    }
+
+    /**
+     * Run the current layout over a trace and set the layout's center and
+     * extent
+     * @param {boolean} growing - the trace is still streaming in (see
+     *   LayoutEngine)
+     * @returns {{points: Array<BABYLON.Vector3>, segments: Array<Array<BABYLON.Vector3>>}}
+     */
+    _computeLayout(trace, growing) {
+        const layout = this.layouts.compute(this.layoutName, {
+            trace: trace,
+            callTree: this.callTree,
+            loops: this.loops,
+            coilLoops: this.coilLoops,
+            growing: growing
+        }, this.layoutOptions[this.layoutName]);
+        const toVector = point => new BABYLON.Vector3(point.x, point.y, point.z);
+        this.layoutCenter = toVector(layout.center);
+        this.layoutExtent = layout.extent;
+        return {
+            points: layout.points.map(toVector),
+            segments: layout.segments.map(segment => segment.map(toVector))
+        };
+    }
 
+    /**
+     * Material for the path tubes, in the theme's path color
+     */
+    _createPathMaterial() {
+        const pathColor = this.theme.path.color;
         const pathMaterial = new BABYLON.StandardMaterial("pathMat", this.scene);
-        pathMaterial.diffuseColor = new BABYLON.Color3(0.8, 0.7, 0.4);
-        pathMaterial.emissiveColor = new BABYLON.Color3(0.4, 0.35, 0.2);
-        pathMaterial.alpha = 0.6;
-        pathTube.material = pathMaterial;
+        pathMaterial.diffuseColor = new BABYLON.Color3(pathColor.r, pathColor.g, pathColor.b);
+        pathMaterial.emissiveColor = new BABYLON.Color3(pathColor.r * 0.5, pathColor.g * 0.5, pathColor.b * 0.5);
+        pathMaterial.alpha = this.theme.path.alpha;
+        this.pathMaterials.push(pathMaterial);
+        return pathMaterial;
+    }
 
-        this.spiralPath = points;
-        return points;
+    /**
+     * Create a tube for each path; the first (main) one is the thickest.
+     * Long traces get fewer sides per ring and a thinned-out path (the tube
+     * is only a guide) to keep the vertex count sane.
+     * @param {Array<Array<BABYLON.Vector3>>} segments - layout segments;
+     *   ones with fewer than two points are skipped
+     * @param {BABYLON.Material} pathMaterial
+     * @param {number} stepCount - trace length, which decides the detail
+     * @returns {Array<BABYLON.Mesh>} the main tube and the merged branches
+     */
+    _createTubes(segments, pathMaterial, stepCount) {
+        const tessellation = stepCount > 5000 ? 6 : 16;
+        const maxTubePoints = 10000;
+        const meshes = [];
+        const branchTubes = [];
+        segments.forEach((segment, index) => {
+            if (segment.length < 2) {
+                return;
+            }
+            if (segment.length > maxTubePoints) {
+                const stride = Math.ceil(segment.length / maxTubePoints);
+                segment = segment.filter((point, i) => i % stride === 0 || i === segment.length - 1);
+            }
+            const pathTube = BABYLON.MeshBuilder.CreateTube(
+                index === 0 ? "mainPath" : `branchPath_${index}`,
+                {
+                    path: segment,
+                    radius: index === 0 ? 0.2 : 0.12,
+                    tessellation: tessellation,
+                    sideOrientation: BABYLON.Mesh.DOUBLESIDE,
+                    updatable: false
+                },
+                this.scene
+            );
+            pathTube.material = pathMaterial;
+            pathTube.isPickable = false;
+            if (index === 0) {
+                meshes.push(pathTube);
+            } else {
+                branchTubes.push(pathTube);
+            }
+        });
+        // One draw call for all the branch paths, however deep the recursion
+        if (branchTubes.length > 1) {
+            const merged = BABYLON.Mesh.MergeMeshes(branchTubes, true, true);
+            merged.name = "branchPaths";
+            merged.isPickable = false;
+            meshes.push(merged);
+        } else {
+            meshes.push(...branchTubes);
+        }
+        return meshes;
+    }
+
+    /**
+     * Get the shape profile (size/height) for an operation type from the
+     * current theme
+     */
+    getShapeProfile(type) {
+        const profiles = this.theme.shapes;
+        return profiles[type] || profiles['DEFAULT'];
     }
 
     /**
-     * Get the shape profile (size/height) for each operation type.
+     * The shape profiles used unless a theme replaces them
+     * (see ThemeManager).
      * 
      * Hierarchy (biggest → smallest):
      *   CALL     — tallest & widest (function entry, the "cathedral tower")
@@ -154,9 +364,14 @@ class CodeVisualizer {
      *   IF/ELSE  — medium (branching decisions)
      *   DECL     — medium-small (variable birth)
      *   ASSIGN   — smallest (incremental change, builds off parent)
+     *
+     * Heap and pointer records stand apart from that hierarchy: MALLOC is a
+     * broad, nearly straight-sided block of storage, FREE a low inverted
+     * stub, PTR_ASSIGN and DEREF thin needles (the pointer arcs leave from
+     * their tips) and ARRAY_WRITE a flat, wide slab.
      */
-    getShapeProfile(type) {
-        const profiles = {
+    static defaultShapeProfiles() {
+        return {
             'CALL': {
                 heightMin: 4.0, heightMax: 5.5,
                 topWidthMin: 0.4, topWidthMax: 0.6,    // Much narrower top
@@ -206,6 +421,41 @@ class CodeVisualizer {
                 depthMin: 0.6, depthMax: 1.0,
                 shape: 'trapezoidSmall' // smallest — incremental change
             },
+            'MALLOC': {
+                heightMin: 2.2, heightMax: 3.0,
+                topWidthMin: 1.6, topWidthMax: 2.0,
+                bottomWidthMin: 1.9, bottomWidthMax: 2.4,
+                depthMin: 1.6, depthMax: 2.0,
+                shape: 'heapBlock' // broad block — storage set aside
+            },
+            'FREE': {
+                heightMin: 1.0, heightMax: 1.5,
+                topWidthMin: 1.0, topWidthMax: 1.4,
+                bottomWidthMin: 0.4, bottomWidthMax: 0.6,
+                depthMin: 0.8, depthMax: 1.1,
+                shape: 'invertedTrapezoid' // low, top-heavy stub — storage given back
+            },
+            'PTR_ASSIGN': {
+                heightMin: 2.2, heightMax: 3.0,
+                topWidthMin: 0.08, topWidthMax: 0.12,
+                bottomWidthMin: 0.6, bottomWidthMax: 0.8,
+                depthMin: 0.5, depthMax: 0.7,
+                shape: 'needle' // thin spire — points elsewhere
+            },
+            'ARRAY_WRITE': {
+                heightMin: 0.7, heightMax: 1.2,
+                topWidthMin: 0.8, topWidthMax: 1.0,
+                bottomWidthMin: 1.1, bottomWidthMax: 1.5,
+                depthMin: 0.6, depthMax: 0.9,
+                shape: 'slab' // flat and wide — one cell of a row
+            },
+            'DEREF': {
+                heightMin: 1.2, heightMax: 1.8,
+                topWidthMin: 0.08, topWidthMax: 0.12,
+                bottomWidthMin: 0.5, bottomWidthMax: 0.7,
+                depthMin: 0.4, depthMax: 0.6,
+                shape: 'needle' // short spire — reads through a pointer
+            },
             'DEFAULT': {
                 heightMin: 1.2, heightMax: 2.0,
                 topWidthMin: 0.3, topWidthMax: 0.5,
@@ -214,42 +464,47 @@ class CodeVisualizer {
                 shape: 'trapezoidSlim'
             }
         };
-        return profiles[type] || profiles['DEFAULT'];
     }
 
     /**
-     * Helper: random float in range
+     * Helper: random float in range, from the seeded layout generator
      */
     _rand(min, max) {
-        return min + Math.random() * (max - min);
+        return this.random.range(min, max);
+    }
+
+    /**
+     * Taper of a shape profile: top width and top depth as fractions of the
+     * bottom width and depth, using the middle of the profile's ranges.
+     * Inverted trapezoids are wider at the top.
+     */
+    getTrapezoidRatios(profile) {
+        const tw = (profile.topWidthMin + profile.topWidthMax) / 2;
+        const bw = (profile.bottomWidthMin + profile.bottomWidthMax) / 2;
+        if (profile.shape === 'invertedTrapezoid') {
+            // top depth = d, bottom depth = d * (botW / topW)
+            return { width: bw / tw, depth: bw / tw };
+        }
+        // Make depth taper similarly to width for true trapezoid shape;
+        // near-straight blocks such as MALLOC keep their straight sides
+        return { width: tw / bw, depth: Math.max(0.6, tw / bw) };
     }
 
     /**
-     * Build a trapezoid mesh from a shape profile.
+     * Build the template trapezoid mesh for a shape profile.
      * Uses per-face vertices (24 total) so each face gets correct flat normals.
-     * The shape tapers from a wider bottom to a narrower top (or inverted).
+     * The template is 1 unit tall with a 1×1 base and tapers to the
+     * profile's top ratios (or flares out for an inverted trapezoid); each
+     * building is a scaled thin instance of it.
      * Both X-width AND Z-depth taper, creating a true truncated pyramid / trapezoid prism.
      */
     createTrapezoidMesh(name, profile) {
-        const h = this._rand(profile.heightMin, profile.heightMax);
-        const tw = this._rand(profile.topWidthMin, profile.topWidthMax);
-        const bw = this._rand(profile.bottomWidthMin, profile.bottomWidthMax);
-        const d = this._rand(profile.depthMin, profile.depthMax);
-
-        // For inverted trapezoid, swap top and bottom
-        let topW, botW, topD, botD;
-        if (profile.shape === 'invertedTrapezoid') {
-            topW = bw;  
-            botW = tw;  
-            topD = d;
-            botD = d * (botW / topW); // scale depth proportionally
-        } else {
-            topW = tw;  
-            botW = bw;  
-            // Make depth taper similarly to width for true trapezoid shape
-            topD = d * 0.6; // top depth is proportionally smaller
-            botD = d;
-        }
+        const ratios = this.getTrapezoidRatios(profile);
+        const h = 1;
+        const botW = 1;
+        const botD = 1;
+        const topW = ratios.width;
+        const topD = ratios.depth;
 
         const tw2 = topW / 2, bw2 = botW / 2;
         const td2 = topD / 2, bd2 = botD / 2;
@@ -309,184 +564,1167 @@ class CodeVisualizer {
         const mesh = new BABYLON.Mesh(name, this.scene);
         vertexData.applyToMesh(mesh);
 
-        mesh._trapHeight = h;
-        mesh._trapTopWidth = topW;
-        mesh._trapBottomWidth = botW;
-
         return mesh;
     }
 
     /**
-     * Create a building/structure for a code operation.
+     * Lay out the building/structure for a code operation.
      * 
      * Each type gets a unique trapezoid shape and size based on its
-     * importance in the execution hierarchy.
+     * importance in the execution hierarchy. Buildings are drawn by
+     * BuildingRenderer as instances; this only decides their dimensions.
      * 
      * @param {number} step - step index
-     * @param {object} position - BABYLON.Vector3 on the spiral path
-     * @param {object} color - {r, g, b, a}
+     * @param {object} position - BABYLON.Vector3 on the layout's path
      * @param {string} type - operation type (CALL, ASSIGN, etc.)
-     * @param {object} stepData - the parsed trace step (has depth, name, etc.)
      * @param {number} parentY - the Y offset contributed by the parent CALL building height
+     * @returns {object} building spec { step, type, position, rotationY, width, depth, height, capWidth }
      */
-    createBuilding(step, position, color, type, stepData, parentY) {
+    layoutBuilding(step, position, type, parentY) {
         const profile = this.getShapeProfile(type);
+        const ratios = this.getTrapezoidRatios(profile);
+        const inverted = profile.shape === 'invertedTrapezoid';
 
-        // Create the trapezoid mesh
-        const building = this.createTrapezoidMesh(`building_${step}`, profile);
+        // Always draw the random height so the other dimensions come out
+        // the same whichever size mode is used
+        const randomHeight = this._rand(profile.heightMin, profile.heightMax);
+        const magnitude = this.sizeMetrics ? this.sizeMetrics[step] : NaN;
+        const height = isNaN(magnitude)
+            ? randomHeight
+            : profile.heightMin + magnitude * (profile.heightMax * this.sizeRange - profile.heightMin);
+        const width = inverted
+            ? this._rand(profile.topWidthMin, profile.topWidthMax)
+            : this._rand(profile.bottomWidthMin, profile.bottomWidthMax);
+        const d = this._rand(profile.depthMin, profile.depthMax);
+        const depth = inverted ? d / ratios.depth : d;
 
-        // Position: place on the spiral path.
+        // Position: place on the layout's path.
         // For non-CALL operations, offset upward by their parent's height
         // so they visually "build off" the parent CALL.
-        building.position = position.clone();
+        const base = position.clone();
         if (type !== 'CALL' && parentY > 0) {
-            building.position.y += parentY * 0.3; // partial stack on parent
+            base.y += parentY * 0.3; // partial stack on parent
         }
 
-        // Slight random rotation for organic feel
-        building.rotation.y = Math.random() * 0.3 - 0.15;
+        return {
+            step: step,
+            type: type,
+            position: base,
+            // Slight random rotation for organic feel
+            rotationY: this._rand(-0.15, 0.15),
+            width: width,
+            depth: depth,
+            height: height,
+            // Glowing crown/cap on top
+            capWidth: width * ratios.width * 1.3
+        };
+    }
 
-        // Create stained glass material
-        const material = this.createStainedGlassMaterial(`mat_${step}`, color);
-        building.material = material;
+    /**
+     * Lay out every building of the trace and hand them to the renderer.
+     * Children "build off" the CALL that opened their frame.
+     */
+    layoutBuildings() {
+        this.buildings = [];
+        this.random = new SeededRandom(this.seed);
+        this.sizeMetrics = this.computeSizeMetrics(this.sizeMode);
+        this.trace.forEach((step, index) => {
+            const parentCall = this.callTree.parentCallOf(index);
+            const parentHeight = parentCall !== null ? this.buildings[parentCall].height : 0;
+            this.buildings.push(this.layoutBuilding(index, this.pathPoints[index], step.type, parentHeight));
+        });
+        this.renderer.build(this.buildings);
 
-        // Add a glowing crown/cap on top
-        const capHeight = 0.15;
-        const capWidth = building._trapTopWidth * 1.3;
-        const cap = BABYLON.MeshBuilder.CreateBox(
-            `cap_${step}`,
-            { height: capHeight, width: capWidth, depth: capWidth },
-            this.scene
-        );
-        cap.position = building.position.clone();
-        cap.position.y += building._trapHeight + capHeight / 2;
-        if (type !== 'CALL' && parentY > 0) {
-            cap.position.y += parentY * 0.3;
+        if (this.twinOffset) {
+            if (!this.twinRenderer) {
+                this.twinRenderer = new BuildingRenderer(this);
+            }
+            this.twinRenderer.build(this.buildings.map(spec => ({
+                ...spec,
+                position: spec.position.add(this.twinOffset)
+            })));
+        } else if (this.twinRenderer) {
+            this.twinRenderer.clear();
+        }
+    }
+
+    /**
+     * Per-step magnitudes in [0, 1] that drive building heights in the
+     * data-driven size modes, on a log scale relative to the largest in the
+     * trace. Steps with nothing to measure get NaN and keep a random height.
+     * - 'value': the record's numeric value
+     * - 'children': steps run by a CALL before its RETURN, or by one
+     *   iteration for a LOOP record
+     * @param {string} mode - 'random', 'value' or 'children'
+     * @returns {Float32Array|null} null in 'random' mode
+     */
+    computeSizeMetrics(mode) {
+        if (mode !== 'value' && mode !== 'children') {
+            return null;
         }
-        const capMat = this.createStainedGlassMaterial(`capmat_${step}`, {
-            r: Math.min(color.r * 1.5, 1),
-            g: Math.min(color.g * 1.5, 1),
-            b: Math.min(color.b * 1.5, 1),
-            a: 0.9
+        const raw = new Float32Array(this.trace.length).fill(NaN);
+        this.trace.forEach((step, index) => {
+            if (mode === 'value') {
+                if (typeof step.value === 'number') {
+                    raw[index] = Math.log1p(Math.abs(step.value));
+                }
+            } else if (step.type === 'CALL') {
+                const frame = this.callTree.frameOf[index];
+                const end = frame.returnStep !== null ? frame.returnStep : this.trace.length - 1;
+                raw[index] = Math.log1p(end - index);
+            } else {
+                raw[index] = 0;
+            }
         });
-        cap.material = capMat;
+        if (mode === 'children') {
+            // Every LOOP record starts an iteration
+            this.loops.loops.forEach(loop => loop.iterations.forEach(iteration => {
+                raw[iteration.startStep] = Math.log1p(iteration.endStep - iteration.startStep);
+            }));
+        }
 
-        // Animate building appearance (scale in)
-        building.scaling = new BABYLON.Vector3(0.01, 0.01, 0.01);
-        BABYLON.Animation.CreateAndStartAnimation(
-            `anim_${step}`,
-            building,
-            "scaling",
-            60,
-            30,
-            new BABYLON.Vector3(0.01, 0.01, 0.01),
-            new BABYLON.Vector3(1, 1, 1),
-            BABYLON.Animation.ANIMATIONLOOPMODE_CONSTANT
-        );
+        let max = 0;
+        raw.forEach(value => {
+            if (value > max) {
+                max = value;
+            }
+        });
+        return max > 0 ? raw.map(value => value / max) : raw.fill(NaN);
+    }
 
-        cap.scaling = new BABYLON.Vector3(0.01, 0.01, 0.01);
-        BABYLON.Animation.CreateAndStartAnimation(
-            `animCap_${step}`,
-            cap,
-            "scaling",
-            60,
-            30,
-            new BABYLON.Vector3(0.01, 0.01, 0.01),
-            new BABYLON.Vector3(1, 1, 1),
-            BABYLON.Animation.ANIMATIONLOOPMODE_CONSTANT
+    /**
+     * Visualize parsed code trace
+     * @param {string} codeTrace - raw trace text, in any format the
+     *     importers read (see TraceImporter)
+     * @param {string} [name] - display name of the trace (e.g. its file
+     *     name, whose extension helps detect the format)
+     */
+    visualize(codeTrace, name) {
+        this._unload(name || null, CodeParser.hashTrace(codeTrace));
+        this.traceSource = { text: codeTrace, name: name || null };
+
+        // Parse the code. Malformed lines are reported, not rendered, and so
+        // are unbalanced CALL/RETURN pairs.
+        const { steps: trace, format } = this.importers.parse(this.parser, codeTrace, name);
+        this.traceFormat = format;
+        this.callTree = new CallTree(trace).finish();
+        this.updateDiagnostics(
+            [...this.parser.errors, ...this.callTree.errors],
+            [...this.parser.warnings, ...this.callTree.warnings]
         );
+        this._show(trace);
+    }
+
+    /**
+     * Compare two traces of the same program (see TraceDiff) and show the
+     * aligned result as one trace: every row of the alignment is a step.
+     * Matching steps are dimmed; changed values, missing and extra steps
+     * stand out. In 'twin' mode (see setDiffMode) the compared trace gets
+     * its own spiral beside the reference's.
+     * @param {{text: string, name: string}} reference - e.g. the model solution
+     * @param {{text: string, name: string}} candidate - e.g. a student's trace
+     */
+    compare(reference, candidate) {
+        this._unload(`${reference.name} vs ${candidate.name}`,
+            CodeParser.hashTrace(`${reference.text}\n${candidate.text}`));
+        this.traceSource = reference;
+        this.compareSource = candidate;
+
+        // Problems are reported per input trace; the aligned trace itself
+        // may pair CALLs and RETURNs oddly where the traces differ
+        const errors = [];
+        const warnings = [];
+        const [traceA, traceB] = [reference, candidate].map(({ text, name }) => {
+            const trace = this.importers.parse(this.parser, text, name).steps;
+            const tree = new CallTree(trace).finish();
+            const label = diagnostic => ({ ...diagnostic, message: `${name}: ${diagnostic.message}` });
+            errors.push(...this.parser.errors.map(label), ...tree.errors.map(label));
+            warnings.push(...this.parser.warnings.map(label), ...tree.warnings.map(label));
+            return trace;
+        });
+        this.updateDiagnostics(errors, warnings);
+
+        this.diff = new TraceDiff(traceA, traceB);
+        const trace = this.diff.mergedTrace();
+        this.callTree = new CallTree(trace).finish();
+        this._show(trace);
+    }
 
-        // Subtle floating animation
-        const floatAnim = new BABYLON.Animation(
-            `float_${step}`,
-            "position.y",
-            30,
-            BABYLON.Animation.ANIMATIONTYPE_FLOAT,
-            BABYLON.Animation.ANIMATIONLOOPMODE_CYCLE
+    /**
+     * Show the aligned traces overlaid on one spiral ('overlay') or on two
+     * spirals side by side ('twin')
+     */
+    setDiffMode(mode) {
+        this.diffMode = mode;
+        this.relayout();
+    }
+
+    /**
+     * Start a live trace that arrives in pieces, e.g. from a running
+     * program (see TraceStream). Feed it with appendText() and close it
+     * with endStream(). Streamed steps are added to the scene as they
+     * arrive; with the spiral, helix and street layouts the path grows
+     * without rebuilding what is already drawn.
+     * @param {string} [name] - display name of the trace
+     */
+    beginStream(name) {
+        this._unload(name || null, CodeParser.hashTrace(name || ''));
+        this.streaming = true;
+        this.streamText = '';
+        this.streamLastRelayout = 0;
+        this.parser.beginStream();
+        this.updateDiagnostics([], []);
+
+        // The analyses follow the trace array as steps are added to it
+        this.random = new SeededRandom(this.seed);
+        this.sizeMetrics = null;
+        this.callTree = new CallTree(this.trace);
+        this.memory = new MemoryModel(this.trace);
+        this.heap = new HeapAnalyzer(this.trace);
+        this.heapProblems = [];
+        this.loops = new LoopAnalyzer(this.trace, this.callTree);
+        this.updateStats(0);
+    }
+
+    /**
+     * Add the next piece of a live trace. Complete lines are parsed now and
+     * shown with the next batch; a line cut off at the end of the piece
+     * waits for the rest of it.
+     * @param {string} text
+     */
+    appendText(text) {
+        if (!this.streaming) {
+            return;
+        }
+        this.streamText += text;
+        this.streamQueue.push(...this.parser.parseChunk(text));
+        if (this.streamQueue.length > 0 && this.streamTimer === null) {
+            this.streamTimer = setTimeout(() => this._flushStream(false), this.streamInterval);
+        }
+    }
+
+    /**
+     * Finish a live trace: parse its last line, report what is still
+     * unbalanced and lay it out like a trace loaded in one piece. The seed
+     * picked when the stream began is kept, so buildings keep their shapes.
+     */
+    endStream() {
+        if (!this.streaming) {
+            return;
+        }
+        this.streamQueue.push(...this.parser.endStream());
+        this._flushStream(true);
+        this.streaming = false;
+        this.callTree.finish();
+        this.loops.finish();
+        this.updateDiagnostics(
+            [...this.parser.errors, ...this.callTree.errors],
+            [...this.parser.warnings, ...this.callTree.warnings]
         );
-        const baseY = building.position.y;
-        const keys = [
-            { frame: 0, value: baseY },
-            { frame: 60, value: baseY + 0.15 },
-            { frame: 120, value: baseY }
-        ];
-        floatAnim.setKeys(keys);
-        building.animations.push(floatAnim);
-        this.scene.beginAnimation(building, 0, 120, true);
+        this.traceSource = { text: this.streamText, name: this.traceName };
+        this.traceHash = CodeParser.hashTrace(this.streamText);
+        this.streamText = '';
 
-        this.buildings.push({ mesh: building, cap: cap, data: step, type: type, height: building._trapHeight });
-        return building._trapHeight;
+        // A growing layout hangs from step 0; the final one may stand
+        // elsewhere, so the camera moves along with it
+        const before = this.pathPoints ? this.pathPoints[0].y : 0;
+        this.relayout();
+        if (this.pathPoints) {
+            this.camera.target.y += this.pathPoints[0].y - before;
+        }
+        this.updateStats(this.trace.length);
+        this.appendListeners.forEach(listener => listener());
     }
 
     /**
-     * Visualize parsed code trace
+     * Register a listener called after streamed steps were added to the
+     * trace
      */
-    visualize(codeTrace) {
-        // Clear existing buildings
-        this.buildings.forEach(b => {
-            b.mesh.dispose();
-            b.cap.dispose();
+    onAppend(listener) {
+        this.appendListeners.push(listener);
+    }
+
+    /**
+     * Add the queued streamed steps to the trace and the scene. Layouts
+     * that can grow get new buildings and path pieces; any other layout is
+     * laid out again, at most once per streamRelayoutInterval.
+     * @param {boolean} force - flush now even if a relayout is not yet due
+     */
+    _flushStream(force) {
+        clearTimeout(this.streamTimer);
+        this.streamTimer = null;
+        const growing = this.layouts.get(this.layoutName).incremental === true &&
+            !this.coilLoops && this.sizeMode === 'random';
+        const wait = this.streamLastRelayout + this.streamRelayoutInterval - performance.now();
+        if (!growing && !force && wait > 0 && this.trace.length > 0) {
+            this.streamTimer = setTimeout(() => this._flushStream(false), wait);
+            return;
+        }
+        const steps = this.streamQueue;
+        this.streamQueue = [];
+        if (steps.length === 0) {
+            return;
+        }
+
+        const from = this.trace.length;
+        steps.forEach(step => {
+            this.trace.push(step);
+            this.callTree.record(step);
+            this.memory.record(step);
+            this.heap.record(step);
+            this.loops.record(step);
         });
+        // Blocks freed by the new steps are no longer leaks
+        this.heapProblems = this.heap.allProblems();
+        this.heapOverlayKey = null;
+        const hidden = new Uint8Array(this.trace.length);
+        hidden.set(this.hiddenSteps);
+        this.hiddenSteps = hidden;
+
+        if (growing) {
+            this._growLayout(from);
+        } else {
+            this.streamLastRelayout = performance.now();
+            this.relayout();
+        }
+        this._updateHeapOverlays();
+        if (from === 0) {
+            this.camera.setTarget(this.pathPoints[0].clone());
+        }
+        this.playback.extend(this.trace.length);
+        this.updateDiagnostics(
+            [...this.parser.errors, ...this.callTree.errors],
+            [...this.parser.warnings, ...this.callTree.warnings]
+        );
+        this.updateStats(this.trace.length);
+        this.appendListeners.forEach(listener => listener());
+    }
+
+    /**
+     * Lay out steps appended to the trace from `from` on and add their
+     * buildings and path pieces, leaving everything already drawn alone
+     */
+    _growLayout(from) {
+        const { points, segments } = this._computeLayout(this.trace, true);
+        this.pathPoints = points;
+
+        for (let index = from; index < this.trace.length; index++) {
+            const parentCall = this.callTree.parentCallOf(index);
+            const parentHeight = parentCall !== null ? this.buildings[parentCall].height : 0;
+            this.buildings.push(this.layoutBuilding(index, points[index], this.trace[index].type, parentHeight));
+        }
+        this.renderer.append(this.buildings);
+        this._applyColors();
+
+        const material = this.pathMaterials[0] || this._createPathMaterial();
+        if (this.pathMeshes.length >= this.streamMaxPathPieces) {
+            // Too many pieces: draw the whole path again in one go
+            this.pathMeshes.forEach(mesh => mesh.dispose());
+            this.pathMeshes = this._createTubes(segments, material, this.trace.length);
+        } else {
+            // Each piece overlaps the previous one by a point so the path
+            // stays continuous
+            const pieces = segments.map((segment, index) =>
+                segment.slice(Math.max(0, (this.streamPathDrawn[index] || 0) - 1)));
+            this.pathMeshes.push(...this._createTubes(pieces, material, this.trace.length));
+        }
+        this.streamPathDrawn = segments.map(segment => segment.length);
+    }
+
+    /**
+     * Forget the current trace before loading another
+     * @param {string|null} name - display name of the next trace
+     * @param {number} hash - hash of the next trace, the default layout seed
+     */
+    _unload(name, hash) {
+        this.traceName = name;
+        this.traceFormat = null;
+        this.traceHash = hash;
+        clearTimeout(this.streamTimer);
+        this.streamTimer = null;
+        this.streamQueue = [];
+        this.streaming = false;
+        this.seed = this.seedOverride !== null ? this.seedOverride : this.traceHash;
+
+        // Clear the previous trace. Loading the playback controller with the
+        // new length also cancels any pending ticks from the old trace.
+        this.clearBuildings();
+        this.connectors.forEach(connector => connector.mesh && connector.mesh.dispose());
+        this.connectors.clear();
+        this.trace = [];
+        this.diff = null;
+        this.compareSource = null;
+        this.memory = new MemoryModel([]);
+        this.heap = new HeapAnalyzer([]);
+        this.heapProblems = [];
+        this.callTree = new CallTree([]);
+        this.loops = new LoopAnalyzer([], this.callTree);
+        this.collapsedLoops.clear();
+        this.hiddenSteps = new Uint8Array(0);
+        this.highlightedSteps = null;
+        this.filterMatches = null;
+        this.playback.load(0);
+        this.updateCallStack(-1);
+    }
+
+    /**
+     * Analyse and lay out a parsed trace whose call tree is already built,
+     * and start playing it
+     */
+    _show(trace) {
+        if (trace.length === 0) {
+            this.updateStats(0);
+            return;
+        }
+        this.trace = trace;
+        this.memory = new MemoryModel(trace);
+        this.heap = new HeapAnalyzer(trace);
+        this.heapProblems = this.heap.allProblems();
+        this.loops = new LoopAnalyzer(trace, this.callTree);
+        this.hiddenSteps = new Uint8Array(trace.length);
+
+        // Lay out the path (by default the descending spiral) and the
+        // buildings; playback decides which of them are shown
+        this.createPath(trace);
+        this.layoutBuildings();
+        this._applyColors();
+        this.playback.load(trace.length);
+        this.playback.play();
+
+        // Update camera target to the middle of the layout
+        this.camera.setTarget(this.layoutCenter.clone());
+
+        // Update stats
+        this.updateStats(trace.length);
+    }
+
+    /**
+     * Show the first `count` steps of the trace and hide the rest.
+     * Every building is laid out when the trace is loaded, so scrubbing back
+     * and forth only toggles instances and shapes stay the same. Steps that
+     * playback reveals scale in.
+     * @param {number} count - number of steps to show
+     */
+    showSteps(count) {
+        count = Math.max(0, Math.min(count, this.trace.length));
+        const from = Math.min(count, this.visibleCount);
+        const to = Math.max(count, this.visibleCount);
+        const revealing = count > this.visibleCount;
+        this.visibleCount = count;
+        this._applyVisibility(from, to, revealing);
+        this._updateLoopSummaries();
+        this._updateHeapOverlays();
+        this.updateCallStack(count - 1);
+    }
+
+    /**
+     * Show or hide the buildings of steps [from, to) based on the playback
+     * cursor and collapsed loops
+     * @param {boolean} [animate] - scale newly shown buildings in
+     */
+    _applyVisibility(from, to, animate = false) {
+        to = Math.min(to, this.buildings.length);
+        const twin = this.twinOffset ? this.twinRenderer : null;
+        for (let i = from; i < to; i++) {
+            const visible = i < this.visibleCount && this.hiddenSteps[i] === 0;
+            if (twin) {
+                // Each spiral shows only the steps its own trace has
+                const row = this.diff.rows[i];
+                this.renderer.setVisible(i, visible && row.a !== null, animate);
+                twin.setVisible(i, visible && row.b !== null, animate);
+            } else {
+                this.renderer.setVisible(i, visible, animate);
+            }
+        }
+        this.renderer.flush();
+        if (twin) {
+            twin.flush();
+        }
+    }
+
+    /**
+     * Dispose every building, path tube, loop summary, pointer arc and
+     * warning marker of the current layout. The trace, its analyses and
+     * connector definitions are kept.
+     */
+    clearBuildings() {
+        this.renderer.clear();
         this.buildings = [];
-        
-        if (this.spiralPath) {
-            this.scene.getMeshByName("spiralPath")?.dispose();
-        }
-
-        // Parse the code
-        const trace = this.parser.parse(codeTrace);
-        
-        // Create descending spiral path
-        const pathPoints = this.createSpiralPath(trace.length);
-
-        // Track the current parent CALL's building height so children
-        // can "build off" of it visually.
-        let currentCallHeight = 0;
-
-        // Create buildings along the path
-        trace.forEach((step, index) => {
-            const position = pathPoints[index];
-            const color = this.parser.getColorForType(step.type);
-            
-            setTimeout(() => {
-                const builtHeight = this.createBuilding(
-                    index, position, color, step.type, step, currentCallHeight
+        this.visibleCount = 0;
+        this.pathMeshes.forEach(mesh => mesh.dispose());
+        this.pathMaterials.forEach(material => material.dispose());
+        this.pathMeshes = [];
+        this.pathMaterials = [];
+        this.loopSummaries.forEach(summary => {
+            summary.mesh.dispose();
+            summary.label.dispose();
+        });
+        this.loopSummaries.clear();
+        this._clearHeapOverlays();
+    }
+
+    /**
+     * Rebuild the path and buildings for the current trace, e.g. after a
+     * layout option changed. The playback cursor is kept.
+     */
+    relayout() {
+        if (this.trace.length === 0) {
+            return;
+        }
+        const count = this.visibleCount;
+        this.clearBuildings();
+        this.createPath(this.trace);
+        this.layoutBuildings();
+        this._applyColors();
+        this.showSteps(count);
+        [...this.connectors].forEach(([id, connector]) => {
+            this.showConnector(id, connector.steps, connector.color);
+        });
+        this.layoutListeners.forEach(listener => listener());
+    }
+
+    /**
+     * Register a listener called after relayout() has moved the buildings
+     */
+    onLayout(listener) {
+        this.layoutListeners.push(listener);
+    }
+
+    /**
+     * Wrap each loop's iterations into a tight coil on the path
+     * @param {boolean} enabled
+     */
+    setCoilLoops(enabled) {
+        this.coilLoops = enabled;
+        this.relayout();
+    }
+
+    /**
+     * Switch to another layout strategy. Buildings glide from their old
+     * places to the new ones and the camera swings round to frame the
+     * result.
+     * @param {string} id - layout id, e.g. 'spiral', 'helix' or 'city'
+     */
+    setLayout(id) {
+        this.layoutName = this.layouts.get(id).id;
+        this._glideToLayout(true);
+    }
+
+    /**
+     * Settings of a layout, defaults included
+     */
+    getLayoutOptions(id = this.layoutName) {
+        return { ...this.layouts.defaults(id), ...this.layoutOptions[id] };
+    }
+
+    /**
+     * Change one setting of the current layout, e.g. the spiral's radius
+     * growth
+     */
+    setLayoutOption(key, value) {
+        this.layoutOptions[this.layoutName] = { ...this.layoutOptions[this.layoutName], [key]: value };
+        this._glideToLayout(false);
+    }
+
+    /**
+     * Put every setting of the current layout back to its default
+     */
+    resetLayoutOptions() {
+        delete this.layoutOptions[this.layoutName];
+        this._glideToLayout(false);
+    }
+
+    /**
+     * Relayout, letting the buildings glide over from where they stand now
+     * while the new paths fade in
+     * @param {boolean} frame - also move the camera to frame the new layout
+     */
+    _glideToLayout(frame) {
+        const from = this.buildings.map(building => building.position);
+        this.relayout();
+        if (this.trace.length === 0) {
+            return;
+        }
+        this.renderer.moveFrom(from);
+        if (this.scene.animationsEnabled) {
+            const frames = Math.round(this.renderer.moveDuration * 60 / 1000);
+            this.pathMaterials.forEach(material => {
+                BABYLON.Animation.CreateAndStartAnimation(
+                    "pathFade", material, "alpha", 60, frames, 0, material.alpha,
+                    BABYLON.Animation.ANIMATIONLOOPMODE_CONSTANT
                 );
-                // When we encounter a CALL, update the parent height
-                if (step.type === 'CALL') {
-                    currentCallHeight = builtHeight;
-                }
-            }, index * 100); // Stagger the creation
+            });
+        }
+        if (frame) {
+            const radius = Math.min(Math.max(this.layoutExtent * 1.5, this.camera.lowerRadiusLimit),
+                this.camera.upperRadiusLimit);
+            this._moveCamera(this.layoutCenter.clone(), radius, 60);
+        }
+    }
+
+    /**
+     * Fade every building except the given steps, e.g. the steps produced
+     * by one source line. Pass null to show every building normally again.
+     * @param {Iterable<number>|null} steps
+     */
+    highlightSteps(steps) {
+        this.highlightedSteps = steps ? new Set(steps) : null;
+        this._applyColors();
+    }
+
+    /**
+     * Fade every building the search filter does not match
+     * @param {Uint8Array|null} matches - 1 per matching step, or null to
+     *   clear the filter
+     */
+    setFilter(matches) {
+        this.filterMatches = matches;
+        this._applyColors();
+    }
+
+    /**
+     * Tint every building: steps outside the highlight or the filter fade,
+     * and when comparing traces the diff colors the rest
+     */
+    _applyColors() {
+        const normal = { r: 1, g: 1, b: 1, a: 1 };
+        const faded = { r: 0.35, g: 0.35, b: 0.35, a: 0.2 };
+        const renderers = this.twinOffset ? [this.renderer, this.twinRenderer] : [this.renderer];
+        for (let i = 0; i < this.buildings.length; i++) {
+            const lit = (!this.highlightedSteps || this.highlightedSteps.has(i)) &&
+                (!this.filterMatches || this.filterMatches[i] === 1);
+            let color = lit ? normal : faded;
+            if (lit && this.diff) {
+                color = this.diffColors[this.diff.rows[i].kind];
+            }
+            renderers.forEach(renderer => renderer.setColor(i, color));
+        }
+        renderers.forEach(renderer => renderer.flush());
+    }
+
+    /**
+     * Use a fixed layout seed, or null to seed from the trace content
+     * @param {number|null} seed
+     */
+    setSeed(seed) {
+        this.seedOverride = seed === null ? null : seed >>> 0;
+        this.seed = this.seedOverride !== null ? this.seedOverride : this.traceHash;
+        this.relayout();
+        this.updateStats(this.trace.length);
+    }
+
+    /**
+     * Choose how building heights are decided: 'random', or derived from
+     * the record's 'value' or its number of 'children' steps
+     */
+    setSizeMode(mode) {
+        this.sizeMode = mode;
+        this.relayout();
+    }
+
+    /**
+     * Collapse a loop into a single summary structure, or expand it back
+     * @param {number} loopId - index into this.loops.loops
+     * @returns {boolean} true if the loop is now collapsed
+     */
+    toggleLoop(loopId) {
+        const loop = this.loops.loops[loopId];
+        if (!loop) {
+            return false;
+        }
+        const collapse = !this.collapsedLoops.has(loopId);
+        if (collapse) {
+            this.collapsedLoops.add(loopId);
+        } else {
+            this.collapsedLoops.delete(loopId);
+        }
+        for (let i = loop.startStep; i <= loop.endStep; i++) {
+            this.hiddenSteps[i] += collapse ? 1 : -1;
+        }
+        this._applyVisibility(loop.startStep, loop.endStep + 1);
+        this._updateLoopSummaries();
+        this._updateHeapOverlays();
+        return collapse;
+    }
+
+    /**
+     * Collapse every outermost loop, or expand every loop
+     */
+    setAllLoopsCollapsed(collapsed) {
+        this.loops.loops.forEach(loop => {
+            const isCollapsed = this.collapsedLoops.has(loop.id);
+            if (collapsed ? (loop.parent === null && !isCollapsed) : isCollapsed) {
+                this.toggleLoop(loop.id);
+            }
         });
+    }
 
-        // Update camera target to the middle of the spiral
-        const midHeight = ((trace.length - 1) * 0.5) / 2;
-        this.camera.setTarget(new BABYLON.Vector3(0, midHeight, 0));
+    /**
+     * Show a summary structure for each collapsed loop that playback has
+     * reached and that is not hidden inside another collapsed loop
+     */
+    _updateLoopSummaries() {
+        this.collapsedLoops.forEach(loopId => {
+            const loop = this.loops.loops[loopId];
+            const visible = loop.startStep < this.visibleCount && this.hiddenSteps[loop.startStep] === 1;
+            let summary = this.loopSummaries.get(loopId);
+            if (!summary && visible) {
+                summary = this.createLoopSummary(loop);
+                this.loopSummaries.set(loopId, summary);
+            }
+            if (summary) {
+                summary.mesh.setEnabled(visible);
+                summary.label.setEnabled(visible);
+            }
+        });
+        this.loopSummaries.forEach((summary, loopId) => {
+            if (!this.collapsedLoops.has(loopId)) {
+                summary.mesh.dispose();
+                summary.label.dispose();
+                this.loopSummaries.delete(loopId);
+            }
+        });
+    }
 
-        // Update stats
-        this.updateStats(trace.length);
+    /**
+     * Build the structure standing in for a collapsed loop: a hexagonal drum
+     * in the LOOP color whose height grows with the iteration count, and a
+     * billboard label listing the iterations and how variables changed.
+     */
+    createLoopSummary(loop) {
+        const color = this.parser.getColorForType('LOOP');
+        const iterations = loop.iterations.length;
+        const height = 2 + Math.log2(iterations + 1);
+        const position = this.pathPoints[loop.startStep];
+
+        const mesh = BABYLON.MeshBuilder.CreateCylinder(`loopSummary_${loop.id}`, {
+            height: height,
+            diameterTop: 1.6,
+            diameterBottom: 2.4,
+            tessellation: 6
+        }, this.scene);
+        mesh.position = position.add(new BABYLON.Vector3(0, height / 2, 0));
+        mesh.material = this.createMaterial(`loopSummaryMat_${loop.id}`, color);
+        mesh.metadata = { step: loop.startStep, loop: loop.id };
+        mesh.onDisposeObservable.add(() => mesh.material.dispose());
+
+        const changes = this.loops.summarize(loop, this.memory)
+            .map(change => `${change.name} ${change.before === undefined ? '?' : change.before}→${change.after}`);
+        const lines = [
+            `${loop.name} ×${iterations} (line ${loop.line})`,
+            changes.slice(0, 3).join(', ') + (changes.length > 3 ? ', …' : '')
+        ];
+
+        const label = BABYLON.MeshBuilder.CreatePlane(`loopLabel_${loop.id}`, { width: 6, height: 1.5 }, this.scene);
+        label.position = position.add(new BABYLON.Vector3(0, height + 1.2, 0));
+        label.billboardMode = BABYLON.Mesh.BILLBOARDMODE_ALL;
+        label.isPickable = false;
+        const texture = new BABYLON.DynamicTexture(`loopLabelTex_${loop.id}`, { width: 1024, height: 256 }, this.scene, true);
+        texture.hasAlpha = true;
+        const context = texture.getContext();
+        context.clearRect(0, 0, 1024, 256);
+        context.fillStyle = 'rgba(0, 0, 0, 0.6)';
+        context.fillRect(0, 0, 1024, 256);
+        texture.drawText(lines[0], 30, 100, 'bold 64px Segoe UI, sans-serif', '#ffd700', null, true, false);
+        texture.drawText(lines[1], 30, 200, '52px Segoe UI, sans-serif', '#ffffff', null, true, true);
+        const labelMaterial = new BABYLON.StandardMaterial(`loopLabelMat_${loop.id}`, this.scene);
+        labelMaterial.diffuseTexture = texture;
+        labelMaterial.emissiveColor = new BABYLON.Color3(1, 1, 1);
+        labelMaterial.disableLighting = true;
+        labelMaterial.backFaceCulling = false;
+        label.material = labelMaterial;
+        label.onDisposeObservable.add(() => {
+            labelMaterial.dispose();
+            texture.dispose();
+        });
+
+        return { mesh, label };
+    }
+
+    /**
+     * Find the trace step under a screen position
+     * @param {number} x - canvas-relative x (e.g. scene.pointerX)
+     * @param {number} y - canvas-relative y
+     * @returns {number|null} step index of the visible building or cap hit
+     */
+    pickStep(x, y) {
+        const ray = this.scene.createPickingRay(x, y, BABYLON.Matrix.Identity(), this.camera);
+        let building = this.renderer.pick(ray);
+        if (this.twinOffset) {
+            const twin = this.twinRenderer.pick(ray);
+            if (twin && (!building || twin.distance < building.distance)) {
+                building = twin;
+            }
+        }
+        // Stand-in meshes such as loop summaries carry their step in metadata
+        const pick = this.scene.pickWithRay(ray, mesh =>
+            mesh.isEnabled() && mesh.metadata && mesh.metadata.step !== undefined
+        );
+        if (pick && pick.hit && (!building || pick.distance < building.distance)) {
+            return pick.pickedMesh.metadata.step;
+        }
+        return building ? building.step : null;
+    }
+
+    /**
+     * World-space bounding box of a step's building and cap at full size
+     * (ignoring the scale-in animation and the slight rotation)
+     * @returns {{min: BABYLON.Vector3, max: BABYLON.Vector3}|null}
+     */
+    getStepBounds(step) {
+        let spec = this.buildings[step];
+        if (!spec) {
+            return null;
+        }
+        if (this.twinOffset && this.diff.rows[step].a === null) {
+            // Only the compared trace has this step, on the twin spiral
+            spec = this.twinRenderer.specs[step];
+        }
+        const halfWidth = Math.max(spec.width, spec.capWidth) / 2;
+        const halfDepth = Math.max(spec.depth, spec.capWidth) / 2;
+        const top = spec.height + this.renderer.capHeight;
+        return {
+            min: spec.position.add(new BABYLON.Vector3(-halfWidth, 0, -halfDepth)),
+            max: spec.position.add(new BABYLON.Vector3(halfWidth, top, halfDepth))
+        };
+    }
+
+    /**
+     * Smoothly move the camera target to a step's building and zoom in,
+     * leaving follow or ride mode for orbit so the camera stays there
+     */
+    focusOnStep(step) {
+        const bounds = this.getStepBounds(step);
+        if (!bounds) {
+            return;
+        }
+        this.cameras.setMode('orbit');
+        const center = BABYLON.Vector3.Center(bounds.min, bounds.max);
+        this._moveCamera(center, Math.max(this.camera.lowerRadiusLimit, 15), 30);
+    }
+
+    /**
+     * Ease the camera to a new target and distance
+     * @param {number} frames - duration in frames at 60 fps
+     */
+    _moveCamera(target, radius, frames) {
+        if (!this.scene.animationsEnabled) {
+            this.camera.setTarget(target);
+            this.camera.radius = radius;
+            return;
+        }
+        const ease = new BABYLON.CubicEase();
+        ease.setEasingMode(BABYLON.EasingFunction.EASINGMODE_EASEINOUT);
+        BABYLON.Animation.CreateAndStartAnimation(
+            "focusTarget", this.camera, "target", 60, frames,
+            this.camera.target.clone(), target,
+            BABYLON.Animation.ANIMATIONLOOPMODE_CONSTANT, ease
+        );
+        BABYLON.Animation.CreateAndStartAnimation(
+            "focusRadius", this.camera, "radius", 60, frames,
+            this.camera.radius, radius,
+            BABYLON.Animation.ANIMATIONLOOPMODE_CONSTANT, ease
+        );
+    }
+
+    /**
+     * Point just above a step's building cap
+     * @returns {BABYLON.Vector3}
+     */
+    getStepAnchor(step) {
+        const bounds = this.getStepBounds(step);
+        const center = BABYLON.Vector3.Center(bounds.min, bounds.max);
+        return new BABYLON.Vector3(center.x, bounds.max.y + 0.3, center.z);
+    }
+
+    /**
+     * Draw a glowing ribbon through the caps of several steps, e.g. every
+     * step that writes the same address. Replaces an existing connector
+     * with the same id.
+     * @param {string} id - connector key
+     * @param {Array<number>} steps - step indices in trace order
+     * @param {object} color - {r, g, b}
+     */
+    showConnector(id, steps, color) {
+        this.removeConnector(id);
+        this.connectors.set(id, { mesh: null, steps, color });
+        if (steps.length < 2) {
+            return null;
+        }
+        const points = steps.map(step => this.getStepAnchor(step));
+        const ribbon = BABYLON.MeshBuilder.CreateTube(`connector_${id}`, {
+            path: points,
+            radius: 0.08,
+            tessellation: 8
+        }, this.scene);
+        const material = new BABYLON.StandardMaterial(`connectorMat_${id}`, this.scene);
+        material.diffuseColor = new BABYLON.Color3(color.r, color.g, color.b);
+        material.emissiveColor = new BABYLON.Color3(color.r * 0.8, color.g * 0.8, color.b * 0.8);
+        material.alpha = 0.85;
+        ribbon.material = material;
+        ribbon.isPickable = false;
+        ribbon.onDisposeObservable.add(() => material.dispose());
+        this.connectors.get(id).mesh = ribbon;
+        return ribbon;
+    }
+
+    /**
+     * Remove a connector drawn by showConnector
+     */
+    removeConnector(id) {
+        const existing = this.connectors.get(id);
+        if (existing) {
+            if (existing.mesh) {
+                existing.mesh.dispose();
+            }
+            this.connectors.delete(id);
+        }
+    }
+
+    /**
+     * Draw the pointer arcs and heap warning markers for the steps shown
+     * now. Each PTR_ASSIGN or DEREF whose address is known gets an arc from
+     * its tip to the building that declared or allocated the target, with
+     * an arrowhead at the target; arcs into freed blocks are drawn in the
+     * warning color. Markers float over steps that use freed memory or free
+     * a block twice, and over MALLOCs that are never freed.
+     */
+    _updateHeapOverlays() {
+        const shown = step => step < this.visibleCount && this.hiddenSteps[step] === 0;
+        const arcs = this._visibleTail(this.heap.pointers, this.maxPointerArcs,
+            pointer => shown(pointer.step) && shown(pointer.target) && this.buildings[pointer.step] !== undefined);
+        const markers = this._visibleTail(this.heapProblems, this.maxHeapMarkers,
+            problem => shown(problem.step) && this.buildings[problem.step] !== undefined);
+        const key = arcs.map(pointer => pointer.step).join(',') + '|' +
+            markers.map(problem => `${problem.step}${problem.kind}`).join(',');
+        if (key === this.heapOverlayKey) {
+            return;
+        }
+        this._clearHeapOverlays();
+        this.heapOverlayKey = key;
+
+        if (arcs.length > 0) {
+            const warning = this.markerColors['use-after-free'];
+            const lines = [];
+            const colors = [];
+            arcs.forEach(pointer => {
+                const dangling = pointer.block && pointer.block.freeStep !== null &&
+                    pointer.block.freeStep < pointer.step;
+                const color = dangling ? warning : this.parser.getColorForType(this.trace[pointer.step].type);
+                const color4 = new BABYLON.Color4(color.r, color.g, color.b, 1);
+                this._pointerArc(pointer.step, pointer.target).forEach(line => {
+                    lines.push(line);
+                    colors.push(line.map(() => color4));
+                });
+            });
+            if (lines.length > 0) {
+                this.pointerArcs = BABYLON.MeshBuilder.CreateLineSystem("pointerArcs", {
+                    lines: lines,
+                    colors: colors
+                }, this.scene);
+                this.pointerArcs.isPickable = false;
+            }
+        }
+
+        const byKind = new Map();
+        markers.forEach(problem => {
+            if (!byKind.has(problem.kind)) {
+                byKind.set(problem.kind, []);
+            }
+            byKind.get(problem.kind).push(problem.step);
+        });
+        byKind.forEach((steps, kind) => {
+            // An upside-down pyramid hovering over the cap, like a map pin
+            const mesh = BABYLON.MeshBuilder.CreateCylinder(`heapMarkers_${kind}`, {
+                height: 1.2,
+                diameterTop: 0.9,
+                diameterBottom: 0,
+                tessellation: 4
+            }, this.scene);
+            const color = this.markerColors[kind];
+            const material = new BABYLON.StandardMaterial(`heapMarkerMat_${kind}`, this.scene);
+            material.diffuseColor = new BABYLON.Color3(color.r, color.g, color.b);
+            material.emissiveColor = new BABYLON.Color3(color.r * 0.8, color.g * 0.8, color.b * 0.8);
+            mesh.material = material;
+            mesh.isPickable = false;
+            mesh.onDisposeObservable.add(() => material.dispose());
+            const matrices = new Float32Array(steps.length * 16);
+            steps.forEach((step, i) => {
+                const anchor = this.getStepAnchor(step);
+                BABYLON.Matrix.Translation(anchor.x, anchor.y + 1.2, anchor.z).copyToArray(matrices, i * 16);
+            });
+            mesh.thinInstanceSetBuffer("matrix", matrices, 16);
+            this.heapMarkers.push(mesh);
+        });
+    }
+
+    /**
+     * Points of a pointer arc from one step's building to another's: a
+     * curve rising with the distance it spans, and the two strokes of its
+     * arrowhead
+     * @returns {Array<Array<BABYLON.Vector3>>} polylines
+     */
+    _pointerArc(fromStep, toStep) {
+        const start = this.getStepAnchor(fromStep);
+        const end = this.getStepAnchor(toStep);
+        const distance = BABYLON.Vector3.Distance(start, end);
+        if (distance < 0.01) {
+            return [];
+        }
+        const middle = BABYLON.Vector3.Center(start, end);
+        middle.y = Math.max(start.y, end.y) + 1 + distance * 0.35;
+        const curve = BABYLON.Curve3.CreateQuadraticBezier(start, middle, end, 16).getPoints();
+
+        const direction = end.subtract(curve[curve.length - 2]).normalize();
+        let side = BABYLON.Vector3.Cross(direction, BABYLON.Axis.Y);
+        if (side.lengthSquared() < 1e-6) {
+            side = BABYLON.Axis.X.clone();
+        }
+        side.normalize().scaleInPlace(0.3);
+        const back = end.subtract(direction.scale(0.6));
+        return [curve, [back.add(side), end, back.subtract(side)]];
+    }
+
+    /**
+     * The last `max` items, in trace order, that are at or before the
+     * playback position and pass `visible`
+     * @param {Array<{step: number}>} items - ordered by step
+     */
+    _visibleTail(items, max, visible) {
+        let lo = 0;
+        let hi = items.length;
+        while (lo < hi) {
+            const mid = (lo + hi) >> 1;
+            if (items[mid].step < this.visibleCount) {
+                lo = mid + 1;
+            } else {
+                hi = mid;
+            }
+        }
+        const tail = [];
+        for (let i = lo - 1; i >= 0 && tail.length < max; i--) {
+            if (visible(items[i])) {
+                tail.push(items[i]);
+            }
+        }
+        return tail.reverse();
+    }
+
+    _clearHeapOverlays() {
+        if (this.pointerArcs) {
+            this.pointerArcs.dispose();
+            this.pointerArcs = null;
+        }
+        this.heapMarkers.forEach(mesh => mesh.dispose());
+        this.heapMarkers = [];
+        this.heapOverlayKey = null;
+    }
+
+    /**
+     * A page element by id; null when there is no page (under Node) or no
+     * such element, and the panel it would show is skipped
+     */
+    _element(id) {
+        return typeof document !== 'undefined' ? document.getElementById(id) : null;
     }
 
     /**
      * Update statistics display
      */
     updateStats(count) {
-        const statsElement = document.getElementById('stats');
+        const statsElement = this._element('stats');
         if (statsElement) {
             statsElement.innerHTML = `<strong>Visualizing:</strong><br>${count} execution steps`;
+            if (this.traceName) {
+                const nameLine = document.createElement('div');
+                nameLine.textContent = this.traceName;
+                statsElement.appendChild(nameLine);
+            }
+            if (count > 0 && this.traceFormat && this.traceFormat.id !== 'pipe') {
+                const formatLine = document.createElement('div');
+                formatLine.textContent = `Imported from ${this.traceFormat.name}`;
+                statsElement.appendChild(formatLine);
+            }
+            if (count > 0) {
+                const seedLine = document.createElement('div');
+                seedLine.textContent = `Seed ${this.seed}${this.seedOverride === null ? ' (from trace)' : ''}`;
+                statsElement.appendChild(seedLine);
+            }
+        }
+    }
+
+    /**
+     * Show the call stack at a step as a breadcrumb, outermost call first.
+     * Each crumb carries the step index of its CALL in `data-step`.
+     * @param {number} step - current step index (-1 for none)
+     */
+    updateCallStack(step) {
+        const element = this._element('callStack');
+        if (!element) {
+            return;
         }
+        element.innerHTML = '';
+        const frames = step >= 0 ? this.callTree.stackAt(step) : [];
+        element.style.display = frames.length > 0 ? 'block' : 'none';
+        frames.forEach((frame, index) => {
+            if (index > 0) {
+                element.appendChild(document.createTextNode(' › '));
+            }
+            const crumb = document.createElement('a');
+            crumb.href = '#';
+            crumb.dataset.step = String(frame.callStep);
+            const args = this.trace[frame.callStep].value;
+            crumb.textContent = args !== null ? `${frame.name}(${args})` : `${frame.name}()`;
+            element.appendChild(crumb);
+        });
     }
 
     /**
-     * Reset camera to default position — looking at the top of the spiral
+     * Show parser errors and warnings in the diagnostics panel
+     * @param {Array} errors - diagnostics with severity 'error'
+     * @param {Array} warnings - diagnostics with severity 'warning'
+     */
+    updateDiagnostics(errors, warnings) {
+        const panel = this._element('diagnostics');
+        if (!panel) {
+            return;
+        }
+        const list = panel.querySelector('ul');
+        const summary = panel.querySelector('.summary');
+        list.innerHTML = '';
+
+        const all = [...errors, ...warnings].sort((a, b) => a.line - b.line || a.column - b.column);
+        panel.style.display = all.length > 0 ? 'block' : 'none';
+        summary.textContent = `${errors.length} error(s), ${warnings.length} warning(s)`;
+
+        const maxShown = 50;
+        all.slice(0, maxShown).forEach(d => {
+            const item = document.createElement('li');
+            item.className = d.severity;
+            item.textContent = `Line ${d.line}:${d.column} — ${d.message}`;
+            item.title = d.text;
+            list.appendChild(item);
+        });
+        if (all.length > maxShown) {
+            const more = document.createElement('li');
+            more.textContent = `…and ${all.length - maxShown} more`;
+            list.appendChild(more);
+        }
+    }
+
+    /**
+     * Reset camera to default position — looking at the top of the spiral —
+     * in orbit mode
      */
     resetCamera() {
+        this.cameras.setMode('orbit');
         this.camera.setPosition(new BABYLON.Vector3(25, 30, 25));
         this.camera.setTarget(new BABYLON.Vector3(0, 10, 0));
     }
 
     /**
-     * Toggle animation
+     * Toggle the building scale-in and floating effects.
+     * Playback itself is controlled through `this.playback`.
      */
     toggleAnimation() {
         this.isAnimating = !this.isAnimating;
@@ -498,3 +1736,7 @@ class CodeVisualizer {
         return this.isAnimating;
     }
 }
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = CodeVisualizer;
+}
@@ -0,0 +1,88 @@
+/**
+ * Watch panel for Code Mosaic
+ * Shows the value of every variable at the current playback step, using the
+ * visualizer's MemoryModel. Clicking a row draws a ribbon through every
+ * building that touches that address.
+ */
+class WatchPanel {
+    /**
+     * @param {CodeVisualizer} visualizer - an initialized visualizer
+     */
+    constructor(visualizer) {
+        this.visualizer = visualizer;
+        this.panel = document.getElementById('watch');
+        this.table = document.getElementById('watchTable');
+        this.tracedAddress = null;
+        this.maxRows = 200;
+        this.ribbonColor = { r: 0.3, g: 0.9, b: 1 };
+    }
+
+    /**
+     * Re-render whenever the playback cursor changes
+     */
+    attach() {
+        this.visualizer.playback.onChange((playback) => {
+            if (playback.length === 0) {
+                this.tracedAddress = null;
+            }
+            this.render(playback.cursor - 1);
+        });
+        return this;
+    }
+
+    /**
+     * Show the memory state after a step
+     * @param {number} step - current step index (-1 before the first step)
+     */
+    render(step) {
+        const memory = this.visualizer.memory;
+        this.panel.style.display = memory.addresses.size > 0 ? 'block' : 'none';
+        this.table.innerHTML = '';
+
+        const header = this.table.insertRow();
+        ['Variable', 'Address', 'Value', 'Writes'].forEach(label => {
+            const th = document.createElement('th');
+            th.textContent = label;
+            header.appendChild(th);
+        });
+
+        const rows = step >= 0 ? memory.snapshot(step) : [];
+        rows.slice(0, this.maxRows).forEach(entry => {
+            const row = this.table.insertRow();
+            row.className = [
+                entry.changed ? 'changed' : '',
+                entry.address === this.tracedAddress ? 'traced' : ''
+            ].join(' ').trim();
+            row.title = `History: ${memory.historyAt(entry.address, step).join(' → ')}\nClick to trace this address`;
+            row.insertCell().textContent = entry.name;
+            row.insertCell().textContent = entry.address;
+            row.insertCell().textContent = String(entry.value);
+            row.insertCell().textContent = String(entry.writeCount);
+            row.addEventListener('click', () => this.toggleTrace(entry.address));
+        });
+        if (rows.length > this.maxRows) {
+            const row = this.table.insertRow();
+            const cell = row.insertCell();
+            cell.colSpan = 4;
+            cell.textContent = `…and ${rows.length - this.maxRows} more addresses`;
+        }
+    }
+
+    /**
+     * Draw or remove the ribbon through every step touching an address
+     */
+    toggleTrace(address) {
+        this.tracedAddress = this.tracedAddress === address ? null : address;
+        this.drawRibbon();
+        this.render(this.visualizer.playback.cursor - 1);
+    }
+
+    drawRibbon() {
+        if (this.tracedAddress === null) {
+            this.visualizer.removeConnector('watch');
+            return;
+        }
+        const steps = this.visualizer.memory.stepsForAddress(this.tracedAddress);
+        this.visualizer.showConnector('watch', steps, this.ribbonColor);
+    }
+}